@@ -6,7 +6,8 @@
  */
 
 const assert = require('assert');
-const { makeMatrix, globalAlign } = require('./js/alignment.js');
+const { makeMatrix, readMatrix, iupacCompatible, buildGapIncentive, globalAlign, globalAlignLowMemory, localAlign, runAlignment, summarizeAlignment, normalizeIndels } = require('./js/alignment.js');
+const { BUNDLED_MATRICES } = require('./js/matrices.js');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -137,6 +138,24 @@ function align(seqI, seqJ) {
     return globalAlign(seqJ, seqI, matrix, gapIncentive, -1, -1);
 }
 
+/**
+ * Helper to run semi-global alignment with CRISPResso2 default gap penalties
+ */
+function alignSemiGlobal(seqI, seqJ, freeEndGaps) {
+    const matrix = makeMatrix(5, -4, -2, -1);
+    const gapIncentive = new Int32Array(seqI.length + 1);
+    return globalAlign(seqJ, seqI, matrix, gapIncentive, -20, -2, { freeEndGaps });
+}
+
+/**
+ * Helper to run local alignment with CRISPResso2 default gap penalties
+ */
+function alignLocal(seqI, seqJ) {
+    const matrix = makeMatrix(5, -4, -2, -1);
+    const gapIncentive = new Int32Array(seqI.length + 1);
+    return localAlign(seqJ, seqI, matrix, gapIncentive, -20, -2);
+}
+
 // =============================================================================
 // TEST SUITES
 // =============================================================================
@@ -160,7 +179,7 @@ describe('Basic Alignment Tests', () => {
         }, 'Test 2');
     });
 
-    runTest('Test 10: Very Short Sequences', () => {
+    runTest('Test 3: Very Short Sequences', () => {
         const result = align('AT', 'AT');
         assertAlignment(result, {
             alignedI: 'AT',
@@ -169,7 +188,7 @@ describe('Basic Alignment Tests', () => {
         }, 'Test 10');
     });
 
-    runTest('Test 11: Completely Different Sequences', () => {
+    runTest('Test 4: Completely Different Sequences', () => {
         const result = align('AAAAAAAAAA', 'TTTTTTTTTT');
         assertAlignment(result, {
             matchPct: 0.0
@@ -180,7 +199,7 @@ describe('Basic Alignment Tests', () => {
 });
 
 describe('Gap Handling Tests', () => {
-    runTest('Test 3: Single Base Insertion', () => {
+    runTest('Test 5: Single Base Insertion', () => {
         const result = align('ATCGATCG', 'ATCGAATCG');
         assertAlignment(result, {
             hasGapInI: true,
@@ -188,7 +207,7 @@ describe('Gap Handling Tests', () => {
         }, 'Test 3');
     });
 
-    runTest('Test 4: Single Base Deletion', () => {
+    runTest('Test 6: Single Base Deletion', () => {
         const result = align('ATCGATCG', 'ATCGTCG');
         assertAlignment(result, {
             hasGapInJ: true,
@@ -196,7 +215,7 @@ describe('Gap Handling Tests', () => {
         }, 'Test 4');
     });
 
-    runTest('Test 5: Multiple Insertions', () => {
+    runTest('Test 7: Multiple Insertions', () => {
         const result = align('ATCG', 'AATTCCGG');
         assertAlignment(result, {
             hasGapInI: true,
@@ -204,7 +223,7 @@ describe('Gap Handling Tests', () => {
         }, 'Test 5');
     });
 
-    runTest('Test 6: Consecutive Gaps', () => {
+    runTest('Test 8: Consecutive Gaps', () => {
         const result = align('ATCGATCGATCG', 'ATCGCG');
         assertAlignment(result, {
             hasGapInJ: true,
@@ -214,14 +233,14 @@ describe('Gap Handling Tests', () => {
 });
 
 describe('Terminal Gap Tests', () => {
-    runTest('Test 7: Terminal Gaps (Beginning)', () => {
+    runTest('Test 9: Terminal Gaps (Beginning)', () => {
         const result = align('ATCGATCG', 'GATCG');
         assertAlignment(result, {
             minMatchPct: 50.0
         }, 'Test 7');
     });
 
-    runTest('Test 8: Terminal Gaps (End)', () => {
+    runTest('Test 10: Terminal Gaps (End)', () => {
         const result = align('ATCGATCG', 'ATCGA');
         assertAlignment(result, {
             minMatchPct: 50.0
@@ -230,7 +249,7 @@ describe('Terminal Gap Tests', () => {
 });
 
 describe('Special Base Tests', () => {
-    runTest('Test 9: N (Ambiguous Base) Handling', () => {
+    runTest('Test 11: N (Ambiguous Base) Handling', () => {
         const result = align('ATCGATCG', 'ATCNATCG');
         assertAlignment(result, {
             alignedI: 'ATCGATCG',
@@ -280,6 +299,377 @@ describe('CRISPR Edit Tests', () => {
     });
 });
 
+describe('Local Alignment Tests', () => {
+    runTest('Test 16: Read Inside Longer Reference', () => {
+        const result = alignLocal('GGGGGGATCGATCGTTTTTT', 'ATCGATCG');
+        assertAlignment(result, {
+            alignedI: 'ATCGATCG',
+            alignedJ: 'ATCGATCG',
+            matchPct: 100.0
+        }, 'Test 16');
+        assert.strictEqual(result.startI, 6);
+        assert.strictEqual(result.endI, 14);
+        assert.strictEqual(result.startJ, 0);
+        assert.strictEqual(result.endJ, 8);
+    });
+
+    runTest('Test 17: Junk Flanks on Both Sequences', () => {
+        const result = alignLocal('GGGGGGATCGATCGTTTTTT', 'CCCCATCGATCGAAAA');
+        assertAlignment(result, {
+            alignedI: 'ATCGATCG',
+            alignedJ: 'ATCGATCG'
+        }, 'Test 17');
+        assert.strictEqual(result.startJ, 4);
+        assert.strictEqual(result.endJ, 12);
+    });
+
+    runTest('Test 18: Internal Gap Is Kept', () => {
+        const result = alignLocal('ATCGATCGATCGATCGATCGATCG', 'ATCGATCGATCGATCGTTTTTTTTTTATCGATCG');
+        assertAlignment(result, {
+            hasGapInI: true
+        }, 'Test 18');
+        assert.strictEqual(result.alignedSeqI.replace(/-/g, ''), 'ATCGATCGATCGATCGATCGATCG');
+    });
+
+    runTest('Test 19: No Positive-Scoring Region', () => {
+        const result = alignLocal('AAAA', 'TTTT');
+        assert.strictEqual(result.alignedSeqI, '');
+        assert.strictEqual(result.alignedSeqJ, '');
+        assert.strictEqual(result.matchPercentage, 0);
+    });
+});
+
+describe('Semi-Global Alignment Tests', () => {
+    const ref = 'ACGTACGTACGGGGGGGGGG';
+    const read = 'ACGTACGTACCCCCCCCCCC';
+
+    runTest('Test 20: No Free End Gaps Matches Default', () => {
+        const result = alignSemiGlobal(ref, read, 'none');
+        const expected = globalAlign(read, ref, makeMatrix(5, -4, -2, -1), new Int32Array(ref.length + 1), -20, -2);
+        assert.strictEqual(result.alignedSeqI, expected.alignedSeqI);
+        assert.strictEqual(result.alignedSeqJ, expected.alignedSeqJ);
+        assert.ok(!result.alignedSeqI.includes('-') && !result.alignedSeqJ.includes('-'));
+    });
+
+    runTest('Test 21: Free Trailing Gaps in Reference', () => {
+        const result = alignSemiGlobal(ref, read, 'reference');
+        assertAlignment(result, { hasGapInI: true }, 'Test 21');
+        assert.ok(result.alignedSeqI.endsWith('-'), 'Expected trailing gap in reference');
+        assert.ok(result.alignedSeqJ.startsWith('ACGTACGTAC'));
+    });
+
+    runTest('Test 22: Free Trailing Gaps in Read', () => {
+        const result = alignSemiGlobal(ref, read, 'read');
+        assertAlignment(result, { hasGapInJ: true }, 'Test 22');
+        assert.ok(result.alignedSeqJ.endsWith('-'), 'Expected trailing gap in read');
+    });
+
+    runTest('Test 23: Invalid Free End Gap Option', () => {
+        assert.throws(() => alignSemiGlobal(ref, read, 'left'), /Invalid freeEndGaps/);
+    });
+
+    runTest('Test 24: Short Inputs With Small Gap Costs', () => {
+        const matrix = makeMatrix(5, -4, -2, -1);
+        // Mismatch (-4) plus one end gap: -3 when charged, 0 when free
+        const cases = [
+            ['AG', 'T', { none: -7, read: -7, reference: -4, both: -4 }],
+            ['T', 'AG', { none: -7, read: -4, reference: -7, both: -4 }]
+        ];
+        for (const [seqJ, seqI, scores] of cases) {
+            for (const freeEndGaps of ['none', 'read', 'reference', 'both']) {
+                for (const align of [globalAlign, globalAlignLowMemory]) {
+                    const result = align(seqJ, seqI, matrix, new Int32Array(seqI.length + 1), -2, -3, { freeEndGaps });
+                    const label = `${align.name} ${seqJ} vs ${seqI} (${freeEndGaps})`;
+                    assert.strictEqual(result.alignedSeqJ.replace(/-/g, ''), seqJ, label);
+                    assert.strictEqual(result.alignedSeqI.replace(/-/g, ''), seqI, label);
+                    assert.strictEqual(result.score, scores[freeEndGaps], label);
+                }
+            }
+        }
+    });
+});
+
+describe('Low-Memory Alignment Tests', () => {
+    const pairs = [
+        ['ATCGATCG', 'ATCGATCG'],
+        ['ATCGATCG', 'ATCGAATCG'],
+        ['ATCGATCGATCG', 'ATCGCG'],
+        ['ATCG', 'AATTCCGG'],
+        ['ATCGATCG', 'ATCNATCG'],
+        ['ATCGATCGATCGCCCCCCCCCCCCCCCCCCCCCATCGATCGATCG', 'ATCGATCGATCGCCCCCCATCGATCGATCG'],
+        ['ACGTACGTACGGGGGGGGGG', 'ACGTACGTACCCCCCCCCCC']
+    ];
+
+    runTest('Test 25: Same Alignment as globalAlign', () => {
+        const matrix = makeMatrix(5, -4, -2, -1);
+        for (const [seqI, seqJ] of pairs) {
+            const gapIncentive = new Int32Array(seqI.length + 1);
+            gapIncentive[Math.floor(seqI.length / 2)] = 10;
+            for (const [gapOpen, gapExtend] of [[-1, -1], [-20, -2]]) {
+                for (const freeEndGaps of ['none', 'read', 'reference', 'both']) {
+                    const expected = globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen, gapExtend, { freeEndGaps });
+                    const result = globalAlignLowMemory(seqJ, seqI, matrix, gapIncentive, gapOpen, gapExtend, { freeEndGaps });
+                    assert.deepStrictEqual(result, expected, `${seqI} vs ${seqJ} (${gapOpen}/${gapExtend}, ${freeEndGaps})`);
+                }
+            }
+        }
+    });
+
+    runTest('Test 26: Multi-Kilobase Sequences', () => {
+        // Deterministic pseudo-random 4 kb reference
+        let state = 42;
+        let seqI = '';
+        for (let i = 0; i < 4000; i++) {
+            state = (state * 1103515245 + 12345) % 2147483648;
+            seqI += 'ACGT'[state >> 29];
+        }
+        const seqJ = seqI.substring(0, 2000) + seqI.substring(2040);
+        const gapIncentive = new Int32Array(seqI.length + 1);
+        const result = globalAlignLowMemory(seqJ, seqI, makeMatrix(5, -4, -2, -1), gapIncentive, -20, -2);
+        assertAlignment(result, { hasGapInJ: true }, 'Test 25');
+        assert.strictEqual(result.alignedSeqI, seqI);
+        assert.strictEqual(result.alignedSeqJ.replace(/-/g, ''), seqJ);
+        assert.strictEqual((result.alignedSeqJ.match(/-+/g) || []).length, 1, 'Expected a single deletion');
+    });
+});
+
+describe('Matrix File Tests', () => {
+    const score = (matrix, ref, read) => matrix[ref.charCodeAt(0) * 256 + read.charCodeAt(0)];
+
+    runTest('Test 27: EDNAFULL Matches makeMatrix Defaults', () => {
+        const ednafull = readMatrix(BUNDLED_MATRICES.EDNAFULL.text);
+        const defaults = makeMatrix(5, -4, -2, -1);
+        for (const a of 'ACGTN') {
+            for (const b of 'ACGTN') {
+                assert.strictEqual(score(ednafull, a, b), score(defaults, a, b), `${a}/${b}`);
+            }
+        }
+        assert.strictEqual(score(ednafull, 'A', 'R'), 1);
+        assert.strictEqual(score(ednafull, 'U', 'T'), 5);
+    });
+
+    runTest('Test 28: Rows Are Reference, Columns Are Read', () => {
+        const matrix = readMatrix('# asymmetric\n   A  C\nA  5 -3\nC -7  5\n');
+        assert.strictEqual(score(matrix, 'A', 'C'), -3);
+        assert.strictEqual(score(matrix, 'C', 'A'), -7);
+        assert.strictEqual(score(matrix, 'G', 'G'), 0);
+    });
+
+    runTest('Test 29: Malformed Matrix Rows Are Rejected', () => {
+        assert.throws(() => readMatrix('   A  C\nA  5\n'), /expected 2/);
+        assert.throws(() => readMatrix('   A  C\nA  5 x\n'), /Invalid score/);
+    });
+
+    runTest('Test 30: Bundled Matrices Align', () => {
+        for (const name of Object.keys(BUNDLED_MATRICES)) {
+            const matrix = readMatrix(BUNDLED_MATRICES[name].text);
+            const result = globalAlign('ATCGTCG', 'ATCGATCG', matrix, new Int32Array(9), -20, -2);
+            assertAlignment(result, { hasGapInJ: true }, name);
+        }
+    });
+});
+
+describe('IUPAC Tests', () => {
+    const matrix = makeMatrix(5, -4, -2, -1);
+    const score = (ref, read) => matrix[ref.charCodeAt(0) * 256 + read.charCodeAt(0)];
+
+    runTest('Test 31: Partial-Match Scores for Degenerate Codes', () => {
+        assert.strictEqual(score('A', 'R'), 1);   // A vs A/G
+        assert.strictEqual(score('R', 'A'), 1);
+        assert.strictEqual(score('A', 'Y'), -4);  // A vs C/T
+        assert.strictEqual(score('A', 'V'), -1);  // A vs A/C/G
+        assert.strictEqual(score('R', 'N'), -2);  // N keeps its own score
+        assert.strictEqual(score('A', 'A'), 5);
+        assert.strictEqual(score('N', 'N'), -1);
+    });
+
+    runTest('Test 32: Degenerate Pairs Differ From EDNAFULL', () => {
+        const ednafull = readMatrix(BUNDLED_MATRICES.EDNAFULL.text);
+        const ednafullScore = (ref, read) => ednafull[ref.charCodeAt(0) * 256 + read.charCodeAt(0)];
+        // Average of A/A, A/G, G/A and G/G
+        assert.strictEqual(score('R', 'R'), 1);
+        assert.strictEqual(ednafullScore('R', 'R'), -1);
+        // Nucleotide vs code and N scores agree
+        assert.strictEqual(score('A', 'R'), ednafullScore('A', 'R'));
+        assert.strictEqual(score('A', 'N'), ednafullScore('A', 'N'));
+    });
+
+    runTest('Test 33: Compatible Codes', () => {
+        assert.ok(iupacCompatible('A', 'R'));
+        assert.ok(iupacCompatible('Y', 'B'));
+        assert.ok(iupacCompatible('N', 'G'));
+        assert.ok(!iupacCompatible('A', 'Y'));
+        assert.ok(!iupacCompatible('R', 'Y'));
+        assert.ok(!iupacCompatible('A', '-'));
+    });
+
+    runTest('Test 34: Degenerate Read Aligns Without Gaps', () => {
+        const result = align('ATCGATCGATCG', 'ATCRATYGATCG');
+        assertAlignment(result, {
+            alignedI: 'ATCGATCGATCG',
+            alignedJ: 'ATCRATYGATCG'
+        }, 'Test 32');
+    });
+});
+
+describe('Alignment Statistics Tests', () => {
+    runTest('Test 35: Score, CIGAR and Gap Counts', () => {
+        const result = align('ATCGATCG', 'ATCGTCG');
+        assert.strictEqual(result.alignedSeqJ, 'ATCG-TCG');
+        assert.strictEqual(result.cigar, '4=1D3=');
+        assert.strictEqual(result.score, 7 * 5 - 1);
+        assert.strictEqual(result.gapOpens, 1);
+        assert.strictEqual(result.gapExtensions, 0);
+    });
+
+    runTest('Test 36: Terminal Gaps Become Offsets and Soft Clips', () => {
+        const summary = summarizeAlignment('CC--ATGATCGAA', 'GGTTATCATCG--');
+        assert.strictEqual(summary.cigar, '2X2D2=1X4=2S');
+        assert.strictEqual(summary.startI, 0);
+        assert.strictEqual(summary.endI, 11);
+        assert.strictEqual(summary.startJ, 0);
+        assert.strictEqual(summary.endJ, 9);
+
+        const leading = summarizeAlignment('---GATCG', 'ATCGATCG');
+        assert.strictEqual(leading.cigar, '5=');
+        assert.strictEqual(leading.startI, 3);
+        assert.strictEqual(leading.gapOpens, 1);
+        assert.strictEqual(leading.gapExtensions, 2);
+    });
+
+    runTest('Test 37: Local Alignment Score and Offsets', () => {
+        const result = alignLocal('GGGGGGATCGATCGTTTTTT', 'CCCCATCGATCGAAAA');
+        assert.strictEqual(result.score, 40);
+        assert.strictEqual(result.cigar, '8=');
+        assert.strictEqual(result.startI, 6);
+        assert.strictEqual(result.endI, 14);
+    });
+});
+
+describe('Indel Normalization Tests', () => {
+    runTest('Test 38: Homopolymer Deletion Left and Right', () => {
+        const left = normalizeIndels('ACAA--GT', 'ACAAAAGT', 'left');
+        assert.strictEqual(left.alignedSeqJ, 'AC--AAGT');
+        assert.strictEqual(left.alignedSeqI, 'ACAAAAGT');
+
+        const right = normalizeIndels('AC--AAGT', 'ACAAAAGT', 'right');
+        assert.strictEqual(right.alignedSeqJ, 'ACAA--GT');
+    });
+
+    runTest('Test 39: Tandem Repeat Insertion', () => {
+        const left = normalizeIndels('ACAGCAGCGCAT', 'ACAGCAGC--AT', 'left');
+        assert.strictEqual(left.alignedSeqI, 'ACAGCA--GCAT');
+
+        const right = normalizeIndels('ACAGCAGCGCAT', 'ACAGCA--GCAT', 'right');
+        assert.strictEqual(right.alignedSeqI, 'ACAGCAGC--AT');
+    });
+
+    runTest('Test 40: Same Allele Aligns Identically', () => {
+        // The same deletion placed at different repeat copies normalizes to one alignment
+        const reads = ['TTCAGCAG---GG', 'TTCAG---CAGGG', 'TTC---AGCAGGG'];
+        const normalized = reads.map(read => normalizeIndels(read, 'TTCAGCAGCAGGG', 'left').alignedSeqJ);
+        normalized.forEach(read => assert.strictEqual(read, 'TT---CAGCAGGG'));
+
+        // Mismatches and non-repeat gaps are left alone
+        const fixed = normalizeIndels('ATG-CA', 'ATGTCA', 'left');
+        assert.strictEqual(fixed.alignedSeqJ, 'ATG-CA');
+        assert.throws(() => normalizeIndels('A', 'A', 'middle'), /Invalid indel normalization direction/);
+    });
+});
+
+describe('Alignment Job Tests', () => {
+    const makeJob = (mode, seqI, seqJ) => ({
+        mode,
+        freeEndGaps: 'read',
+        seqJ,
+        seqI,
+        matrix: makeMatrix(5, -4, -2, -1),
+        gapIncentive: new Int32Array(seqI.length + 1),
+        gapOpen: -20,
+        gapExtend: -2
+    });
+
+    runTest('Test 41: Progress Is Reported Row by Row', () => {
+        const ref = 'ATCGATCGATCGATCGATCG'.repeat(10);
+        const read = ref.substring(0, 100) + ref.substring(110);
+
+        for (const mode of ['global', 'semiglobal', 'local']) {
+            const fractions = [];
+            runAlignment(makeJob(mode, ref, read), fraction => fractions.push(fraction));
+            assert.ok(fractions.length >= 90, `${mode}: only ${fractions.length} progress updates`);
+            for (let k = 1; k < fractions.length; k++) {
+                assert.ok(fractions[k] > fractions[k - 1], `${mode}: progress went backwards`);
+            }
+            assert.ok(fractions[fractions.length - 1] <= 1);
+        }
+    });
+
+    runTest('Test 42: Jobs Match Direct Aligner Calls', () => {
+        const job = makeJob('semiglobal', 'GGGGATCGATCGGGGG', 'ATCGATCG');
+        const direct = globalAlign(job.seqJ, job.seqI, job.matrix, job.gapIncentive, -20, -2, { freeEndGaps: 'read' });
+        const viaJob = runAlignment(job);
+        assert.strictEqual(viaJob.alignedSeqI, direct.alignedSeqI);
+        assert.strictEqual(viaJob.alignedSeqJ, direct.alignedSeqJ);
+        assert.strictEqual(viaJob.score, direct.score);
+
+        const local = runAlignment(makeJob('local', 'GGGGGGATCGATCGTTTTTT', 'CCCCATCGATCGAAAA'));
+        assert.strictEqual(local.cigar, '8=');
+    });
+});
+
+describe('Cut-Site Gap Incentive Tests', () => {
+    runTest('Test 43: Gap Incentive Array', () => {
+        const gapIncentive = buildGapIncentive(10, [3, 7, -1, 11], 2);
+        assert.strictEqual(gapIncentive.length, 11);
+        assert.deepStrictEqual(Array.from(gapIncentive), [0, 0, 0, 2, 0, 0, 0, 2, 0, 0, 0]);
+        assert.strictEqual(buildGapIncentive(4, [2])[2], 1);
+    });
+
+    runTest('Test 44: Deletion in a Repeat Is Placed at the Cut Site', () => {
+        const ref = 'GCTAGCTTACGATCGGCAGCAGCAGTTCACGGATCAGTCA';
+        const read = 'GCTAGCTTACGATCGGCAGCAGTTCACGGATCAGTCA';
+        const matrix = makeMatrix(5, -4, -2, -1);
+
+        const uniform = globalAlign(read, ref, matrix, buildGapIncentive(ref.length, []), -20, -2);
+        assert.strictEqual(uniform.alignedSeqJ, 'GCTAGCTTACGATCGGCAGCAG---TTCACGGATCAGTCA');
+
+        const atCut = globalAlign(read, ref, matrix, buildGapIncentive(ref.length, [16]), -20, -2);
+        assert.strictEqual(atCut.alignedSeqJ, 'GCTAGCTTACGATCGG---CAGCAGTTCACGGATCAGTCA');
+        assert.strictEqual(atCut.cigar, '16=3D21=');
+    });
+});
+
+describe('Protein Alignment Tests', () => {
+    const blosum62 = readMatrix(BUNDLED_MATRICES.BLOSUM62.text);
+    const alignProtein = (seqI, seqJ) => globalAlign(seqJ, seqI, blosum62, new Int32Array(seqI.length + 1), -11, -1);
+
+    runTest('Test 45: Bundled Protein Matrices', () => {
+        const pam250 = readMatrix(BUNDLED_MATRICES.PAM250.text);
+        const score = (matrix, a, b) => matrix[a.charCodeAt(0) * 256 + b.charCodeAt(0)];
+
+        assert.strictEqual(BUNDLED_MATRICES.BLOSUM62.type, 'protein');
+        assert.strictEqual(BUNDLED_MATRICES.EDNAFULL.type, 'dna');
+        assert.strictEqual(score(blosum62, 'W', 'W'), 11);
+        assert.strictEqual(score(blosum62, 'I', 'L'), 2);
+        assert.strictEqual(score(blosum62, '*', 'A'), -4);
+        assert.strictEqual(score(pam250, 'W', 'W'), 17);
+        assert.strictEqual(score(pam250, 'C', 'W'), -8);
+        assert.strictEqual(score(pam250, 'F', 'Y'), 7);
+    });
+
+    runTest('Test 46: Protein Substitution and Deletion', () => {
+        const substitution = alignProtein('MKTAYIAKQRQ', 'MKTAYLAKQRQ');
+        assert.strictEqual(substitution.cigar, '5=1X5=');
+        assert.strictEqual(substitution.score, 52);
+
+        const deletion = alignProtein('MKTAYIAKQRQISFVKSHFSRQ', 'MKTAYIAKQRISFVKSHFSRQ');
+        assertAlignment(deletion, {
+            alignedI: 'MKTAYIAKQRQISFVKSHFSRQ',
+            alignedJ: 'MKTAYIAKQR-ISFVKSHFSRQ'
+        }, 'Test 44');
+    });
+});
+
 // =============================================================================
 // SUMMARY
 // =============================================================================
@@ -0,0 +1,639 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the file format readers and writers
+ * Run with: node formats.test.js
+ */
+
+const assert = require('assert');
+const zlib = require('zlib');
+const { parseFastq, collapseReads, isGzip, alleleWindowBases } = require('./js/fastq.js');
+const { isFasta, parseFasta, formatFasta } = require('./js/fasta.js');
+const { parseGenBankLocation, parseGenBank, genBankFeaturesToAnnotations } = require('./js/genbank.js');
+const { parseBED, parseGFF3, featuresToAnnotations, formatBED, formatGFF3 } = require('./js/annotation-formats.js');
+const { summarizeAlignment } = require('./js/alignment.js');
+
+// sam.js uses summarizeAlignment as a browser global
+global.summarizeAlignment = summarizeAlignment;
+const { parseSAMRecord, parseCigar, describeSAMFlags, samRecordToAlignment, parseSAMRegion, alignmentToSAM } = require('./js/sam.js');
+const { IUPAC_CODES } = require('./js/alignment.js');
+const { SVG_FONT } = require('./js/svg-font.js');
+
+// svg-export.js uses the glyphs and the base styles of dna-alignment.js as browser globals
+global.SVG_FONT = SVG_FONT;
+global.AMBIGUOUS_BASES = new Set(Object.keys(IUPAC_CODES).filter(code => IUPAC_CODES[code].length > 1));
+const { referenceRangeToColumns, buildAlignmentSVG } = require('./js/svg-export.js');
+const { makeMatrix, globalAlign } = require('./js/alignment.js');
+const { formatClustal, scoreAlignedPair, formatEmbossPair } = require('./js/alignment-formats.js');
+const { parseAlleleTable, parseCrispressoInfo, readZipEntries, sgRNAFromAlleleTableName } = require('./js/crispresso.js');
+
+/**
+ * Build a ZIP archive with one deflated and one stored file
+ */
+function makeZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, content, method } of files) {
+        const nameBytes = Buffer.from(name);
+        const raw = Buffer.from(content);
+        const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+// ANSI color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    bold: '\x1b[1m'
+};
+
+// Test statistics
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+/**
+ * Run a single test case
+ */
+function runTest(testName, testFn) {
+    totalTests++;
+    try {
+        testFn();
+        passedTests++;
+        console.log(`${colors.green}✓${colors.reset} ${testName}`);
+        return true;
+    } catch (error) {
+        failedTests++;
+        console.log(`${colors.red}✗${colors.reset} ${testName}`);
+        console.log(`  ${colors.red}Error: ${error.message}${colors.reset}`);
+        if (error.actual !== undefined && error.expected !== undefined) {
+            console.log(`  ${colors.cyan}Expected:${colors.reset} ${error.expected}`);
+            console.log(`  ${colors.cyan}Actual:${colors.reset}   ${error.actual}`);
+        }
+        return false;
+    }
+}
+
+/**
+ * Test suite runner
+ */
+function describe(suiteName, suiteFn) {
+    console.log(`\n${colors.bold}${colors.blue}${suiteName}${colors.reset}`);
+    suiteFn();
+}
+
+// =============================================================================
+// TEST SUITES
+// =============================================================================
+
+describe('FASTQ Tests', () => {
+    const fastq = [
+        '@read1', 'ATCG', '+', 'IIII',
+        '@read2', 'atcg', '+read2', 'IIII',
+        '@read3', 'ATGG', '+', 'II#I',
+        ''
+    ].join('\n');
+
+    runTest('Test 1: Parse Records', () => {
+        assert.deepStrictEqual(parseFastq(fastq), ['ATCG', 'ATCG', 'ATGG']);
+        assert.deepStrictEqual(parseFastq(fastq.replace(/\n/g, '\r\n')), ['ATCG', 'ATCG', 'ATGG']);
+    });
+
+    runTest('Test 2: Malformed Records Throw', () => {
+        assert.throws(() => parseFastq('@read1\nATCG\n+\nIII\n'), /Invalid FASTQ record at line 1/);
+        assert.throws(() => parseFastq('@read1\nATCG\n+\nIIII\nread2\nATCG\n+\nIIII'), /line 5/);
+        assert.throws(() => parseFastq('@read1\nATCG\n'), /line 1/);
+    });
+
+    runTest('Test 3: Collapse Identical Reads', () => {
+        const alleles = collapseReads(['ATGG', 'ATCG', 'ATCG', 'TTTT', 'ATCG', 'ATGG']);
+        assert.deepStrictEqual(alleles.map(a => [a.sequence, a.count]), [['ATCG', 3], ['ATGG', 2], ['TTTT', 1]]);
+        assert.strictEqual(alleles[0].percent, 50);
+    });
+
+    runTest('Test 4: Gzip Detection', () => {
+        assert.strictEqual(isGzip(zlib.gzipSync(Buffer.from(fastq))), true);
+        assert.strictEqual(isGzip(Buffer.from(fastq)), false);
+        assert.strictEqual(isGzip(new Uint8Array(0)), false);
+    });
+
+    runTest('Test 5: Allele Window Bases', () => {
+        // Deletion of A (ref 4) and insertion of GG after ref 5, window [3, 7)
+        const bases = alleleWindowBases('ATCG-TGGCGA', 'ATCGAT--CGA', 5, 2);
+        assert.deepStrictEqual(bases.map(b => b.refIndex), [3, 4, 5, 6]);
+        assert.deepStrictEqual(bases.map(b => b.base).join(''), 'G-TC');
+        assert.deepStrictEqual(bases.map(b => b.insertedAfter), ['', '', 'GG', '']);
+    });
+});
+
+describe('CRISPResso2 Allele Table Tests', () => {
+    const table = [
+        'Aligned_Sequence\tReference_Sequence\tReference_Name\tRead_Status\tn_deleted\tn_inserted\tn_mutated\t#Reads\t%Reads',
+        'ATC-ATCG\tATCGATCG\tReference\tMODIFIED\t1\t0\t0\t20\t20.0',
+        'ATCGATCG\tATCGATCG\tReference\tUNMODIFIED\t0\t0\t0\t75\t75.0',
+        'ATCGAATCG\tATCG-ATCG\tReference\tMODIFIED\t0\t1\t0\t5\t5.0',
+        ''
+    ].join('\n');
+
+    runTest('Test 6: Parse and Sort by Frequency', () => {
+        const alleles = parseAlleleTable(table);
+        assert.deepStrictEqual(alleles.map(a => a.reads), [75, 20, 5]);
+        assert.deepStrictEqual(alleles[1], {
+            alignedSequence: 'ATC-ATCG',
+            referenceSequence: 'ATCGATCG',
+            referenceName: 'Reference',
+            readStatus: 'MODIFIED',
+            nDeleted: 1,
+            nInserted: 0,
+            nMutated: 0,
+            reads: 20,
+            percent: 20
+        });
+    });
+
+    runTest('Test 7: Optional Columns', () => {
+        const alleles = parseAlleleTable('#Reads\tReference_Sequence\tAligned_Sequence\n3\tATCG\tATGG\n1\tATCG\tATCG\n');
+        assert.strictEqual(alleles[0].alignedSequence, 'ATGG');
+        assert.strictEqual(alleles[0].percent, 75);
+        assert.strictEqual(alleles[0].nDeleted, null);
+        assert.strictEqual(alleles[0].readStatus, '');
+    });
+
+    runTest('Test 8: Missing Columns and Bad Rows Throw', () => {
+        assert.throws(() => parseAlleleTable('Aligned_Sequence\t#Reads\nATCG\t3\n'), /missing the Reference_Sequence column/);
+        assert.throws(() => parseAlleleTable('Aligned_Sequence\tReference_Sequence\t#Reads\nATCG\tATCG\tmany\n'), /line 2/);
+        assert.throws(() => parseAlleleTable(''), /empty/);
+    });
+
+    runTest('Test 9: ZIP Entries', () => {
+        const zip = makeZip([
+            { name: 'Alleles_frequency_table.txt', content: table, method: 8 },
+            { name: 'notes.txt', content: 'stored', method: 0 }
+        ]);
+        const entries = readZipEntries(zip);
+        assert.deepStrictEqual(entries.map(e => [e.name, e.method]), [['Alleles_frequency_table.txt', 8], ['notes.txt', 0]]);
+        assert.strictEqual(zlib.inflateRawSync(entries[0].data).toString(), table);
+        assert.strictEqual(Buffer.from(entries[1].data).toString(), 'stored');
+        assert.throws(() => readZipEntries(new Uint8Array(40)), /Not a ZIP file/);
+    });
+
+    runTest('Test 10: sgRNA from File Name', () => {
+        assert.strictEqual(sgRNAFromAlleleTableName('Alleles_frequency_table_around_sgRNA_GGCCCAGACTGAGCACGTGA.txt'), 'GGCCCAGACTGAGCACGTGA');
+        assert.strictEqual(sgRNAFromAlleleTableName('Alleles_frequency_table.txt'), '');
+    });
+});
+
+describe('CRISPResso2 Run Summary Tests', () => {
+    runTest('Test 11: Amplicons and Guides from Results', () => {
+        const run = parseCrispressoInfo(JSON.stringify({
+            running_info: {
+                args: {
+                    __type__: 'Namespace',
+                    value: {
+                        amplicon_seq: 'atcgatcg,ggccttaa',
+                        amplicon_name: 'WT,HDR',
+                        guide_seq: 'ATCG',
+                        quantification_window_center: -3,
+                        quantification_window_size: 1,
+                        needleman_wunsch_gap_incentive: 1
+                    }
+                }
+            },
+            results: {
+                ref_names: ['WT', 'HDR'],
+                refs: {
+                    WT: { sequence: 'ATCGATCG', sgRNA_orig_sequences: ['atcgat'] },
+                    HDR: { sequence: 'GGCCTTAA', sgRNA_orig_sequences: [] }
+                }
+            }
+        }));
+        assert.deepStrictEqual(run, {
+            amplicons: [
+                { name: 'WT', sequence: 'ATCGATCG', sgRNAs: ['ATCGAT'] },
+                { name: 'HDR', sequence: 'GGCCTTAA', sgRNAs: [] }
+            ],
+            cutSite: -3,
+            windowSize: 1,
+            gapIncentive: 1
+        });
+    });
+
+    runTest('Test 12: Amplicons from Arguments Only', () => {
+        const run = parseCrispressoInfo(JSON.stringify({
+            running_info: {
+                args: {
+                    amplicon_seq: 'ATCGATCG,GGCCTTAA',
+                    guide_seq: 'ATCG,GGCC',
+                    quantification_window_center: '-10,-3',
+                    needleman_wunsch_gap_incentive: '0'
+                }
+            }
+        }));
+        assert.deepStrictEqual(run.amplicons.map(a => a.name), ['Reference', 'Amplicon 2']);
+        assert.deepStrictEqual(run.amplicons[1].sgRNAs, ['ATCG', 'GGCC']);
+        assert.strictEqual(run.cutSite, -10);
+        assert.strictEqual(run.windowSize, null);
+        assert.strictEqual(run.gapIncentive, 0);
+    });
+
+    runTest('Test 13: Invalid Run Summaries Throw', () => {
+        assert.throws(() => parseCrispressoInfo('{not json'), /Invalid CRISPResso2_info.json/);
+        assert.throws(() => parseCrispressoInfo('{}'), /no amplicons/);
+    });
+});
+
+describe('FASTA Tests', () => {
+    runTest('Test 14: Detect FASTA', () => {
+        assert.strictEqual(isFasta('  \n>seq1\nATCG'), true);
+        assert.strictEqual(isFasta('ATCG'), false);
+    });
+
+    runTest('Test 15: Parse Multi-Record FASTA', () => {
+        const records = parseFasta('>chr1 region\natcg\nAT-G\r\n\n>empty\n>seq3\nGG CC\n');
+        assert.deepStrictEqual(records, [
+            { name: 'chr1 region', sequence: 'ATCGAT-G' },
+            { name: 'empty', sequence: '' },
+            { name: 'seq3', sequence: 'GGCC' }
+        ]);
+    });
+
+    runTest('Test 16: Format and Round Trip', () => {
+        const records = [{ name: 'ref', sequence: 'ATCGATCGAT' }, { name: 'read', sequence: 'ATC-ATCG' }];
+        assert.strictEqual(formatFasta(records, 4), '>ref\nATCG\nATCG\nAT\n>read\nATC-\nATCG\n');
+        assert.strictEqual(formatFasta(records, 0), '>ref\nATCGATCGAT\n>read\nATC-ATCG\n');
+        assert.deepStrictEqual(parseFasta(formatFasta(records)), records);
+    });
+});
+
+describe('GenBank Tests', () => {
+    const genbank = [
+        'LOCUS       pTest                     60 bp    DNA     circular SYN 01-JAN-2024',
+        'DEFINITION  Test plasmid with a split',
+        '            CDS.',
+        'FEATURES             Location/Qualifiers',
+        '     source          1..60',
+        '                     /organism="synthetic DNA construct"',
+        '     promoter        complement(5..14)',
+        '                     /label=lac promoter',
+        '                     /note="a long note that continues',
+        '                     on the next line"',
+        '     CDS             join(20..25,',
+        '                     31..40)',
+        '                     /gene="lacZ"',
+        '                     /gene="ignored"',
+        '                     /translation="MTMI',
+        '                     TPS"',
+        '     misc_feature    50',
+        'ORIGIN',
+        '        1 atgaccatga ttacgccaag ctatttaggt gacactatag aatactcaag ctatgcatca',
+        '//',
+        ''
+    ].join('\n');
+
+    runTest('Test 17: Parse Record', () => {
+        const [record] = parseGenBank(genbank);
+        assert.strictEqual(record.name, 'pTest');
+        assert.strictEqual(record.definition, 'Test plasmid with a split CDS.');
+        assert.strictEqual(record.sequence.length, 60);
+        assert.ok(record.sequence.startsWith('ATGACCATGA'));
+        assert.deepStrictEqual(record.features.map(f => f.type), ['source', 'promoter', 'CDS', 'misc_feature']);
+        assert.strictEqual(record.features[2].location, 'join(20..25,31..40)');
+        assert.deepStrictEqual(record.features[1].qualifiers, {
+            label: 'lac promoter',
+            note: 'a long note that continues on the next line'
+        });
+        assert.deepStrictEqual(record.features[2].qualifiers, { gene: 'lacZ', translation: 'MTMITPS' });
+    });
+
+    runTest('Test 18: Locations', () => {
+        assert.deepStrictEqual(parseGenBankLocation('<1..>30'), { strand: '+', segments: [{ start: 0, end: 29 }] });
+        assert.deepStrictEqual(parseGenBankLocation('complement(join(1..5,10..12))'), {
+            strand: '-',
+            segments: [{ start: 9, end: 11 }, { start: 0, end: 4 }]
+        });
+        assert.deepStrictEqual(parseGenBankLocation('join(complement(10..12),complement(1..5))').strand, '-');
+        assert.deepStrictEqual(parseGenBankLocation('order(1..2,J00194.1:100..202)').segments, [{ start: 0, end: 1 }]);
+        assert.deepStrictEqual(parseGenBankLocation('7^8').segments, [{ start: 6, end: 7 }]);
+        assert.throws(() => parseGenBankLocation('gap(10)'), /Unsupported GenBank location/);
+    });
+
+    runTest('Test 19: Features to Annotations', () => {
+        const [record] = parseGenBank(genbank);
+        assert.deepStrictEqual(genBankFeaturesToAnnotations(record.features, 'seq1'), [
+            { seq: 'seq1', start: 4, end: 13, text: 'promoter: lac promoter', type: 'promoter', strand: '-' },
+            { seq: 'seq1', start: 19, end: 24, text: 'CDS: lacZ (part 1/2)', type: 'CDS', strand: '+' },
+            { seq: 'seq1', start: 30, end: 39, text: 'CDS: lacZ (part 2/2)', type: 'CDS', strand: '+' },
+            { seq: 'seq1', start: 49, end: 49, text: 'misc_feature', type: 'misc_feature', strand: '+' }
+        ]);
+    });
+});
+
+describe('BED and GFF3 Tests', () => {
+    const seqNames = { seq1: 'chr1', seq2: 'amp1' };
+
+    runTest('Test 20: Parse BED', () => {
+        const bed = [
+            'track name=guides',
+            '# comment',
+            'chr1\t0\t20\tsgRNA 1\t900\t-',
+            'amp1\t5\t6',
+            'chr1 10 15 site . +',
+            ''
+        ].join('\n');
+        assert.deepStrictEqual(parseBED(bed), [
+            { chrom: 'chr1', start: 0, end: 19, name: 'sgRNA 1', score: 900, strand: '-' },
+            { chrom: 'amp1', start: 5, end: 5, name: '', score: undefined, strand: undefined },
+            { chrom: 'chr1', start: 10, end: 14, name: 'site', score: undefined, strand: '+' }
+        ]);
+        assert.throws(() => parseBED('chr1\t10\t10\n'), /Invalid BED line 1/);
+    });
+
+    runTest('Test 21: Parse GFF3', () => {
+        const gff = [
+            '##gff-version 3',
+            'chr1\tsrc\tgene\t1\t20\t.\t+\t.\tID=g1;Name=lac%3B Z',
+            'other\tsrc\texon\t5\t5\t0.5\t.\t.\tID=e1',
+            '##FASTA',
+            '>chr1',
+            'ACGT'
+        ].join('\n');
+        const features = parseGFF3(gff);
+        assert.deepStrictEqual(features, [
+            { chrom: 'chr1', type: 'gene', start: 0, end: 19, name: 'lac; Z', score: undefined, strand: '+' },
+            { chrom: 'other', type: 'exon', start: 4, end: 4, name: 'e1', score: 0.5, strand: undefined }
+        ]);
+        assert.deepStrictEqual(featuresToAnnotations(features, seqNames, 'seq2'), [
+            { seq: 'seq1', start: 0, end: 19, text: 'lac; Z', type: 'gene', strand: '+' },
+            { seq: 'seq2', start: 4, end: 4, text: 'e1', type: 'exon', score: 0.5 }
+        ]);
+        assert.throws(() => parseGFF3('chr1\tsrc\tgene\t0\t5\t.\t+\t.\tID=x\n'), /Invalid GFF3 line 1/);
+    });
+
+    runTest('Test 22: Export Round Trip', () => {
+        const annotations = [
+            { seq: 'seq1', start: 0, end: 19, text: 'sgRNA 1', strand: '-', score: 900 },
+            { seq: 'seq2', start: 4, end: 4, text: 'a=b;c', type: 'SNV' }
+        ];
+        const bed = formatBED(annotations, seqNames);
+        assert.strictEqual(bed, 'chr1\t0\t20\tsgRNA 1\t900\t-\namp1\t4\t5\ta=b;c\t0\t.\n');
+        assert.deepStrictEqual(featuresToAnnotations(parseBED(bed), seqNames, 'seq1').map(ann => [ann.seq, ann.start, ann.end, ann.text]),
+            [['seq1', 0, 19, 'sgRNA 1'], ['seq2', 4, 4, 'a=b;c']]);
+
+        const gff = formatGFF3(annotations, seqNames, { seq1: 100, seq2: 0 });
+        assert.deepStrictEqual(gff.split('\n').slice(0, 4), [
+            '##gff-version 3',
+            '##sequence-region chr1 1 100',
+            'chr1\tVizAlign\tsequence_feature\t1\t20\t900\t-\t.\tID=annotation1;Name=sgRNA 1',
+            'amp1\tVizAlign\tSNV\t5\t5\t.\t.\t.\tID=annotation2;Name=a%3Db%3Bc'
+        ]);
+        assert.deepStrictEqual(featuresToAnnotations(parseGFF3(gff), seqNames, 'seq1'), [
+            { seq: 'seq1', start: 0, end: 19, text: 'sgRNA 1', type: 'sequence_feature', strand: '-', score: 900 },
+            { seq: 'seq2', start: 4, end: 4, text: 'a=b;c', type: 'SNV' }
+        ]);
+    });
+});
+
+describe('SAM Tests', () => {
+    const reference = 'ACGTACGTAAGGCCTTACGT';
+
+    runTest('Test 23: Parse Record', () => {
+        const sam = [
+            '@HD\tVN:1.6',
+            '@SQ\tSN:chr1\tLN:1000',
+            'read1\t16\tchr1\t103\t60\t2S4M1I3M2D2M1H\t*\t0\t0\tTTGTACTGTAGC\t*\tNM:i:3'
+        ].join('\n');
+        const record = parseSAMRecord(sam);
+        assert.strictEqual(record.qname, 'read1');
+        assert.strictEqual(record.flag, 16);
+        assert.strictEqual(record.pos, 103);
+        assert.strictEqual(record.mapq, 60);
+        assert.deepStrictEqual(record.tags, ['NM:i:3']);
+        assert.deepStrictEqual(describeSAMFlags(record.flag), ['reverse strand']);
+        assert.deepStrictEqual(describeSAMFlags(0x1 | 0x2 | 0x40), ['paired', 'proper pair', 'first in pair']);
+
+        // Space-separated lines pasted from a terminal
+        assert.strictEqual(parseSAMRecord('r 0 chr1 5 0 3M * 0 0 ACG *').cigar, '3M');
+        assert.throws(() => parseSAMRecord('@HD\tVN:1.6\n'), /No SAM alignment line/);
+        assert.throws(() => parseCigar('3M2N3M'), /Unsupported CIGAR operation: N/);
+        assert.throws(() => parseCigar('3Q'), /Invalid CIGAR/);
+    });
+
+    runTest('Test 24: Rebuild Pair From CIGAR', () => {
+        const record = parseSAMRecord('read1\t0\tchr1\t103\t60\t2S4M1I3M2D2M1H\t*\t0\t0\tTTGTACTGTAGC\t*');
+        const pair = samRecordToAlignment(record, reference, 101);
+        assert.strictEqual(pair.alignedRef, 'AC--GTAC-GTAAGGCCTTACGT');
+        assert.strictEqual(pair.alignedRead, '--TTGTACTGTA--GC-------');
+        assert.deepStrictEqual(pair.softClipped, [2, 3]);
+
+        assert.throws(() => samRecordToAlignment({ ...record, pos: 100 }, reference, 101), /outside the reference region/);
+        assert.throws(() => samRecordToAlignment({ ...record, pos: 119 }, reference, 101), /past the end/);
+        assert.throws(() => samRecordToAlignment({ ...record, cigar: '3M' }, reference, 101), /CIGAR covers 3 bases/);
+        assert.throws(() => samRecordToAlignment({ ...record, flag: 4 }, reference, 101), /unmapped/);
+    });
+
+    runTest('Test 25: Export Round Trip', () => {
+        assert.deepStrictEqual(parseSAMRegion('chr1:1,000-1,200 amplicon'), { rname: 'chr1', start: 1000 });
+        assert.deepStrictEqual(parseSAMRegion('EMX1 amplicon'), { rname: 'EMX1', start: 1 });
+        assert.deepStrictEqual(parseSAMRegion(''), { rname: 'Reference', start: 1 });
+
+        const sam = alignmentToSAM('AC--GTAC-GTAAGGCCTTACGT', '--TTGTACTGTA--GC-------', { qname: 'read1', rname: 'chr1', refStart: 101 });
+        const lines = sam.trim().split('\n');
+        assert.strictEqual(lines[1], '@SQ\tSN:chr1\tLN:120');
+        assert.strictEqual(lines[3], 'read1\t0\tchr1\t103\t255\t2S4=1I3=2D2=\t*\t0\t0\tTTGTACTGTAGC\t*\tNM:i:3');
+
+        const record = parseSAMRecord(sam);
+        const pair = samRecordToAlignment(record, reference, 101);
+        assert.strictEqual(pair.alignedRef, 'AC--GTAC-GTAAGGCCTTACGT');
+        assert.strictEqual(pair.alignedRead, '--TTGTACTGTA--GC-------');
+
+        assert.ok(alignmentToSAM('ACGT', '----').includes('read\t4\t*\t0\t0\t*'));
+    });
+});
+
+describe('SVG Export Tests', () => {
+    const model = {
+        rows: [
+            { label: 'Reference', seq: 'ACGT-ACGTN' },
+            { label: 'Read', seq: 'ACGTTAC--N' }
+        ],
+        sequenceType: 'dna',
+        sgRNAs: [{ row: 0, start: 0, end: 5, color: '#4ecdc4', mismatches: [2] }],
+        cutSites: [{ row: 0, column: 3, color: '#4ecdc4' }],
+        annotations: [
+            { row: 0, start: 1, end: 3, level: 0, text: 'site' },
+            { row: 0, start: 2, end: 8, level: 1, text: 'amplicon' }
+        ]
+    };
+    const count = (svg, pattern) => (svg.match(pattern) || []).length;
+
+    runTest('Test 26: Reference Range To Columns', () => {
+        assert.deepStrictEqual(referenceRangeToColumns('ACGT-ACGTN', null, null), { startColumn: 0, endColumn: 9 });
+        assert.deepStrictEqual(referenceRangeToColumns('ACGT-ACGTN', 3, 4), { startColumn: 3, endColumn: 5 });
+        assert.throws(() => referenceRangeToColumns('ACGT-ACGTN', 0, 9), /Reference positions run from 0 to 8/);
+        assert.throws(() => referenceRangeToColumns('ACGT-ACGTN', 4, 3), /must not be before/);
+    });
+
+    runTest('Test 27: Draws The Alignment As Shapes', () => {
+        const svg = buildAlignmentSVG(model);
+        assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+        assert.ok(!svg.includes('<text'), 'text must be drawn as glyph outlines');
+        assert.ok(svg.includes('width="486" height="202"'));
+
+        // Colored bases, 3 gaps and 2 hatched N bases
+        assert.strictEqual(count(svg, /fill="#7FC97F"/g), 4);
+        assert.strictEqual(count(svg, /fill="#666666"/g), 3);
+        assert.strictEqual(count(svg, /fill="url\(#ambiguous-base\)"/g), 2);
+
+        // Like the view, bases opposite a gap in either row get the red border;
+        // one sgRNA box with one mismatch, two annotation bars, one cut site
+        assert.strictEqual(count(svg, /stroke="#FF0000"/g), 3);
+        assert.strictEqual(count(svg, /stroke="#4ecdc4"/g), 1);
+        assert.strictEqual(count(svg, /fill="#e74c3c"/g), 1);
+        assert.strictEqual(count(svg, /fill="#8e44ad"/g), 2);
+        assert.ok(svg.includes('<rect x="263" y="82" width="6" height="30" fill="#4ecdc4"'));
+
+        // Every glyph used is defined once
+        const used = new Set(svg.match(/#glyph-\d+/g).map(id => id.substring(1)));
+        for (const id of used) {
+            assert.strictEqual(count(svg, new RegExp(`<path id="${id}"`, 'g')), 1, id);
+        }
+        assert.ok(used.has('glyph-' + '✂'.codePointAt(0)));
+    });
+
+    runTest('Test 28: Range And Wrapping', () => {
+        const svg = buildAlignmentSVG(model, { startColumn: 2, endColumn: 8, wrap: 3 });
+
+        // 7 columns wrapped at 3 make 3 lines of 3 columns
+        assert.ok(svg.includes('width="276" height="606"'));
+        assert.strictEqual(count(svg, /fill="#FDC086"/g), 2);
+
+        // Bars crossing a line break are drawn on every line they cover
+        assert.strictEqual(count(svg, /fill="#8e44ad"/g), 4);
+        assert.strictEqual(count(svg, /stroke="#4ecdc4"/g), 2);
+    });
+});
+
+describe('Alignment Text Export Tests', () => {
+    const pair = [
+        { name: 'Reference chr1', sequence: 'ACGTACGT-ACGTTTGCA--' },
+        { name: 'Amplicon 1', sequence: '--GTAAGTTACG--TGCAAA' }
+    ];
+
+    runTest('Test 29: CLUSTAL W Blocks', () => {
+        const lines = formatClustal(pair, { lineWidth: 8 }).split('\n');
+        assert.strictEqual(lines[0], 'CLUSTAL W multiple sequence alignment');
+        assert.strictEqual(lines[3], 'Reference      ACGTACGT 8');
+        assert.strictEqual(lines[4], 'Amplicon       --GTAAGT 6');
+        assert.strictEqual(lines[5], '                 *** **');
+        assert.strictEqual(lines[12], 'Amplicon       CAAA 16');
+
+        // Protein columns in one Clustal group get ':' or '.'
+        const protein = formatClustal([{ name: 'a', sequence: 'MKVLA' }, { name: 'b', sequence: 'MRILG' }], { sequenceType: 'protein' });
+        assert.strictEqual(protein.split('\n')[5], '       *::*.');
+    });
+
+    runTest('Test 30: EMBOSS Statistics', () => {
+        const matrix = makeMatrix(5, -4, -2, -1);
+        const stats = scoreAlignedPair(pair[0].sequence, pair[1].sequence, matrix, -20, -2);
+        assert.strictEqual(stats.length, 20);
+        assert.strictEqual(stats.identity, 12);
+        assert.strictEqual(stats.gaps, 7);
+        assert.strictEqual(stats.markup, '  |||.|| |||  ||||  ');
+
+        // End gaps are free: 12 matches, 1 mismatch, a 1-base and a 2-base gap
+        assert.strictEqual(stats.score, 12 * 5 - 4 - 20 - (20 + 2));
+
+        // Otherwise each end gap position pays extension: 2 in the read, 2 in the reference
+        const endGapScore = freeEndGaps => scoreAlignedPair(pair[0].sequence, pair[1].sequence, matrix, -20, -2, freeEndGaps).score;
+        assert.strictEqual(endGapScore('none'), stats.score - 4 * 2);
+        assert.strictEqual(endGapScore('read'), stats.score - 2 * 2);
+        assert.strictEqual(endGapScore('reference'), stats.score - 2 * 2);
+
+        // Positive-scoring mismatches (A/R) count as similar
+        const similar = scoreAlignedPair('ACGT', 'RCGT', matrix, -20, -2);
+        assert.strictEqual(similar.markup, ':|||');
+        assert.strictEqual(similar.similarity, 4);
+    });
+
+    runTest('Test 31: EMBOSS Pair Layout', () => {
+        const text = formatEmbossPair(pair, {
+            lineWidth: 8, matrix: makeMatrix(5, -4, -2, -1), matrixName: 'EDNAFULL', gapOpen: -20, gapExtend: -2
+        });
+        const lines = text.split('\n');
+        assert.ok(lines.includes('# 1: Reference'));
+        assert.ok(lines.includes('# Gap_penalty: 20.0'));
+        assert.ok(lines.includes('# Identity:      12/20 (60.0%)'));
+        assert.ok(lines.includes('# Gaps:           7/20 (35.0%)'));
+        assert.ok(lines.includes('# Score: 14.0'));
+        assert.ok(lines.includes('# Remark: Score recomputed from the pair, without any cut-site gap incentive'));
+
+        const block = lines.indexOf('Reference          9 -ACGTTTG     15');
+        assert.ok(block > 0);
+        assert.strictEqual(lines[block + 1], '                      |||  ||');
+        assert.strictEqual(lines[block + 2], 'Amplicon           7 TACG--TG     12');
+        assert.ok(text.endsWith('#---------------------------------------\n'));
+    });
+
+    runTest('Test 32: EMBOSS Score Matches the Aligner', () => {
+        // A leading gap in the read and a trailing gap in the reference
+        const matrix = makeMatrix(5, -4, -2, -1);
+        for (const freeEndGaps of ['none', 'read', 'reference', 'both']) {
+            const result = globalAlign('CGTACC', 'ACGTAC', matrix, new Int32Array(7), -20, -2, { freeEndGaps });
+            const stats = scoreAlignedPair(result.alignedSeqI, result.alignedSeqJ, matrix, -20, -2, freeEndGaps);
+            assert.strictEqual(stats.score, result.score, freeEndGaps);
+        }
+        assert.strictEqual(scoreAlignedPair('ACGT', '-CGT', matrix, -20, -2, 'read').score, 15);
+        assert.strictEqual(scoreAlignedPair('ACGT', '-CGT', matrix, -20, -2, 'reference').score, 13);
+    });
+});
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+console.log('\n' + '='.repeat(60));
+console.log(`${colors.bold}TEST SUMMARY${colors.reset}`);
+console.log('='.repeat(60));
+console.log(`Total:  ${totalTests}`);
+console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+
+if (failedTests === 0) {
+    console.log(`\n${colors.green}${colors.bold}✓ All tests passed!${colors.reset}\n`);
+    process.exit(0);
+} else {
+    console.log(`\n${colors.red}${colors.bold}✗ ${failedTests} test(s) failed${colors.reset}\n`);
+    process.exit(1);
+}
@@ -0,0 +1,337 @@
+// Alignment Text Export Functions
+// Writes the current gapped pair as CLUSTAL W, EMBOSS pair (needle) or aligned
+// FASTA text that can be copied into emails and lab notebooks or downloaded
+
+// Default residues per line for each format (the programs' own defaults)
+const ALIGNMENT_TEXT_LINE_WIDTHS = { clustal: 60, emboss: 50, fasta: 60 };
+
+const ALIGNMENT_TEXT_FILES = {
+    clustal: 'alignment.aln',
+    emboss: 'alignment.needle',
+    fasta: 'alignment.fasta'
+};
+
+// Clustal conservation groups for proteins: a column whose residues all fall in one
+// strong group is marked ':', in one weak group '.'
+const CLUSTAL_STRONG_GROUPS = ['STA', 'NEQK', 'NHQK', 'NDEQ', 'QHRK', 'MILV', 'MILF', 'HY', 'FYW'];
+const CLUSTAL_WEAK_GROUPS = ['CSA', 'ATV', 'SAG', 'STNK', 'STPA', 'SGND', 'SNDEQK', 'NDEQHK', 'NEQHRK', 'FVLIM', 'HFY'];
+
+// EMBOSS limits the sequence names in the alignment lines to 13 characters
+const EMBOSS_NAME_WIDTH = 13;
+
+// First word of a sequence name; neither format allows spaces in names
+function alignmentTextName(name, fallback) {
+    const trimmed = (name || '').trim();
+    return trimmed ? trimmed.split(/\s+/)[0] : fallback;
+}
+
+// Drop the columns where both sequences have a gap
+function removeSharedGaps(records) {
+    const [seqA, seqB] = records.map(record => record.sequence);
+    const keep = [];
+    for (let c = 0; c < seqA.length; c++) {
+        if (seqA[c] !== '-' || seqB[c] !== '-') keep.push(c);
+    }
+    return records.map(record => ({ name: record.name, sequence: keep.map(c => record.sequence[c]).join('') }));
+}
+
+// Clustal conservation mark for one column of a pair
+function clustalConservation(a, b, sequenceType) {
+    if (a === '-' || b === '-') return ' ';
+    if (a === b) return '*';
+    if (sequenceType !== 'protein') return ' ';
+
+    const inGroup = group => group.includes(a) && group.includes(b);
+    if (CLUSTAL_STRONG_GROUPS.some(inGroup)) return ':';
+    if (CLUSTAL_WEAK_GROUPS.some(inGroup)) return '.';
+    return ' ';
+}
+
+/**
+ * Format a gapped pair as a CLUSTAL W alignment (.aln)
+ * Each line ends with the number of residues of the sequence so far; columns
+ * where both sequences have a gap are left out.
+ * @param {Array<Object>} records - [{name, sequence}] x 2 with gapped sequences of equal length
+ * @param {Object} options - {lineWidth, sequenceType}: sequenceType 'protein' adds
+ *                           the ':' and '.' group marks to the conservation line
+ * @returns {string} - Clustal text
+ */
+function formatClustal(records, options = {}) {
+    const lineWidth = options.lineWidth > 0 ? options.lineWidth : ALIGNMENT_TEXT_LINE_WIDTHS.clustal;
+    const names = records.map((record, index) => alignmentTextName(record.name, `seq${index + 1}`));
+    const nameWidth = Math.max(...names.map(name => name.length)) + 6;
+    const pair = removeSharedGaps(records);
+    const [seqA, seqB] = pair.map(record => record.sequence);
+    const counts = [0, 0];
+
+    const lines = ['CLUSTAL W multiple sequence alignment', '', ''];
+    for (let start = 0; start < seqA.length; start += lineWidth) {
+        pair.forEach((record, index) => {
+            const chunk = record.sequence.substring(start, start + lineWidth);
+            counts[index] += chunk.replace(/-/g, '').length;
+            lines.push(names[index].padEnd(nameWidth) + chunk + ' ' + counts[index]);
+        });
+
+        let conservation = '';
+        for (let c = start; c < Math.min(start + lineWidth, seqA.length); c++) {
+            conservation += clustalConservation(seqA[c], seqB[c], options.sequenceType);
+        }
+        lines.push(' '.repeat(nameWidth) + conservation);
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Identity, similarity, gaps and score of a gapped pair, as in the EMBOSS header
+ * End gaps are scored like globalAlign() does: free on the sides freeEndGaps names,
+ * otherwise gapExtend per position. Columns where both sequences have a gap are skipped.
+ * @param {string} alignedRef - Aligned reference sequence
+ * @param {string} alignedRead - Aligned read sequence
+ * @param {Int32Array|Array<number>} matrix - Scoring matrix indexed by char codes (256 x 256)
+ * @param {number} gapOpen - Score of the first position of a gap (negative)
+ * @param {number} gapExtend - Score of each further position (negative)
+ * @param {string} freeEndGaps - 'none', 'read', 'reference' or 'both' (default: 'both',
+ *                               needle's default of not penalizing end gaps)
+ * @returns {Object} - {length, identity, similarity, gaps, score, markup}; markup has
+ *                     '|' for identities, ':' for other positive scores, '.' for
+ *                     other pairs and ' ' for gaps
+ */
+function scoreAlignedPair(alignedRef, alignedRead, matrix, gapOpen, gapExtend, freeEndGaps = 'both') {
+    const columns = [];
+    for (let c = 0; c < alignedRef.length; c++) {
+        if (alignedRef[c] !== '-' || alignedRead[c] !== '-') {
+            columns.push([alignedRef[c], alignedRead[c]]);
+        }
+    }
+
+    // Columns before the first and after the last pair of residues are end gaps
+    const isPair = ([a, b]) => a !== '-' && b !== '-';
+    const firstPair = columns.findIndex(isPair);
+    let lastPair = columns.length - 1;
+    while (lastPair >= 0 && !isPair(columns[lastPair])) lastPair--;
+
+    const freeReadEnds = freeEndGaps === 'read' || freeEndGaps === 'both';
+    const freeRefEnds = freeEndGaps === 'reference' || freeEndGaps === 'both';
+
+    let identity = 0;
+    let similarity = 0;
+    let gaps = 0;
+    let score = 0;
+    let markup = '';
+    columns.forEach(([a, b], c) => {
+        if (a === '-' || b === '-') {
+            gaps++;
+            markup += ' ';
+            if (firstPair !== -1 && c > firstPair && c < lastPair) {
+                const [prevA, prevB] = columns[c - 1];
+                const isExtension = a === '-' ? prevA === '-' : prevB === '-';
+                score += isExtension ? gapExtend : gapOpen;
+            } else if (!(a === '-' ? freeRefEnds : freeReadEnds)) {
+                // End gaps only pay extension, as in the aligner's first and last row and column
+                score += gapExtend;
+            }
+            return;
+        }
+
+        const pairScore = matrix[a.charCodeAt(0) * 256 + b.charCodeAt(0)];
+        score += pairScore;
+        if (a === b) {
+            identity++;
+            similarity++;
+            markup += '|';
+        } else if (pairScore > 0) {
+            similarity++;
+            markup += ':';
+        } else {
+            markup += '.';
+        }
+    });
+
+    return { length: columns.length, identity, similarity, gaps, score, markup };
+}
+
+/**
+ * Format a gapped pair in the EMBOSS pair format written by needle
+ * Columns where both sequences have a gap are left out.
+ * @param {Array<Object>} records - [{name, sequence}] x 2 with gapped sequences of equal length
+ * @param {Object} options - {lineWidth, matrix, matrixName, gapOpen, gapExtend, freeEndGaps, rundate}:
+ *                           the matrix, gap scores and free end gaps of the alignment (gap
+ *                           scores are negative and printed as penalties; freeEndGaps as in
+ *                           scoreAlignedPair()); rundate is optional
+ * @returns {string} - EMBOSS pair text
+ */
+function formatEmbossPair(records, options) {
+    const lineWidth = options.lineWidth > 0 ? options.lineWidth : ALIGNMENT_TEXT_LINE_WIDTHS.emboss;
+    const names = records.map((record, index) => alignmentTextName(record.name, `seq${index + 1}`));
+
+    const [seqA, seqB] = removeSharedGaps(records).map(record => record.sequence);
+    const stats = scoreAlignedPair(seqA, seqB, options.matrix, options.gapOpen, options.gapExtend, options.freeEndGaps);
+
+    const percent = n => (stats.length > 0 ? (100 * n / stats.length).toFixed(1) : '0.0').padStart(4);
+    const statLine = (label, n) => {
+        const prefix = `# ${label}:`;
+        return prefix + String(n).padStart(Math.max(19 - prefix.length, String(n).length + 1)) +
+            `/${stats.length} (${percent(n)}%)`;
+    };
+
+    const lines = [
+        '########################################',
+        '# Program: VizAlign'
+    ];
+    if (options.rundate) {
+        lines.push(`# Rundate: ${options.rundate}`);
+    }
+    lines.push(
+        '# Align_format: pair',
+        '########################################',
+        '',
+        '#=======================================',
+        '#',
+        '# Aligned_sequences: 2',
+        `# 1: ${names[0]}`,
+        `# 2: ${names[1]}`,
+        `# Matrix: ${options.matrixName || 'unknown'}`,
+        `# Gap_penalty: ${(-options.gapOpen).toFixed(1)}`,
+        `# Extend_penalty: ${(-options.gapExtend).toFixed(1)}`,
+        '#',
+        `# Length: ${stats.length}`,
+        statLine('Identity', stats.identity),
+        statLine('Similarity', stats.similarity),
+        statLine('Gaps', stats.gaps),
+        `# Score: ${stats.score.toFixed(1)}`,
+        '# Remark: Score recomputed from the pair, without any cut-site gap incentive',
+        '# ',
+        '#',
+        '#=======================================',
+        ''
+    );
+
+    // Residue numbers: the first residue of the line, and the last residue so far
+    const counts = [0, 0];
+    const sequenceLine = (index, chunk) => {
+        const start = counts[index] + (/[^-]/.test(chunk) ? 1 : 0);
+        counts[index] += chunk.replace(/-/g, '').length;
+        return names[index].substring(0, EMBOSS_NAME_WIDTH).padEnd(EMBOSS_NAME_WIDTH) +
+            String(start).padStart(7) + ' ' + chunk + ' ' + String(counts[index]).padStart(6);
+    };
+
+    for (let start = 0; start < seqA.length; start += lineWidth) {
+        lines.push(sequenceLine(0, seqA.substring(start, start + lineWidth)));
+        lines.push(' '.repeat(EMBOSS_NAME_WIDTH + 8) + stats.markup.substring(start, start + lineWidth));
+        lines.push(sequenceLine(1, seqB.substring(start, start + lineWidth)));
+        lines.push('');
+    }
+
+    lines.push('', '#---------------------------------------', '#---------------------------------------', '');
+    return lines.join('\n');
+}
+
+// Build the selected text export of the current pair, or null without sequences
+function buildAlignmentText() {
+    const seq1 = normalizeSequence(document.getElementById('seq1').value);
+    const seq2 = normalizeSequence(document.getElementById('seq2').value);
+    const name1Input = document.getElementById('name1');
+    const name2Input = document.getElementById('name2');
+    const formatSelect = document.getElementById('text-export-format');
+    const widthInput = document.getElementById('text-export-width');
+    if (!seq1 || !seq2) {
+        alert('Please enter both sequences before exporting the alignment.');
+        return null;
+    }
+
+    const format = formatSelect ? formatSelect.value : 'clustal';
+    const width = widthInput ? parseInt(widthInput.value) : NaN;
+    const lineWidth = isNaN(width) || width < 1 ? ALIGNMENT_TEXT_LINE_WIDTHS[format] : width;
+
+    const length = Math.max(seq1.length, seq2.length);
+    const records = [
+        { name: name1Input.value.trim() || 'Reference', sequence: seq1.padEnd(length, '-') },
+        { name: name2Input.value.trim() || 'Amplicon_1', sequence: seq2.padEnd(length, '-') }
+    ];
+
+    const settings = getAlignmentSettings();
+    if (format === 'fasta') {
+        return { format, text: formatFasta(records, lineWidth) };
+    }
+    if (format === 'emboss') {
+        // Score with the matrix, gap costs and end gaps the aligner uses. The flanks
+        // of a local alignment are not part of its score.
+        const job = buildAlignmentJob(seq1.replace(/-/g, ''), seq2.replace(/-/g, ''), settings, '', 0, 0);
+        const matrixSelect = document.getElementById('score-matrix');
+        const matrixOption = matrixSelect ? matrixSelect.options[matrixSelect.selectedIndex] : null;
+        return {
+            format,
+            text: formatEmbossPair(records, {
+                lineWidth,
+                matrix: job.matrix,
+                matrixName: matrixOption ? matrixOption.textContent : '',
+                gapOpen: job.gapOpen,
+                gapExtend: job.gapExtend,
+                freeEndGaps: job.mode === 'semiglobal' ? job.freeEndGaps : (job.mode === 'local' ? 'both' : 'none'),
+                rundate: new Date().toString()
+            })
+        };
+    }
+    return { format, text: formatClustal(records, { lineWidth, sequenceType: settings.sequenceType }) };
+}
+
+function copyAlignmentText() {
+    try {
+        const result = buildAlignmentText();
+        if (result) {
+            copyToClipboard(result.text, document.getElementById('text-export-copy'));
+        }
+    } catch (error) {
+        console.error('Alignment text export error:', error);
+        alert('Error exporting alignment: ' + error.message);
+    }
+}
+
+function downloadAlignmentText() {
+    try {
+        const result = buildAlignmentText();
+        if (result) {
+            downloadTextFile(ALIGNMENT_TEXT_FILES[result.format], result.text, 'text/plain');
+        }
+    } catch (error) {
+        console.error('Alignment text export error:', error);
+        alert('Error exporting alignment: ' + error.message);
+    }
+}
+
+function setupAlignmentFormats() {
+    const formatSelect = document.getElementById('text-export-format');
+    const widthInput = document.getElementById('text-export-width');
+    if (formatSelect && widthInput) {
+        // Show the default width of the selected format
+        const updatePlaceholder = () => {
+            widthInput.placeholder = `Default ${ALIGNMENT_TEXT_LINE_WIDTHS[formatSelect.value]}`;
+        };
+        formatSelect.addEventListener('change', updatePlaceholder);
+        updatePlaceholder();
+    }
+
+    const copyButton = document.getElementById('text-export-copy');
+    if (copyButton) {
+        copyButton.addEventListener('click', copyAlignmentText);
+    }
+
+    const downloadButton = document.getElementById('text-export-download');
+    if (downloadButton) {
+        downloadButton.addEventListener('click', downloadAlignmentText);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupAlignmentFormats);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        formatClustal,
+        scoreAlignedPair,
+        formatEmbossPair
+    };
+}
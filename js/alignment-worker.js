@@ -0,0 +1,30 @@
+// Web Worker running the alignment dynamic programming off the main thread
+//
+// Messages from the page:
+//   {type: 'start', id, job}  - job as accepted by runAlignment() in alignment.js
+// Messages to the page:
+//   {type: 'progress', id, fraction}  - fraction of the DP matrix filled (0-1)
+//   {type: 'result', id, result}      - alignment result
+//   {type: 'error', id, message}      - the aligner threw
+//
+// A running job never yields to the message loop, so the page cancels it by
+// terminating this worker and starting a new one.
+
+importScripts('alignment.js');
+
+self.onmessage = function(event) {
+    const message = event.data;
+    if (message.type !== 'start') {
+        return;
+    }
+
+    const id = message.id;
+    try {
+        const result = runAlignment(message.job, fraction => {
+            self.postMessage({ type: 'progress', id, fraction });
+        });
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
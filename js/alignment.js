@@ -10,6 +10,47 @@ const MARRAY = 1;
 const IARRAY = 2;
 const JARRAY = 3;
 
+// Which end gaps globalAlign() can score as free (semi-global alignment)
+const FREE_END_GAP_MODES = ['none', 'read', 'reference', 'both'];
+
+// IUPAC nucleotide codes and the bases each one stands for
+const IUPAC_CODES = {
+    A: 'A', C: 'C', G: 'G', T: 'T',
+    R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+    B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG',
+    N: 'ACGT'
+};
+
+// Degenerate codes other than N (N keeps its own scores in makeMatrix)
+const IUPAC_DEGENERATE = ['R', 'Y', 'S', 'W', 'K', 'M', 'B', 'D', 'H', 'V'];
+
+// DP size ((seqI.length + 1) * (seqJ.length + 1)) above which callers should use
+// globalAlignLowMemory(). globalAlign() needs 24 bytes per cell, so this is ~96 MB.
+const LOW_MEMORY_CELL_THRESHOLD = 4000000;
+
+// Border score for the unreachable M/I/J cells in globalAlign() and globalAlignLowMemory().
+// It has to lose to every real path: gapOpen * maxJ * maxI overflows Int32 for very large
+// inputs and, for short inputs with small gap costs, ties with the zeroed free end-gap borders.
+const LOW_MEMORY_MIN_SCORE = -(2 ** 30);
+
+/**
+ * Build a per-row callback that reports DP progress about once per percent
+ * @param {Function} onProgress - Called with the fraction of rows filled (0-1), may be undefined
+ * @param {number} rows - Number of rows in the fill loop
+ * @returns {Function} - (row) => void
+ */
+function progressReporter(onProgress, rows) {
+    if (!onProgress || rows <= 0) {
+        return () => {};
+    }
+    const step = Math.max(1, Math.floor(rows / 100));
+    return row => {
+        if (row % step === 0) {
+            onProgress(row / rows);
+        }
+    };
+}
+
 /**
  * Create a scoring matrix for DNA sequence alignment
  * @param {number} matchScore - Score for matching bases (default: 5)
@@ -17,6 +58,12 @@ const JARRAY = 3;
  * @param {number} nMismatchScore - Score for N vs nucleotide (default: -2)
  * @param {number} nMatchScore - Score for N vs N (default: -1)
  * @returns {Int32Array} - Flat array representing 256x256 scoring matrix
+ *
+ * Degenerate IUPAC codes (R, Y, S, W, K, M, B, D, H, V) score the rounded average
+ * of the match/mismatch scores over all the base pairs they could stand for,
+ * e.g. A vs R = round((5 + -4) / 2) = 1. Against N they score nMismatchScore.
+ * The A/C/G/T and N scores match EDNAFULL, but code-vs-code scores differ from it:
+ * R vs R = round((5 + -4 + -4 + 5) / 4) = 1, where EDNAFULL gives -1.
  */
 function makeMatrix(matchScore = 5, mismatchScore = -4, nMismatchScore = -2, nMatchScore = -1) {
     const matSize = 256; // ASCII table size for char codes
@@ -49,9 +96,113 @@ function makeMatrix(matchScore = 5, mismatchScore = -4, nMismatchScore = -2, nMa
     // N matches N
     matrix[nCode * matSize + nCode] = nMatchScore;
 
+    // Partial matches for degenerate codes
+    for (const code1 of [...nucleotides, ...IUPAC_DEGENERATE]) {
+        for (const code2 of IUPAC_DEGENERATE) {
+            let total = 0;
+            for (const base1 of IUPAC_CODES[code1]) {
+                for (const base2 of IUPAC_CODES[code2]) {
+                    total += base1 === base2 ? matchScore : mismatchScore;
+                }
+            }
+            const score = Math.round(total / (IUPAC_CODES[code1].length * IUPAC_CODES[code2].length));
+            matrix[code1.charCodeAt(0) * matSize + code2.charCodeAt(0)] = score;
+            matrix[code2.charCodeAt(0) * matSize + code1.charCodeAt(0)] = score;
+        }
+    }
+
+    for (const code of IUPAC_DEGENERATE) {
+        matrix[code.charCodeAt(0) * matSize + nCode] = nMismatchScore;
+        matrix[nCode * matSize + code.charCodeAt(0)] = nMismatchScore;
+    }
+
     return matrix;
 }
 
+/**
+ * Check whether two bases can stand for the same nucleotide under IUPAC codes
+ * (e.g. A and R, or Y and B). Characters that are not IUPAC codes only match themselves.
+ * @param {string} base1 - First base
+ * @param {string} base2 - Second base
+ * @returns {boolean} - True if the bases share at least one possible nucleotide
+ */
+function iupacCompatible(base1, base2) {
+    if (base1 === base2) return true;
+
+    const set1 = IUPAC_CODES[base1];
+    const set2 = IUPAC_CODES[base2];
+    if (!set1 || !set2) return false;
+
+    for (const base of set1) {
+        if (set2.includes(base)) return true;
+    }
+    return false;
+}
+
+/**
+ * Parse a substitution matrix in the NCBI/EMBOSS text format (e.g. EDNAFULL)
+ * Port of read_matrix() from crispresso_align.pyx. The score for a reference base
+ * 'C' aligned to a read base 'A' is stored at matrix['C'.charCodeAt(0) * 256 + 'A'.charCodeAt(0)]
+ * @param {string} text - Matrix file contents ('#' comment lines, a header row of
+ *                        column characters, then one row per character)
+ * @returns {Int32Array} - Flat array representing 256x256 scoring matrix (same layout as makeMatrix())
+ */
+function readMatrix(text) {
+    const matSize = 256;
+    const matrix = new Int32Array(matSize * matSize);
+
+    const lines = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && line[0] !== '#');
+
+    if (lines.length === 0) {
+        throw new Error('Matrix file has no header row');
+    }
+
+    const headers = lines[0].split(/\s+/).map(h => h.charCodeAt(0));
+
+    for (let row = 1; row < lines.length; row++) {
+        const fields = lines[row].split(/\s+/);
+        const rowCode = fields[0].charCodeAt(0);
+        const values = fields.slice(1);
+
+        if (values.length !== headers.length) {
+            throw new Error(`Matrix row '${fields[0]}' has ${values.length} values, expected ${headers.length}`);
+        }
+
+        for (let col = 0; col < headers.length; col++) {
+            const value = parseInt(values[col], 10);
+            if (isNaN(value)) {
+                throw new Error(`Invalid score '${values[col]}' in matrix row '${fields[0]}'`);
+            }
+            matrix[rowCode * matSize + headers[col]] = value;
+        }
+    }
+
+    return matrix;
+}
+
+/**
+ * Build the position-specific gap incentive array for an alignment, as CRISPResso2
+ * does: every predicted cut site in the reference gets a bonus for gaps, so indels
+ * are placed at the cut rather than anywhere in a repeat
+ * @param {number} refLength - Length of the (ungapped) reference
+ * @param {Array<number>} cutSites - Cut positions in the reference, as the index of the
+ *                                   base before which the cut occurs
+ * @param {number} incentive - Bonus per cut site (CRISPResso's needleman_wunsch_gap_incentive, default: 1)
+ * @returns {Int32Array} - Gap incentives (length = refLength + 1)
+ */
+function buildGapIncentive(refLength, cutSites, incentive = 1) {
+    const gapIncentive = new Int32Array(refLength + 1);
+    for (const cutSite of cutSites) {
+        // Cut sites past either end of the reference cannot hold a gap
+        if (cutSite >= 0 && cutSite <= refLength) {
+            gapIncentive[cutSite] = incentive;
+        }
+    }
+    return gapIncentive;
+}
+
 /**
  * Global sequence alignment using Needleman-Wunsch with affine gap penalties
  * Three-state dynamic programming (M, I, J arrays)
@@ -61,9 +212,14 @@ function makeMatrix(matchScore = 5, mismatchScore = -4, nMismatchScore = -2, nMa
  * @param {Int32Array} gapIncentive - Position-specific gap incentives (length = seqI.length + 1)
  * @param {number} gapOpen - Gap opening penalty (default: -1)
  * @param {number} gapExtend - Gap extension penalty (default: -1)
- * @returns {Object} - {alignedSeqJ, alignedSeqI, matchPercentage}
+ * @param {Object} options - Optional settings
+ * @param {string} options.freeEndGaps - Semi-global mode: make leading and trailing gaps free
+ *                                       in the 'read', the 'reference', or 'both' (default: 'none')
+ * @param {Function} options.onProgress - Called with the fraction of the DP matrix filled (0-1)
+ * @returns {Object} - {alignedSeqJ, alignedSeqI, matchPercentage, score, cigar, gapOpens,
+ *                     gapExtensions, startI, endI, startJ, endJ} (see tracebackAlignment())
  */
-function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend = -1) {
+function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend = -1, options = {}) {
     const maxJ = seqJ.length;
     const maxI = seqI.length;
 
@@ -72,6 +228,18 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
         throw new Error(`Gap incentive length mismatch: expected ${maxI + 1}, got ${gapIncentive.length}`);
     }
 
+    const freeEndGaps = options.freeEndGaps || 'none';
+    if (!FREE_END_GAP_MODES.includes(freeEndGaps)) {
+        throw new Error(`Invalid freeEndGaps option: ${freeEndGaps}`);
+    }
+
+    // End gaps in the read are J moves along the first and last column,
+    // end gaps in the reference are I moves along the first and last row
+    const freeReadEnds = freeEndGaps === 'read' || freeEndGaps === 'both';
+    const freeRefEnds = freeEndGaps === 'reference' || freeEndGaps === 'both';
+
+    const reportProgress = progressReporter(options.onProgress, maxI);
+
     const matSize = 256; // For matrix indexing
 
     // Initialize scoring and pointer matrices
@@ -85,7 +253,7 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
     const iPointer = new Int32Array((maxI + 1) * (maxJ + 1));
     const jPointer = new Int32Array((maxI + 1) * (maxJ + 1));
 
-    const minScore = gapOpen * maxJ * maxI;
+    const minScore = LOW_MEMORY_MIN_SCORE;
 
     // Helper function for 2D array access
     const idx = (i, j) => i * (maxJ + 1) + j;
@@ -104,7 +272,7 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
 
     // Initialize I matrix
     for (let i = 1; i <= maxJ; i++) {
-        iScore[idx(0, i)] = gapExtend * i + gapIncentive[0];
+        iScore[idx(0, i)] = freeRefEnds ? 0 : gapExtend * i + gapIncentive[0];
         iPointer[idx(0, i)] = IARRAY;
     }
     for (let i = 0; i <= maxI; i++) {
@@ -113,7 +281,7 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
 
     // Initialize J matrix
     for (let i = 1; i <= maxI; i++) {
-        jScore[idx(i, 0)] = gapExtend * i + gapIncentive[0];
+        jScore[idx(i, 0)] = freeReadEnds ? 0 : gapExtend * i + gapIncentive[0];
         jPointer[idx(i, 0)] = JARRAY;
     }
     for (let j = 0; j <= maxJ; j++) {
@@ -172,6 +340,8 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
                 }
             }
         }
+
+        reportProgress(i);
     }
 
     // Last column (no gap opening penalty)
@@ -190,8 +360,9 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
             iPointer[idx(i, j)] = IARRAY;
         }
 
-        const jFromMVal = gapExtend + mScore[idx(i - 1, j)] + gapIncentive[i - 1];
-        const jExtendVal = gapExtend + jScore[idx(i - 1, j)];
+        // Trailing gap in the read
+        const jFromMVal = freeReadEnds ? mScore[idx(i - 1, j)] : gapExtend + mScore[idx(i - 1, j)] + gapIncentive[i - 1];
+        const jExtendVal = freeReadEnds ? jScore[idx(i - 1, j)] : gapExtend + jScore[idx(i - 1, j)];
         if (jFromMVal > jExtendVal) {
             jScore[idx(i, j)] = jFromMVal;
             jPointer[idx(i, j)] = MARRAY;
@@ -229,8 +400,9 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
     for (let j = 1; j <= maxJ; j++) {
         const cj = seqJ.charCodeAt(j - 1);
 
-        const iFromMVal = gapExtend + mScore[idx(i, j - 1)] + gapIncentive[i];
-        const iExtendVal = gapExtend + iScore[idx(i, j - 1)] + gapIncentive[i];
+        // Trailing gap in the reference
+        const iFromMVal = freeRefEnds ? mScore[idx(i, j - 1)] : gapExtend + mScore[idx(i, j - 1)] + gapIncentive[i];
+        const iExtendVal = freeRefEnds ? iScore[idx(i, j - 1)] : gapExtend + iScore[idx(i, j - 1)] + gapIncentive[i];
         if (iFromMVal > iExtendVal) {
             iScore[idx(i, j)] = iFromMVal;
             iPointer[idx(i, j)] = MARRAY;
@@ -239,8 +411,10 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
             iPointer[idx(i, j)] = IARRAY;
         }
 
-        const jFromMVal = gapExtend + mScore[idx(i - 1, j)] + gapIncentive[i - 1];
-        const jExtendVal = gapExtend + jScore[idx(i - 1, j)];
+        // The corner cell also ends the last column (trailing gap in the read)
+        const freeJ = freeReadEnds && j === maxJ;
+        const jFromMVal = freeJ ? mScore[idx(i - 1, j)] : gapExtend + mScore[idx(i - 1, j)] + gapIncentive[i - 1];
+        const jExtendVal = freeJ ? jScore[idx(i - 1, j)] : gapExtend + jScore[idx(i - 1, j)];
         if (jFromMVal > jExtendVal) {
             jScore[idx(i, j)] = jFromMVal;
             jPointer[idx(i, j)] = MARRAY;
@@ -273,35 +447,429 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
     }
 
     // Traceback
-    const alignmentJ = [];
-    const alignmentI = [];
-    let matchCount = 0;
-    let alignCounter = 0;
-
-    let currI = maxI;
-    let currJ = maxJ;
-
     // Determine starting matrix
     let currMatrix = MARRAY;
-    if (mScore[idx(currI, currJ)] > jScore[idx(currI, currJ)]) {
-        if (mScore[idx(currI, currJ)] > iScore[idx(currI, currJ)]) {
+    const endIdx = idx(maxI, maxJ);
+    if (mScore[endIdx] > jScore[endIdx]) {
+        if (mScore[endIdx] > iScore[endIdx]) {
             currMatrix = MARRAY;
         } else {
             currMatrix = IARRAY;
         }
     } else {
-        if (jScore[idx(currI, currJ)] > iScore[idx(currI, currJ)]) {
+        if (jScore[endIdx] > iScore[endIdx]) {
             currMatrix = JARRAY;
         } else {
             currMatrix = IARRAY;
         }
     }
 
-    while (currI > 0 || currJ > 0) {
+    const scores = { [MARRAY]: mScore, [IARRAY]: iScore, [JARRAY]: jScore };
+    const pointers = { [MARRAY]: mPointer, [IARRAY]: iPointer, [JARRAY]: jPointer };
+    const pointerAt = (matrixId, i, j) => pointers[matrixId][idx(i, j)];
+
+    return tracebackAlignment(seqJ, seqI, maxI, maxJ, currMatrix, pointerAt, scores[currMatrix][endIdx]);
+}
+
+/**
+ * Memory-efficient variant of globalAlign() for multi-kilobase sequences
+ * Keeps only two rows of each score array and packs the three traceback pointers
+ * into 4 bits per cell (~0.5 bytes per cell instead of 24), and produces the same
+ * alignment as globalAlign() for the same arguments
+ * @param {string} seqJ - Query/read sequence
+ * @param {string} seqI - Reference sequence
+ * @param {Int32Array} matrix - Scoring matrix from makeMatrix()
+ * @param {Int32Array} gapIncentive - Position-specific gap incentives (length = seqI.length + 1)
+ * @param {number} gapOpen - Gap opening penalty (default: -1)
+ * @param {number} gapExtend - Gap extension penalty (default: -1)
+ * @param {Object} options - Same options as globalAlign()
+ * @returns {Object} - Same result as globalAlign()
+ */
+function globalAlignLowMemory(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend = -1, options = {}) {
+    const maxJ = seqJ.length;
+    const maxI = seqI.length;
+
+    // Validate gap incentive length
+    if (gapIncentive.length !== maxI + 1) {
+        throw new Error(`Gap incentive length mismatch: expected ${maxI + 1}, got ${gapIncentive.length}`);
+    }
+
+    const freeEndGaps = options.freeEndGaps || 'none';
+    if (!FREE_END_GAP_MODES.includes(freeEndGaps)) {
+        throw new Error(`Invalid freeEndGaps option: ${freeEndGaps}`);
+    }
+
+    const freeReadEnds = freeEndGaps === 'read' || freeEndGaps === 'both';
+    const freeRefEnds = freeEndGaps === 'reference' || freeEndGaps === 'both';
+
+    const reportProgress = progressReporter(options.onProgress, maxI);
+
+    const matSize = 256; // For matrix indexing
+    const cols = maxJ + 1;
+
+    // Rolling score rows (previous and current row of each array)
+    let mPrev = new Int32Array(cols);
+    let iPrev = new Int32Array(cols);
+    let jPrev = new Int32Array(cols);
+    let mCurr = new Int32Array(cols);
+    let iCurr = new Int32Array(cols);
+    let jCurr = new Int32Array(cols);
+
+    // Packed pointers, two cells per byte. Per 4-bit cell:
+    // bits 0-1 = M pointer (0, MARRAY, IARRAY or JARRAY)
+    // bit 2    = I pointer (1 = IARRAY, 0 = MARRAY)
+    // bit 3    = J pointer (1 = JARRAY, 0 = MARRAY)
+    const pointers = new Uint8Array(Math.ceil((maxI + 1) * cols / 2));
+
+    const setPointers = (i, j, mPtr, iPtr, jPtr) => {
+        const cell = i * cols + j;
+        const nibble = mPtr | (iPtr === IARRAY ? 4 : 0) | (jPtr === JARRAY ? 8 : 0);
+        const byte = cell >> 1;
+        if (cell & 1) {
+            pointers[byte] = (pointers[byte] & 0x0F) | (nibble << 4);
+        } else {
+            pointers[byte] = (pointers[byte] & 0xF0) | nibble;
+        }
+    };
+
+    const pointerAt = (matrixId, i, j) => {
+        // globalAlign() never sets I pointers in column 0 or J pointers in row 0
+        if ((matrixId === IARRAY && j === 0) || (matrixId === JARRAY && i === 0)) return 0;
+
+        const cell = i * cols + j;
+        const nibble = (cell & 1) ? (pointers[cell >> 1] >> 4) : (pointers[cell >> 1] & 0x0F);
+        if (matrixId === MARRAY) return nibble & 3;
+        if (matrixId === IARRAY) return (nibble & 4) ? IARRAY : MARRAY;
+        return (nibble & 8) ? JARRAY : MARRAY;
+    };
+
+    const minScore = LOW_MEMORY_MIN_SCORE;
+
+    // Row 0
+    mCurr[0] = 0;
+    iCurr[0] = minScore;
+    jCurr[0] = minScore;
+    setPointers(0, 0, 0, 0, 0);
+    for (let j = 1; j <= maxJ; j++) {
+        mCurr[j] = minScore;
+        iCurr[j] = freeRefEnds ? 0 : gapExtend * j + gapIncentive[0];
+        jCurr[j] = minScore;
+        setPointers(0, j, IARRAY, IARRAY, 0);
+    }
+
+    for (let i = 1; i <= maxI; i++) {
+        // Swap rows
+        [mPrev, mCurr] = [mCurr, mPrev];
+        [iPrev, iCurr] = [iCurr, iPrev];
+        [jPrev, jCurr] = [jCurr, jPrev];
+
+        const ci = seqI.charCodeAt(i - 1);
+        const lastRow = i === maxI;
+
+        mCurr[0] = minScore;
+        iCurr[0] = minScore;
+        jCurr[0] = freeReadEnds ? 0 : gapExtend * i + gapIncentive[0];
+        setPointers(i, 0, JARRAY, 0, JARRAY);
+
+        for (let j = 1; j <= maxJ; j++) {
+            const cj = seqJ.charCodeAt(j - 1);
+            const lastCol = j === maxJ;
+
+            // Gap costs: interior cells pay to open gaps, the last row and column
+            // (as in globalAlign) only pay extension, and free end gaps pay nothing
+            let iOpenCost, iExtendCost, jOpenCost, jExtendCost;
+            if (lastRow) {
+                iOpenCost = freeRefEnds ? 0 : gapExtend + gapIncentive[i];
+                iExtendCost = freeRefEnds ? 0 : gapExtend + gapIncentive[i];
+            } else if (lastCol) {
+                iOpenCost = gapExtend + gapIncentive[i];
+                iExtendCost = gapExtend + gapIncentive[i];
+            } else {
+                iOpenCost = gapOpen + gapIncentive[i];
+                iExtendCost = gapExtend + gapIncentive[i];
+            }
+            if (lastCol && freeReadEnds) {
+                jOpenCost = 0;
+                jExtendCost = 0;
+            } else if (lastRow || lastCol) {
+                jOpenCost = gapExtend + gapIncentive[i - 1];
+                jExtendCost = gapExtend;
+            } else {
+                jOpenCost = gapOpen + gapIncentive[i - 1];
+                jExtendCost = gapExtend;
+            }
+
+            let iPtr, jPtr, mPtr;
+
+            // I array (gap in read)
+            const iFromMVal = iOpenCost + mCurr[j - 1];
+            const iExtendVal = iExtendCost + iCurr[j - 1];
+            if (iFromMVal > iExtendVal) {
+                iCurr[j] = iFromMVal;
+                iPtr = MARRAY;
+            } else {
+                iCurr[j] = iExtendVal;
+                iPtr = IARRAY;
+            }
+
+            // J array (gap in ref)
+            const jFromMVal = jOpenCost + mPrev[j];
+            const jExtendVal = jExtendCost + jPrev[j];
+            if (jFromMVal > jExtendVal) {
+                jCurr[j] = jFromMVal;
+                jPtr = MARRAY;
+            } else {
+                jCurr[j] = jExtendVal;
+                jPtr = JARRAY;
+            }
+
+            // M array (match/mismatch)
+            const score = matrix[ci * matSize + cj];
+            const mVal = mPrev[j - 1] + score;
+            const iVal = iPrev[j - 1] + score;
+            const jVal = jPrev[j - 1] + score;
+
+            if (mVal > jVal) {
+                if (mVal > iVal) {
+                    mCurr[j] = mVal;
+                    mPtr = MARRAY;
+                } else {
+                    mCurr[j] = iVal;
+                    mPtr = IARRAY;
+                }
+            } else {
+                if (jVal > iVal) {
+                    mCurr[j] = jVal;
+                    mPtr = JARRAY;
+                } else {
+                    mCurr[j] = iVal;
+                    mPtr = IARRAY;
+                }
+            }
+
+            setPointers(i, j, mPtr, iPtr, jPtr);
+        }
+
+        reportProgress(i);
+    }
+
+    // Traceback from the corner, starting in the best-scoring matrix
+    let currMatrix = MARRAY;
+    if (mCurr[maxJ] > jCurr[maxJ]) {
+        currMatrix = mCurr[maxJ] > iCurr[maxJ] ? MARRAY : IARRAY;
+    } else {
+        currMatrix = jCurr[maxJ] > iCurr[maxJ] ? JARRAY : IARRAY;
+    }
+
+    const scores = { [MARRAY]: mCurr, [IARRAY]: iCurr, [JARRAY]: jCurr };
+
+    return tracebackAlignment(seqJ, seqI, maxI, maxJ, currMatrix, pointerAt, scores[currMatrix][maxJ]);
+}
+
+/**
+ * Local sequence alignment using Smith-Waterman with affine gap penalties
+ * Same three-state model (M, I, J arrays) and gap incentives as globalAlign(),
+ * but the alignment may start and end anywhere in either sequence
+ * @param {string} seqJ - Query/read sequence
+ * @param {string} seqI - Reference sequence
+ * @param {Int32Array} matrix - Scoring matrix from makeMatrix()
+ * @param {Int32Array} gapIncentive - Position-specific gap incentives (length = seqI.length + 1)
+ * @param {number} gapOpen - Gap opening penalty (default: -1)
+ * @param {number} gapExtend - Gap extension penalty (default: -1)
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Called with the fraction of the DP matrix filled (0-1)
+ * @returns {Object} - Same result as globalAlign(); startI/endI and startJ/endJ give the
+ *                     aligned region of each sequence
+ */
+function localAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend = -1, options = {}) {
+    const maxJ = seqJ.length;
+    const maxI = seqI.length;
+
+    // Validate gap incentive length
+    if (gapIncentive.length !== maxI + 1) {
+        throw new Error(`Gap incentive length mismatch: expected ${maxI + 1}, got ${gapIncentive.length}`);
+    }
+
+    const matSize = 256; // For matrix indexing
+
+    const mScore = new Int32Array((maxI + 1) * (maxJ + 1));
+    const iScore = new Int32Array((maxI + 1) * (maxJ + 1));
+    const jScore = new Int32Array((maxI + 1) * (maxJ + 1));
+    const mPointer = new Int32Array((maxI + 1) * (maxJ + 1));
+    const iPointer = new Int32Array((maxI + 1) * (maxJ + 1));
+    const jPointer = new Int32Array((maxI + 1) * (maxJ + 1));
+
+    const minScore = gapOpen * maxJ * maxI;
+
+    const idx = (i, j) => i * (maxJ + 1) + j;
+
+    // Borders can never be part of a local alignment, so all three states start at minScore
+    for (let j = 0; j <= maxJ; j++) {
+        mScore[idx(0, j)] = minScore;
+        iScore[idx(0, j)] = minScore;
+        jScore[idx(0, j)] = minScore;
+    }
+    for (let i = 1; i <= maxI; i++) {
+        mScore[idx(i, 0)] = minScore;
+        iScore[idx(i, 0)] = minScore;
+        jScore[idx(i, 0)] = minScore;
+    }
+
+    let bestScore = 0;
+    let bestI = 0;
+    let bestJ = 0;
+
+    const reportProgress = progressReporter(options.onProgress, maxI);
+
+    for (let i = 1; i <= maxI; i++) {
+        const ci = seqI.charCodeAt(i - 1);
+
+        for (let j = 1; j <= maxJ; j++) {
+            const cj = seqJ.charCodeAt(j - 1);
+
+            // I array (gap in read)
+            const iFromMVal = gapOpen + mScore[idx(i, j - 1)] + gapIncentive[i];
+            const iExtendVal = gapExtend + iScore[idx(i, j - 1)] + gapIncentive[i];
+            if (iFromMVal > iExtendVal) {
+                iScore[idx(i, j)] = iFromMVal;
+                iPointer[idx(i, j)] = MARRAY;
+            } else {
+                iScore[idx(i, j)] = iExtendVal;
+                iPointer[idx(i, j)] = IARRAY;
+            }
+
+            // J array (gap in ref)
+            const jFromMVal = gapOpen + mScore[idx(i - 1, j)] + gapIncentive[i - 1];
+            const jExtendVal = gapExtend + jScore[idx(i - 1, j)];
+            if (jFromMVal > jExtendVal) {
+                jScore[idx(i, j)] = jFromMVal;
+                jPointer[idx(i, j)] = MARRAY;
+            } else {
+                jScore[idx(i, j)] = jExtendVal;
+                jPointer[idx(i, j)] = JARRAY;
+            }
+
+            // M array (match/mismatch), restarting the alignment when the
+            // best predecessor is not positive
+            const mPrev = mScore[idx(i - 1, j - 1)];
+            const iPrev = iScore[idx(i - 1, j - 1)];
+            const jPrev = jScore[idx(i - 1, j - 1)];
+
+            let prevScore;
+            let prevPointer;
+            if (mPrev > jPrev) {
+                if (mPrev > iPrev) {
+                    prevScore = mPrev;
+                    prevPointer = MARRAY;
+                } else {
+                    prevScore = iPrev;
+                    prevPointer = IARRAY;
+                }
+            } else {
+                if (jPrev > iPrev) {
+                    prevScore = jPrev;
+                    prevPointer = JARRAY;
+                } else {
+                    prevScore = iPrev;
+                    prevPointer = IARRAY;
+                }
+            }
+
+            if (prevScore <= 0) {
+                prevScore = 0;
+                prevPointer = NONE;
+            }
+
+            const mVal = prevScore + matrix[ci * matSize + cj];
+            mScore[idx(i, j)] = mVal;
+            mPointer[idx(i, j)] = prevPointer;
+
+            if (mVal > bestScore) {
+                bestScore = mVal;
+                bestI = i;
+                bestJ = j;
+            }
+        }
+
+        reportProgress(i);
+    }
+
+    // No positive-scoring local alignment
+    if (bestScore <= 0) {
+        return {
+            alignedSeqJ: '',
+            alignedSeqI: '',
+            matchPercentage: 0,
+            score: 0,
+            cigar: '*',
+            gapOpens: 0,
+            gapExtensions: 0,
+            startI: 0,
+            endI: 0,
+            startJ: 0,
+            endJ: 0
+        };
+    }
+
+    const pointers = { [MARRAY]: mPointer, [IARRAY]: iPointer, [JARRAY]: jPointer };
+    const pointerAt = (matrixId, i, j) => pointers[matrixId][idx(i, j)];
+
+    // Local alignments always end on a match/mismatch
+    return tracebackAlignment(seqJ, seqI, bestI, bestJ, MARRAY, pointerAt, bestScore);
+}
+
+/**
+ * Run one alignment job: pick the aligner for the mode and, for global and
+ * semi-global alignment of large inputs, the low-memory implementation
+ * Shared by the alignment Web Worker and the main-thread fallback
+ * @param {Object} job - {mode, seqJ, seqI, matrix, gapIncentive, gapOpen, gapExtend, freeEndGaps}
+ *                       where mode is 'global', 'semiglobal' or 'local'
+ * @param {Function} onProgress - Called with the fraction of the DP matrix filled (0-1)
+ * @returns {Object} - Alignment result (see globalAlign())
+ */
+function runAlignment(job, onProgress) {
+    const { seqJ, seqI, matrix, gapIncentive, gapOpen, gapExtend } = job;
+
+    if (job.mode === 'local') {
+        return localAlign(seqJ, seqI, matrix, gapIncentive, gapOpen, gapExtend, { onProgress });
+    }
+
+    // Large inputs would need gigabytes for the full DP matrices
+    const cells = (seqI.length + 1) * (seqJ.length + 1);
+    const align = cells > LOW_MEMORY_CELL_THRESHOLD ? globalAlignLowMemory : globalAlign;
+    const options = { onProgress };
+    if (job.mode === 'semiglobal') {
+        options.freeEndGaps = job.freeEndGaps;
+    }
+    return align(seqJ, seqI, matrix, gapIncentive, gapOpen, gapExtend, options);
+}
+
+/**
+ * Follow traceback pointers from (currI, currJ) back to the start of the alignment
+ * Stops at the matrix origin, or at a NONE pointer (start of a local alignment)
+ * @param {string} seqJ - Query/read sequence
+ * @param {string} seqI - Reference sequence
+ * @param {number} currI - Reference position to start the traceback from
+ * @param {number} currJ - Read position to start the traceback from
+ * @param {number} currMatrix - Matrix (MARRAY, IARRAY, JARRAY) to start the traceback in
+ * @param {Function} pointerAt - (matrixId, i, j) => pointer stored for that cell
+ * @param {number} score - DP score of the cell the traceback starts from
+ * @returns {Object} - {alignedSeqJ, alignedSeqI, matchPercentage, score, cigar, gapOpens,
+ *                     gapExtensions, startI, endI, startJ, endJ}
+ *                     start/end are 0-based, end-exclusive coordinates of the aligned region
+ *                     (terminal gaps excluded) in the ungapped reference (I) and read (J)
+ */
+function tracebackAlignment(seqJ, seqI, currI, currJ, currMatrix, pointerAt, score) {
+    const alignmentJ = [];
+    const alignmentI = [];
+    let matchCount = 0;
+    let alignCounter = 0;
+
+    while ((currI > 0 || currJ > 0) && currMatrix !== NONE) {
         let currPtr;
 
         if (currMatrix === MARRAY) {
-            currPtr = mPointer[idx(currI, currJ)];
+            currPtr = pointerAt(MARRAY, currI, currJ);
             alignmentJ.push(seqJ[currJ - 1]);
             alignmentI.push(seqI[currI - 1]);
 
@@ -314,7 +882,7 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
             currMatrix = currPtr;
 
         } else if (currMatrix === JARRAY) {
-            currPtr = jPointer[idx(currI, currJ)];
+            currPtr = pointerAt(JARRAY, currI, currJ);
             alignmentJ.push('-');
             alignmentI.push(seqI[currI - 1]);
 
@@ -322,7 +890,7 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
             currMatrix = currPtr;
 
         } else if (currMatrix === IARRAY) {
-            currPtr = iPointer[idx(currI, currJ)];
+            currPtr = pointerAt(IARRAY, currI, currJ);
             alignmentJ.push(seqJ[currJ - 1]);
             alignmentI.push('-');
 
@@ -342,10 +910,199 @@ function globalAlign(seqJ, seqI, matrix, gapIncentive, gapOpen = -1, gapExtend =
 
     const matchPercentage = alignCounter > 0 ? (100 * matchCount / alignCounter) : 0;
 
+    const summary = summarizeAlignment(finalAlignJ, finalAlignI);
+
     return {
         alignedSeqJ: finalAlignJ,
         alignedSeqI: finalAlignI,
-        matchPercentage: Math.round(matchPercentage * 1000) / 1000 // Round to 3 decimal places
+        matchPercentage: Math.round(matchPercentage * 1000) / 1000, // Round to 3 decimal places
+        score: score,
+        cigar: summary.cigar,
+        gapOpens: summary.gapOpens,
+        gapExtensions: summary.gapExtensions,
+        startI: currI + summary.startI,
+        endI: currI + summary.endI,
+        startJ: currJ + summary.startJ,
+        endJ: currJ + summary.endJ
+    };
+}
+
+/**
+ * Describe a gapped read/reference pair as edit operations
+ * The CIGAR uses =/X for matches/mismatches and I/D for insertions/deletions in the
+ * read. Like SAM, it covers the aligned region only: leading/trailing read bases
+ * opposite gaps become soft clips (S) and leading/trailing deletions are left out
+ * (the region start is given by startI instead).
+ * @param {string} alignedSeqJ - Aligned read sequence
+ * @param {string} alignedSeqI - Aligned reference sequence
+ * @returns {Object} - {cigar, gapOpens, gapExtensions, startI, endI, startJ, endJ}
+ *                     gapOpens counts gap runs in either sequence (including terminal gaps),
+ *                     gapExtensions counts the gap positions after the first of each run;
+ *                     start/end are 0-based, end-exclusive offsets of the aligned region
+ *                     in the ungapped reference (I) and read (J)
+ */
+function summarizeAlignment(alignedSeqJ, alignedSeqI) {
+    const ops = [];
+    for (let c = 0; c < alignedSeqI.length; c++) {
+        const refBase = alignedSeqI[c];
+        const readBase = alignedSeqJ[c];
+
+        if (refBase === '-' && readBase === '-') continue;
+
+        if (refBase === '-') {
+            ops.push('I');
+        } else if (readBase === '-') {
+            ops.push('D');
+        } else {
+            ops.push(refBase === readBase ? '=' : 'X');
+        }
+    }
+
+    // Gap runs
+    let gapOpens = 0;
+    let gapPositions = 0;
+    for (let k = 0; k < ops.length; k++) {
+        if (ops[k] === 'I' || ops[k] === 'D') {
+            gapPositions++;
+            if (k === 0 || ops[k - 1] !== ops[k]) {
+                gapOpens++;
+            }
+        }
+    }
+
+    const refLength = ops.filter(op => op !== 'I').length;
+    const readLength = ops.filter(op => op !== 'D').length;
+
+    const isAligned = op => op === '=' || op === 'X';
+    const first = ops.findIndex(isAligned);
+
+    // Nothing aligned: the whole read is clipped
+    if (first === -1) {
+        return {
+            cigar: readLength > 0 ? `${readLength}S` : '*',
+            gapOpens,
+            gapExtensions: gapPositions - gapOpens,
+            startI: 0,
+            endI: 0,
+            startJ: 0,
+            endJ: 0
+        };
+    }
+
+    let last = ops.length - 1;
+    while (!isAligned(ops[last])) last--;
+
+    const leading = ops.slice(0, first);
+    const trailing = ops.slice(last + 1);
+    const count = (list, op) => list.filter(o => o === op).length;
+
+    // Run-length encode the aligned region
+    let cigar = '';
+    let runOp = null;
+    let runLength = 0;
+    for (const op of ops.slice(first, last + 1)) {
+        if (op === runOp) {
+            runLength++;
+        } else {
+            if (runOp) cigar += runLength + runOp;
+            runOp = op;
+            runLength = 1;
+        }
+    }
+    cigar += runLength + runOp;
+
+    const leadingClip = count(leading, 'I');
+    const trailingClip = count(trailing, 'I');
+    if (leadingClip > 0) cigar = leadingClip + 'S' + cigar;
+    if (trailingClip > 0) cigar = cigar + trailingClip + 'S';
+
+    return {
+        cigar,
+        gapOpens,
+        gapExtensions: gapPositions - gapOpens,
+        startI: count(leading, 'D'),
+        endI: refLength - count(trailing, 'D'),
+        startJ: leadingClip,
+        endJ: readLength - trailingClip
+    };
+}
+
+/**
+ * Move every indel to its leftmost or rightmost equivalent position
+ * In a repeat, a gap can be placed at several positions that give the same pairs
+ * of aligned bases; traceback tie-breaking decides which one globalAlign() returns.
+ * Shifting all gaps to one side makes identical alleles give identical alignments.
+ * 'left' follows the VCF convention, 'right' the HGVS 3' rule.
+ * @param {string} alignedSeqJ - Aligned read sequence
+ * @param {string} alignedSeqI - Aligned reference sequence
+ * @param {string} direction - 'left' or 'right'
+ * @returns {Object} - {alignedSeqJ, alignedSeqI} with the gaps shifted
+ */
+function normalizeIndels(alignedSeqJ, alignedSeqI, direction) {
+    if (direction !== 'left' && direction !== 'right') {
+        throw new Error(`Invalid indel normalization direction: ${direction}`);
+    }
+
+    const rowJ = alignedSeqJ.split('');
+    const rowI = alignedSeqI.split('');
+
+    // Shift each gap run in gapRow one column at a time while the base it
+    // passes over pairs with an identical base on the other side of the run
+    const shiftGaps = (gapRow, otherRow) => {
+        let moved = false;
+
+        if (direction === 'left') {
+            for (let c = 0; c < gapRow.length; c++) {
+                if (gapRow[c] !== '-' || (c > 0 && gapRow[c - 1] === '-')) continue;
+
+                let start = c;
+                let end = c;
+                while (end < gapRow.length && gapRow[end] === '-') end++;
+
+                while (start > 0 && gapRow[start - 1] !== '-' && otherRow[start - 1] !== '-' &&
+                       otherRow[start - 1] === otherRow[end - 1]) {
+                    gapRow[end - 1] = gapRow[start - 1];
+                    gapRow[start - 1] = '-';
+                    start--;
+                    end--;
+                    moved = true;
+                }
+                c = end;
+            }
+        } else {
+            for (let c = gapRow.length - 1; c >= 0; c--) {
+                if (gapRow[c] !== '-' || (c < gapRow.length - 1 && gapRow[c + 1] === '-')) continue;
+
+                let start = c + 1;
+                let end = c + 1;
+                while (start > 0 && gapRow[start - 1] === '-') start--;
+
+                while (end < gapRow.length && gapRow[end] !== '-' && otherRow[end] !== '-' &&
+                       otherRow[start] === otherRow[end]) {
+                    gapRow[start] = gapRow[end];
+                    gapRow[end] = '-';
+                    start++;
+                    end++;
+                    moved = true;
+                }
+                c = start;
+            }
+        }
+
+        return moved;
+    };
+
+    // Moving gaps in one row can free up gaps in the other, so repeat until stable
+    let changed = true;
+    while (changed) {
+        const movedJ = shiftGaps(rowJ, rowI);
+        const movedI = shiftGaps(rowI, rowJ);
+        changed = movedJ || movedI;
+    }
+
+    return {
+        alignedSeqJ: rowJ.join(''),
+        alignedSeqI: rowI.join('')
     };
 }
 
@@ -544,7 +1301,17 @@ function calculateHomology(a, b) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         makeMatrix,
+        readMatrix,
+        iupacCompatible,
+        IUPAC_CODES,
+        buildGapIncentive,
         globalAlign,
+        globalAlignLowMemory,
+        localAlign,
+        runAlignment,
+        summarizeAlignment,
+        normalizeIndels,
+        LOW_MEMORY_CELL_THRESHOLD,
         findIndelsSubstitutions,
         calculateHomology
     };
@@ -0,0 +1,258 @@
+// Annotation Import/Export Functions
+// Reads and writes annotations as BED6 and GFF3 so they can be exchanged with
+// genome browsers and feature databases. BED is 0-based half-open, GFF3 is
+// 1-based inclusive; annotations are 0-based inclusive.
+
+const GFF3_FILE_PATTERN = /\.(gff|gff3)$/i;
+
+// Feature type written to GFF3 for annotations without one (Sequence Ontology)
+const GFF3_DEFAULT_TYPE = 'sequence_feature';
+
+// Characters GFF3 requires to be percent-encoded in column 9 values
+const GFF3_RESERVED = /[\t\n\r%;=&,\x00-\x1f\x7f]/g;
+
+// Parse a BED/GFF3 score column ('.' means no score)
+function parseFeatureScore(value) {
+    if (value === undefined || value === '.' || value === '') return undefined;
+    const score = parseFloat(value);
+    return isNaN(score) ? undefined : score;
+}
+
+// Parse a strand column; anything but + or - has no strand
+function parseFeatureStrand(value) {
+    return value === '+' || value === '-' ? value : undefined;
+}
+
+/**
+ * Parse BED text (BED3 to BED12; columns after strand are ignored)
+ * @param {string} text - Tab- or whitespace-separated BED lines
+ * @returns {Array<Object>} - [{chrom, start, end, name, score, strand}] with 0-based,
+ *                            inclusive coordinates
+ */
+function parseBED(text) {
+    const features = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || /^(#|track\b|browser\b)/.test(line)) return;
+
+        const fields = line.includes('\t') ? line.split('\t') : line.trim().split(/\s+/);
+        const start = parseInt(fields[1]);
+        const end = parseInt(fields[2]);
+        if (fields.length < 3 || isNaN(start) || isNaN(end) || start < 0 || end <= start) {
+            throw new Error(`Invalid BED line ${index + 1}`);
+        }
+
+        features.push({
+            chrom: fields[0],
+            start,
+            end: end - 1,
+            name: fields[3] && fields[3] !== '.' ? fields[3] : '',
+            score: parseFeatureScore(fields[4]),
+            strand: parseFeatureStrand(fields[5])
+        });
+    });
+    return features;
+}
+
+/**
+ * Parse GFF3 text; parsing stops at a ##FASTA section
+ * @param {string} text - GFF3 lines with 9 tab-separated columns
+ * @returns {Array<Object>} - [{chrom, type, start, end, name, score, strand}] with
+ *                            0-based, inclusive coordinates; name is the Name
+ *                            attribute, falling back to ID
+ */
+function parseGFF3(text) {
+    const features = [];
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith('##FASTA')) break;
+        if (!line.trim() || line.startsWith('#')) continue;
+
+        const fields = line.split('\t');
+        const start = parseInt(fields[3]);
+        const end = parseInt(fields[4]);
+        if (fields.length < 9 || isNaN(start) || isNaN(end) || start < 1 || end < start) {
+            throw new Error(`Invalid GFF3 line ${i + 1}`);
+        }
+
+        const attributes = {};
+        for (const pair of fields[8].split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) continue;
+            attributes[decodeURIComponent(pair.substring(0, separator).trim())] =
+                decodeURIComponent(pair.substring(separator + 1));
+        }
+
+        features.push({
+            chrom: decodeURIComponent(fields[0]),
+            type: fields[2],
+            start: start - 1,
+            end: end - 1,
+            name: attributes.Name || attributes.ID || '',
+            score: parseFeatureScore(fields[5]),
+            strand: parseFeatureStrand(fields[6])
+        });
+    }
+    return features;
+}
+
+/**
+ * Map parsed BED/GFF3 features onto the two sequences by their chromosome name
+ * @param {Array<Object>} features - Features from parseBED() or parseGFF3()
+ * @param {Object} seqNames - {seq1, seq2}: names of the two sequences
+ * @param {string} defaultSeq - 'seq1' or 'seq2' for features on other chromosomes
+ * @returns {Array<Object>} - Annotations [{seq, start, end, text, type, strand, score}];
+ *                            type, strand and score are only set when present
+ */
+function featuresToAnnotations(features, seqNames, defaultSeq) {
+    return features.map(feature => {
+        let seq = defaultSeq;
+        if (feature.chrom === seqNames.seq1) seq = 'seq1';
+        else if (feature.chrom === seqNames.seq2) seq = 'seq2';
+
+        const annotation = {
+            seq,
+            start: feature.start,
+            end: feature.end,
+            text: feature.name || feature.type || 'feature'
+        };
+        if (feature.type) annotation.type = feature.type;
+        if (feature.strand) annotation.strand = feature.strand;
+        if (feature.score !== undefined) annotation.score = feature.score;
+        return annotation;
+    });
+}
+
+/**
+ * Format annotations as BED6
+ * @param {Array<Object>} annotations - [{seq, start, end, text, strand, score}]
+ * @param {Object} seqNames - {seq1, seq2}: chromosome names written for each sequence
+ * @returns {string} - BED text
+ */
+function formatBED(annotations, seqNames) {
+    return annotations.map(ann => [
+        seqNames[ann.seq],
+        ann.start,
+        ann.end + 1,
+        (ann.text || '.').replace(/\s+/g, ' '),
+        ann.score !== undefined ? ann.score : 0,
+        ann.strand || '.'
+    ].join('\t') + '\n').join('');
+}
+
+/**
+ * Format annotations as GFF3
+ * @param {Array<Object>} annotations - [{seq, start, end, text, type, strand, score}]
+ * @param {Object} seqNames - {seq1, seq2}: seqid written for each sequence
+ * @param {Object} seqLengths - {seq1, seq2}: ungapped lengths for ##sequence-region
+ * @returns {string} - GFF3 text
+ */
+function formatGFF3(annotations, seqNames, seqLengths = {}) {
+    const encode = value => String(value).replace(GFF3_RESERVED, c =>
+        '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+
+    const lines = ['##gff-version 3'];
+    ['seq1', 'seq2'].forEach(seq => {
+        if (seqLengths[seq] > 0 && annotations.some(ann => ann.seq === seq)) {
+            lines.push(`##sequence-region ${encode(seqNames[seq])} 1 ${seqLengths[seq]}`);
+        }
+    });
+
+    annotations.forEach((ann, index) => {
+        lines.push([
+            encode(seqNames[ann.seq]),
+            'VizAlign',
+            ann.type || GFF3_DEFAULT_TYPE,
+            ann.start + 1,
+            ann.end + 1,
+            ann.score !== undefined ? ann.score : '.',
+            ann.strand || '.',
+            '.',
+            `ID=annotation${index + 1};Name=${encode(ann.text)}`
+        ].join('\t'));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Chromosome names of the two sequences: the first word of each sequence name
+function getAnnotationSeqNames() {
+    const name1Input = document.getElementById('name1');
+    const name2Input = document.getElementById('name2');
+    const chrom = (input, fallback) => (input && input.value.trim() ? input.value.trim().split(/\s+/)[0] : fallback);
+    return { seq1: chrom(name1Input, 'Reference'), seq2: chrom(name2Input, 'Amplicon_1') };
+}
+
+// Import a BED or GFF3 file; features on unknown chromosomes go to the sequence
+// selected for new annotations
+function loadAnnotationFile(file) {
+    return file.text().then(text => {
+        const isGFF3 = GFF3_FILE_PATTERN.test(file.name) || text.startsWith('##gff-version');
+        const features = isGFF3 ? parseGFF3(text) : parseBED(text);
+        if (features.length === 0) {
+            throw new Error('No features found');
+        }
+
+        const seqSelect = document.getElementById('annotation-seq');
+        const defaultSeq = seqSelect ? seqSelect.value : 'seq1';
+        importAnnotations(featuresToAnnotations(features, getAnnotationSeqNames(), defaultSeq));
+        console.log(`Imported ${features.length} ${isGFF3 ? 'GFF3' : 'BED'} features`);
+    }).catch(error => {
+        console.error('Annotation import error:', error);
+        alert('Error importing annotations: ' + error.message);
+    });
+}
+
+// Export the current annotations in the selected format
+function downloadAnnotations() {
+    const formatSelect = document.getElementById('annotation-export-format');
+    const format = formatSelect ? formatSelect.value : 'bed';
+    const current = getAnnotations();
+    if (current.length === 0) {
+        alert('There are no annotations to export.');
+        return;
+    }
+
+    const seqNames = getAnnotationSeqNames();
+    if (format === 'gff3') {
+        const seqLengths = {};
+        ['seq1', 'seq2'].forEach(id => {
+            const input = document.getElementById(id);
+            seqLengths[id] = input ? normalizeSequence(input.value).replace(/-/g, '').length : 0;
+        });
+        downloadTextFile('annotations.gff3', formatGFF3(current, seqNames, seqLengths), 'text/plain');
+    } else {
+        downloadTextFile('annotations.bed', formatBED(current, seqNames), 'text/plain');
+    }
+}
+
+function setupAnnotationFormats() {
+    const fileInput = document.getElementById('annotation-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files.length > 0) {
+                loadAnnotationFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    const exportButton = document.getElementById('annotation-export');
+    if (exportButton) {
+        exportButton.addEventListener('click', downloadAnnotations);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupAnnotationFormats);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseBED,
+        parseGFF3,
+        featuresToAnnotations,
+        formatBED,
+        formatGFF3
+    };
+}
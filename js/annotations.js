@@ -56,6 +56,14 @@ function addAnnotation(seq, start, end, text) {
     return true;
 }
 
+// Add annotations read from a file. Annotations already on the sequences in
+// replaceSeqs (e.g. ['seq1'] when a new reference is loaded) are dropped first.
+function importAnnotations(imported, replaceSeqs = []) {
+    annotations = annotations.filter(ann => !replaceSeqs.includes(ann.seq)).concat(imported);
+    renderAnnotationsList();
+    updateAnnotations();
+}
+
 // Delete annotation by index
 function deleteAnnotation(index) {
     if (index >= 0 && index < annotations.length) {
@@ -175,15 +183,13 @@ function renderAnnotationMarkers(seq1, seq2) {
         return;
     }
 
-    const rows = content.querySelectorAll('.alignment-row');
-    if (rows.length < 2) {
-        console.warn('Not enough alignment rows found:', rows.length);
+    // Row 0 is the reference and row 1 the amplicon on every line of the view
+    const lines = getAlignmentLines();
+    if (lines.length === 0 || lines[0].rows.length < 2) {
+        console.warn('Not enough alignment rows found');
         return;
     }
 
-    const row1 = rows[0]; // Reference sequence row
-    const row2 = rows[1]; // Amplicon sequence row
-
     // Normalize sequences
     seq1 = seq1.toUpperCase().replace(/\s+/g, '');
     seq2 = seq2.toUpperCase().replace(/\s+/g, '');
@@ -195,23 +201,18 @@ function renderAnnotationMarkers(seq1, seq2) {
     console.log('Rendering', annotations.length, 'annotation markers with stacking');
 
     annotations.forEach((ann, index) => {
-        const targetRow = ann.seq === 'seq1' ? row1 : row2;
+        const rowIndex = ann.seq === 'seq1' ? 0 : 1;
         const targetSeq = ann.seq === 'seq1' ? seq1 : seq2;
         const level = ann.seq === 'seq1' ? (seq1Levels[index] || 0) : (seq2Levels[index] || 0);
 
         console.log('Rendering annotation', index, ann, 'at level', level);
-        addAnnotationMarkerToRow(targetRow, targetSeq, ann, index, level);
+        addAnnotationMarkerToRow(lines, rowIndex, targetSeq, ann, index, level);
     });
 }
 
 // Add a single annotation marker to a row
-function addAnnotationMarkerToRow(row, sequence, annotation, index, level = 0) {
-    const bases = row.querySelector('div[style*="display: flex"]');
-    if (!bases) {
-        console.warn('Bases container not found in row');
-        return;
-    }
-
+// In the wrapped layout an annotation crossing a line break gets a marker on each line
+function addAnnotationMarkerToRow(lines, rowIndex, sequence, annotation, index, level = 0) {
     console.log('Adding marker for annotation:', annotation, 'sequence length:', sequence.length, 'level:', level);
 
     // Map positions from ungapped to gapped (aligned) sequence
@@ -230,19 +231,18 @@ function addAnnotationMarkerToRow(row, sequence, annotation, index, level = 0) {
         return;
     }
 
-    if (!bases.children[alignedStart]) {
-        console.warn('Start position', alignedStart, 'not found in bases (total:', bases.children.length, ')');
-        return;
-    }
+    for (const line of lines) {
+        const bases = line.rows[rowIndex];
+        const from = Math.max(alignedStart, line.first);
+        const to = Math.min(alignedEnd, line.last);
+        if (!bases || from > to) continue;
 
-    if (!bases.children[alignedEnd]) {
-        console.warn('End position', alignedEnd, 'not found in bases (total:', bases.children.length, ')');
-        return;
+        appendAnnotationMarker(bases, bases.children[from - line.first], bases.children[to - line.first], annotation, level);
     }
+}
 
-    const firstBase = bases.children[alignedStart];
-    const lastBase = bases.children[alignedEnd];
-
+// Create an annotation marker spanning firstBase to lastBase in a bases container
+function appendAnnotationMarker(bases, firstBase, lastBase, annotation, level) {
     // Create marker
     const marker = document.createElement('div');
     marker.className = `annotation-marker ${annotation.seq}`;
@@ -347,7 +347,8 @@ function updateAnnotations() {
             sgRNAs,
             cutSite,
             scoreCutoff,
-            annotations
+            annotations,
+            window.getAlignmentSettings ? window.getAlignmentSettings() : undefined
         );
     }
 
@@ -420,6 +421,7 @@ window.loadAnnotationsFromURL = loadAnnotationsFromURL;
 window.renderAnnotationMarkers = renderAnnotationMarkers;
 window.encodeAnnotationsToURL = encodeAnnotationsToURL;
 window.getAnnotations = getAnnotations;
+window.importAnnotations = importAnnotations;
 
 // Make annotations accessible via getter
 Object.defineProperty(window, 'annotations', {
@@ -0,0 +1,447 @@
+// CRISPResso2 Import Functions
+// Reads CRISPResso2 output so VizAlign can act as its viewer: the
+// Alleles_frequency_table.txt (plain or zipped) alleles, listed by frequency,
+// with any selected allele rendered as the current alignment, and the amplicons,
+// guides and alignment settings of a run from its CRISPResso2_info.json
+
+// Allele table files accepted by the page drop handler and the zip reader
+const ALLELE_TABLE_FILE_PATTERN = /Alleles_frequency_table.*\.(txt|zip)$/i;
+
+// Run summary files accepted by the page drop handler
+const CRISPRESSO_INFO_FILE_PATTERN = /CRISPResso2_info\.json$/i;
+
+// Alleles_frequency_table columns VizAlign needs
+const ALLELE_TABLE_REQUIRED_COLUMNS = ['Aligned_Sequence', 'Reference_Sequence', '#Reads'];
+
+/**
+ * Parse a CRISPResso2 Alleles_frequency_table
+ * @param {string} text - Tab-separated table with a header row
+ * @returns {Array<Object>} - [{alignedSequence, referenceSequence, referenceName, readStatus,
+ *                            nDeleted, nInserted, nMutated, reads, percent}], most reads first.
+ *                            referenceName and readStatus are '' and the n* counts null
+ *                            when the table lacks those columns
+ */
+function parseAlleleTable(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        throw new Error('The allele table is empty');
+    }
+
+    const header = lines[0].split('\t').map(name => name.trim());
+    for (const column of ALLELE_TABLE_REQUIRED_COLUMNS) {
+        if (!header.includes(column)) {
+            throw new Error(`Allele table is missing the ${column} column`);
+        }
+    }
+    const column = name => header.indexOf(name);
+    const count = (fields, name) => column(name) === -1 ? null : parseInt(fields[column(name)]);
+
+    const alleles = lines.slice(1).map((line, index) => {
+        const fields = line.split('\t');
+        const reads = parseInt(fields[column('#Reads')]);
+        if (fields.length < header.length || isNaN(reads)) {
+            throw new Error(`Invalid allele table row at line ${index + 2}`);
+        }
+
+        return {
+            alignedSequence: fields[column('Aligned_Sequence')].trim().toUpperCase(),
+            referenceSequence: fields[column('Reference_Sequence')].trim().toUpperCase(),
+            referenceName: column('Reference_Name') === -1 ? '' : fields[column('Reference_Name')].trim(),
+            readStatus: column('Read_Status') === -1 ? '' : fields[column('Read_Status')].trim(),
+            nDeleted: count(fields, 'n_deleted'),
+            nInserted: count(fields, 'n_inserted'),
+            nMutated: count(fields, 'n_mutated'),
+            reads,
+            percent: column('%Reads') === -1 ? null : parseFloat(fields[column('%Reads')])
+        };
+    });
+
+    // Older tables and hand-made subsets may lack %Reads
+    const totalReads = alleles.reduce((sum, allele) => sum + allele.reads, 0);
+    for (const allele of alleles) {
+        if (allele.percent === null || isNaN(allele.percent)) {
+            allele.percent = totalReads ? allele.reads / totalReads * 100 : 0;
+        }
+    }
+
+    return alleles.sort((a, b) => b.reads - a.reads);
+}
+
+/**
+ * List the files in a ZIP archive (no ZIP64, no encryption)
+ * @param {Uint8Array} bytes - ZIP file content
+ * @returns {Array<Object>} - [{name, method, data}]: method 0 is stored, 8 is deflate;
+ *                            data is the (still compressed) file content
+ */
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits within the last 64 KiB + 22 bytes
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not a ZIP file');
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let n = 0; n < entryCount; n++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Invalid ZIP central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        // The local header repeats the name but may have a different extra field
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entries.push({ name, method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+// Decompress one ZIP entry to text
+function readZipEntryText(entry) {
+    if (entry.method === 0) {
+        return Promise.resolve(new TextDecoder().decode(entry.data));
+    }
+    if (entry.method !== 8) {
+        return Promise.reject(new Error(`Unsupported ZIP compression method ${entry.method}`));
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        return Promise.reject(new Error('This browser cannot decompress ZIP files'));
+    }
+    const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+/**
+ * sgRNA sequence from a CRISPResso2 allele table file name, e.g.
+ * Alleles_frequency_table_around_sgRNA_GGCCCAGACTGAGCACGTGA.txt
+ * @param {string} fileName - File (or ZIP entry) name
+ * @returns {string} - The sgRNA, or '' when the name does not contain one
+ */
+function sgRNAFromAlleleTableName(fileName) {
+    const match = /around_sgRNA_([ACGTN]+)/i.exec(fileName);
+    return match ? match[1].toUpperCase() : '';
+}
+
+// Read an allele table File, unzipping it first when needed.
+// Resolves to {name, text}, where name is the table's own file name.
+function readAlleleTableFile(file) {
+    return file.arrayBuffer().then(buffer => {
+        const bytes = new Uint8Array(buffer);
+        if (bytes.length < 4 || new DataView(buffer).getUint32(0, true) !== 0x04034b50) {
+            return { name: file.name, text: new TextDecoder().decode(bytes) };
+        }
+
+        const entries = readZipEntries(bytes).filter(entry => /\.txt$/i.test(entry.name));
+        const entry = entries.find(e => ALLELE_TABLE_FILE_PATTERN.test(e.name)) || entries[0];
+        if (!entry) {
+            throw new Error('The ZIP file contains no allele table');
+        }
+        return readZipEntryText(entry).then(text => ({ name: entry.name, text }));
+    });
+}
+
+// Load a CRISPResso2 allele table and list its alleles
+function loadAlleleTableFile(file) {
+    return readAlleleTableFile(file).then(table => {
+        const alleles = parseAlleleTable(table.text);
+        if (alleles.length === 0) {
+            throw new Error('The allele table contains no alleles');
+        }
+        renderCrispressoAlleleTable(table.name, alleles, sgRNAFromAlleleTableName(table.name));
+    }).catch(error => {
+        console.error('Allele table load error:', error);
+        alert('Error loading allele table: ' + error.message);
+    });
+}
+
+// Show an allele as the current alignment (sequence 1 = reference, sequence 2 = allele)
+function showCrispressoAllele(allele, rank, sgRNA) {
+    const seq1Input = document.getElementById('seq1');
+    const seq2Input = document.getElementById('seq2');
+    const name1Input = document.getElementById('name1');
+    const name2Input = document.getElementById('name2');
+    if (!seq1Input || !seq2Input) return;
+
+    seq1Input.value = allele.referenceSequence;
+    seq2Input.value = allele.alignedSequence;
+    if (name1Input && allele.referenceName) {
+        name1Input.value = allele.referenceName;
+    }
+    if (name2Input) {
+        name2Input.value = `Allele ${rank} (${allele.percent.toFixed(2)}%)`;
+    }
+
+    // Restore the table's sgRNA so its cut site is marked again
+    const sgRNAsInput = document.getElementById('sgrnas');
+    if (sgRNA && sgRNAsInput && !parsesgRNAs(sgRNAsInput.value).includes(sgRNA)) {
+        sgRNAsInput.value = sgRNAsInput.value.trim() ? `${sgRNAsInput.value.trim()},${sgRNA}` : sgRNA;
+    }
+
+    clearAlignmentStats();
+    if (window.updateAlignmentView) {
+        updateAlignmentView();
+    }
+}
+
+// Render the imported alleles in the alleles frequency table panel
+function renderCrispressoAlleleTable(fileName, alleles, sgRNA) {
+    const content = document.getElementById('allele-table-content');
+    if (!content) return;
+
+    setAlleleTableStatus('');
+    content.innerHTML = '';
+
+    const sequenceType = getAlignmentSettings().sequenceType;
+    const reference = alleles[0].referenceSequence.replace(/-/g, '');
+    const center = getAllelePlotCenter(reference);
+
+    const totals = document.createElement('div');
+    totals.className = 'variant-totals';
+    totals.innerHTML = `
+        <span class="variant-total allele-file-name"></span>
+        <span class="variant-total">Reads: <strong>${alleles.reduce((sum, allele) => sum + allele.reads, 0)}</strong></span>
+        <span class="variant-total">Alleles: <strong>${alleles.length}</strong></span>
+    `;
+    totals.querySelector('.allele-file-name').textContent = fileName;
+    content.appendChild(totals);
+
+    const table = document.createElement('table');
+    table.className = 'variant-table allele-table';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const refCell = document.createElement('th');
+    refCell.appendChild(createAlleleMiniAlignment(alleleWindowBases(reference, reference, center, ALLELE_PLOT_WINDOW), center, sequenceType, true));
+    headRow.appendChild(refCell);
+    headRow.insertAdjacentHTML('beforeend', '<th>%Reads</th><th>#Reads</th><th>Del</th><th>Ins</th><th>Mut</th><th>Status</th>');
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    alleles.forEach((allele, index) => {
+        const row = document.createElement('tr');
+        row.className = 'allele-row selectable';
+        row.title = 'Show this allele';
+
+        // Alleles of other amplicons have their own reference coordinates
+        const plotCell = document.createElement('td');
+        if (allele.referenceSequence.replace(/-/g, '') === reference) {
+            plotCell.appendChild(createAlleleMiniAlignment(
+                alleleWindowBases(allele.alignedSequence, allele.referenceSequence, center, ALLELE_PLOT_WINDOW), center, sequenceType, false));
+        } else {
+            plotCell.textContent = allele.referenceName || 'Other reference';
+        }
+        row.appendChild(plotCell);
+
+        const value = n => n === null ? '-' : n;
+        row.insertAdjacentHTML('beforeend', `
+            <td>${allele.percent.toFixed(2)}</td>
+            <td>${allele.reads}</td>
+            <td>${value(allele.nDeleted)}</td>
+            <td>${value(allele.nInserted)}</td>
+            <td>${value(allele.nMutated)}</td>
+            <td>${allele.readStatus || '-'}</td>
+        `);
+
+        row.addEventListener('click', function() {
+            body.querySelectorAll('.selected').forEach(el => el.classList.remove('selected'));
+            row.classList.add('selected');
+            showCrispressoAllele(allele, index + 1, sgRNA);
+        });
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+    content.appendChild(table);
+}
+
+// Comma-separated CRISPResso2 argument as a list
+function splitCrispressoArg(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null) return [];
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the amplicons, guides and settings of a run from CRISPResso2_info.json
+ * Per-amplicon guides come from results.refs when present (CRISPResso2 assigns
+ * guides to amplicons), otherwise every amplicon gets the guide_seq argument
+ * @param {string} text - CRISPResso2_info.json content
+ * @returns {Object} - {amplicons: [{name, sequence, sgRNAs}], cutSite, windowSize, gapIncentive};
+ *                     the numbers are null when the run does not record them
+ */
+function parseCrispressoInfo(text) {
+    let info;
+    try {
+        info = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid CRISPResso2_info.json: ' + error.message);
+    }
+
+    // running_info.args is an encoded argparse Namespace: {"__type__": ..., "value": {...}}
+    const runningInfo = info.running_info || {};
+    const rawArgs = runningInfo.args || {};
+    const args = rawArgs.value && typeof rawArgs.value === 'object' ? rawArgs.value : rawArgs;
+
+    const results = info.results || {};
+    const refs = results.refs || {};
+    const refNames = results.ref_names || Object.keys(refs);
+
+    let amplicons;
+    if (refNames.length > 0 && refNames.every(name => refs[name] && refs[name].sequence)) {
+        amplicons = refNames.map(name => ({
+            name,
+            sequence: refs[name].sequence.toUpperCase(),
+            sgRNAs: (refs[name].sgRNA_orig_sequences || refs[name].sgRNA_sequences || []).map(seq => seq.toUpperCase())
+        }));
+    } else {
+        const sequences = splitCrispressoArg(args.amplicon_seq);
+        const names = splitCrispressoArg(args.amplicon_name);
+        const guides = splitCrispressoArg(args.guide_seq).map(seq => seq.toUpperCase());
+        amplicons = sequences.map((sequence, index) => ({
+            name: names[index] || (index === 0 ? 'Reference' : `Amplicon ${index + 1}`),
+            sequence: sequence.toUpperCase(),
+            sgRNAs: guides
+        }));
+    }
+
+    if (amplicons.length === 0) {
+        throw new Error('CRISPResso2_info.json contains no amplicons');
+    }
+
+    // Several centers (one per guide) are comma-separated; VizAlign has one offset
+    const number = value => {
+        const parsed = parseInt(splitCrispressoArg(value)[0]);
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    return {
+        amplicons,
+        cutSite: number(args.quantification_window_center),
+        windowSize: number(args.quantification_window_size),
+        gapIncentive: number(args.needleman_wunsch_gap_incentive)
+    };
+}
+
+// Fill in the reference, guides and settings of one amplicon of a run
+function applyCrispressoAmplicon(run, index) {
+    const amplicon = run.amplicons[index];
+    const seq1Input = document.getElementById('seq1');
+    const name1Input = document.getElementById('name1');
+    const sgRNAsInput = document.getElementById('sgrnas');
+    const cutSiteInput = document.getElementById('cut-site');
+    if (!seq1Input) return;
+
+    seq1Input.value = amplicon.sequence;
+    if (name1Input) name1Input.value = amplicon.name;
+    if (sgRNAsInput) sgRNAsInput.value = amplicon.sgRNAs.join(',');
+    if (cutSiteInput && run.cutSite !== null) cutSiteInput.value = run.cutSite;
+
+    const settings = getAlignmentSettings();
+    if (run.gapIncentive !== null) settings.gapIncentive = run.gapIncentive;
+    if (run.windowSize !== null) {
+        settings.windowSize = run.windowSize;
+        settings.windowCenter = 'sgrna';
+    }
+    applyAlignmentSettings(settings);
+
+    showNewReference();
+}
+
+// Load a CRISPResso2_info.json run summary; runs with several amplicons get a picker
+function loadCrispressoInfoFile(file) {
+    return file.text().then(text => {
+        const run = parseCrispressoInfo(text);
+        const group = document.getElementById('crispresso-amplicon-group');
+        const select = document.getElementById('crispresso-amplicon');
+
+        if (group && select) {
+            select.innerHTML = '';
+            run.amplicons.forEach((amplicon, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `${amplicon.name} (${amplicon.sequence.length} bp)`;
+                select.appendChild(option);
+            });
+            select.onchange = () => applyCrispressoAmplicon(run, parseInt(select.value));
+            group.classList.toggle('hidden', run.amplicons.length < 2);
+        }
+
+        applyCrispressoAmplicon(run, 0);
+    }).catch(error => {
+        console.error('CRISPResso2 info load error:', error);
+        alert('Error loading CRISPResso2_info.json: ' + error.message);
+    });
+}
+
+function setupCrispressoImport() {
+    const infoInput = document.getElementById('crispresso-info-file');
+    if (infoInput) {
+        infoInput.addEventListener('change', function() {
+            if (infoInput.files.length > 0) {
+                loadCrispressoInfoFile(infoInput.files[0]);
+            }
+            infoInput.value = '';
+        });
+    }
+
+    const fileInput = document.getElementById('allele-table-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files.length > 0) {
+                loadAlleleTableFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    // Allele tables and run summaries can also be dropped anywhere on the page
+    document.addEventListener('drop', function(event) {
+        const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+        const info = files.find(file => CRISPRESSO_INFO_FILE_PATTERN.test(file.name));
+        const table = files.find(file => ALLELE_TABLE_FILE_PATTERN.test(file.name));
+        if (!info && !table) return;
+
+        event.preventDefault();
+
+        // Load the run first so the table's mini alignments use its guides
+        const loaded = info ? loadCrispressoInfoFile(info) : Promise.resolve();
+        if (table) {
+            loaded.then(() => loadAlleleTableFile(table));
+        }
+    });
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupCrispressoImport);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseAlleleTable,
+        parseCrispressoInfo,
+        readZipEntries,
+        readZipEntryText,
+        sgRNAFromAlleleTableName
+    };
+}
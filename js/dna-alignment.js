@@ -1,5 +1,27 @@
 // DNA Alignment Visualization Functions
 
+// IUPAC codes that stand for more than one nucleotide
+const AMBIGUOUS_BASES = new Set(['R', 'Y', 'S', 'W', 'K', 'M', 'B', 'D', 'H', 'V', 'N']);
+
+// Clustal X property groups used to color amino acids in protein mode
+const AMINO_ACID_GROUPS = {
+    A: 'hydrophobic', I: 'hydrophobic', L: 'hydrophobic', M: 'hydrophobic',
+    F: 'hydrophobic', W: 'hydrophobic', V: 'hydrophobic',
+    K: 'positive', R: 'positive',
+    D: 'negative', E: 'negative',
+    N: 'polar', Q: 'polar', S: 'polar', T: 'polar',
+    H: 'aromatic', Y: 'aromatic',
+    C: 'cysteine',
+    G: 'glycine',
+    P: 'proline'
+};
+
+// Matrix used when a sequence type is selected without a matching matrix
+const DEFAULT_MATRIX_FOR_TYPE = { dna: 'default', protein: 'BLOSUM62' };
+
+// Columns per line of the wrapped layout when the width input is invalid
+const DEFAULT_WRAP_WIDTH = 60;
+
 // Zoom and pan state
 let zoomLevel = 1;
 let panX = 0;
@@ -17,8 +39,17 @@ let isSliderDragging = false;
 let sliderDragStartX = 0;
 let sliderDragStartPanX = 0;
 
+// Substitution matrix loaded from a user-supplied file (not stored in the URL)
+let customMatrix = null;
+
+// Alignment worker state (see js/alignment-worker.js for the message protocol)
+let alignmentWorker = null;
+let alignmentWorkerUnavailable = false;
+let alignmentJob = null;
+let nextAlignmentJobId = 1;
+
 // URL encoding/decoding functions
-function encodeSequencesToURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCutoff, annotations) {
+function encodeSequencesToURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCutoff, annotations, settings) {
     const parts = [];
     if (seq1) parts.push('seq1=' + encodeURIComponent(seq1));
     if (seq2) parts.push('seq2=' + encodeURIComponent(seq2));
@@ -31,6 +62,19 @@ function encodeSequencesToURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCu
         const json = JSON.stringify(annotations);
         parts.push('annotations=' + encodeURIComponent(json));
     }
+    // Alignment settings are only written when they differ from the defaults
+    if (settings) {
+        if (settings.sequenceType === 'protein') parts.push('type=protein');
+        if (settings.mode && settings.mode !== 'global') parts.push('mode=' + encodeURIComponent(settings.mode));
+        if (settings.mode === 'semiglobal' && settings.freeEndGaps) parts.push('freeEnds=' + encodeURIComponent(settings.freeEndGaps));
+        if (settings.matrix && settings.matrix !== 'default' && settings.matrix !== 'custom') parts.push('matrix=' + encodeURIComponent(settings.matrix));
+        if (settings.indelPolicy && settings.indelPolicy !== 'none') parts.push('indels=' + encodeURIComponent(settings.indelPolicy));
+        if (settings.gapIncentive !== undefined && settings.gapIncentive !== 1) parts.push('gapIncentive=' + settings.gapIncentive);
+        if (settings.windowSize > 0) {
+            parts.push('qwSize=' + settings.windowSize);
+            if (settings.windowCenter === 'manual') parts.push('qwCenter=' + settings.windowPosition);
+        }
+    }
     return parts.join('&');
 }
 
@@ -45,12 +89,21 @@ function decodeSequencesFromURL() {
         sgRNAs: params.get('sgRNAs') || '',
         cutSite: params.get('cutSite') !== null ? parseInt(params.get('cutSite')) : -3,
         scoreCutoff: params.get('scoreCutoff') !== null ? parseFloat(params.get('scoreCutoff')) : 80,
-        annotations: params.get('annotations') || ''
+        annotations: params.get('annotations') || '',
+        sequenceType: params.get('type') === 'protein' ? 'protein' : 'dna',
+        mode: params.get('mode') || 'global',
+        freeEndGaps: params.get('freeEnds') || 'read',
+        matrix: params.get('matrix') || 'default',
+        indelPolicy: params.get('indels') || 'none',
+        gapIncentive: params.get('gapIncentive') !== null ? parseInt(params.get('gapIncentive')) : 1,
+        windowSize: params.get('qwSize') !== null ? parseInt(params.get('qwSize')) : 0,
+        windowCenter: params.get('qwCenter') !== null ? 'manual' : 'sgrna',
+        windowPosition: params.get('qwCenter') !== null ? parseInt(params.get('qwCenter')) : 0
     };
 }
 
-function updateURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCutoff, annotations) {
-    const encoded = encodeSequencesToURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCutoff, annotations);
+function updateURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCutoff, annotations, settings) {
+    const encoded = encodeSequencesToURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCutoff, annotations, settings);
     if (encoded) {
         window.location.hash = encoded;
     } else {
@@ -58,6 +111,128 @@ function updateURL(seq1, seq2, name1, name2, sgRNAs, cutSite, scoreCutoff, annot
     }
 }
 
+// Read the alignment settings controls
+function getAlignmentSettings() {
+    const sequenceTypeSelect = document.getElementById('sequence-type');
+    const modeSelect = document.getElementById('align-mode');
+    const freeEndGapsSelect = document.getElementById('free-end-gaps');
+    const matrixSelect = document.getElementById('score-matrix');
+    const indelPolicySelect = document.getElementById('indel-policy');
+    const gapIncentiveInput = document.getElementById('gap-incentive');
+    const gapIncentive = gapIncentiveInput ? parseInt(gapIncentiveInput.value) : 1;
+    const windowSizeInput = document.getElementById('window-size');
+    const windowCenterSelect = document.getElementById('window-center');
+    const windowPositionInput = document.getElementById('window-position');
+    const windowSize = windowSizeInput ? parseInt(windowSizeInput.value) : 0;
+    const windowPosition = windowPositionInput ? parseInt(windowPositionInput.value) : 0;
+
+    return {
+        sequenceType: sequenceTypeSelect ? sequenceTypeSelect.value : 'dna',
+        mode: modeSelect ? modeSelect.value : 'global',
+        freeEndGaps: freeEndGapsSelect ? freeEndGapsSelect.value : 'read',
+        matrix: matrixSelect ? matrixSelect.value : 'default',
+        indelPolicy: indelPolicySelect ? indelPolicySelect.value : 'none',
+        gapIncentive: isNaN(gapIncentive) ? 1 : gapIncentive,
+        windowSize: isNaN(windowSize) || windowSize < 0 ? 0 : windowSize,
+        windowCenter: windowCenterSelect ? windowCenterSelect.value : 'sgrna',
+        windowPosition: isNaN(windowPosition) ? 0 : windowPosition
+    };
+}
+
+// Populate the alignment settings controls from decoded URL data
+function applyAlignmentSettings(data) {
+    const sequenceTypeSelect = document.getElementById('sequence-type');
+    const modeSelect = document.getElementById('align-mode');
+    const freeEndGapsSelect = document.getElementById('free-end-gaps');
+
+    if (sequenceTypeSelect) {
+        sequenceTypeSelect.value = data.sequenceType;
+    }
+    if (modeSelect) {
+        modeSelect.value = data.mode;
+    }
+    if (freeEndGapsSelect) {
+        freeEndGapsSelect.value = data.freeEndGaps;
+    }
+
+    const matrixSelect = document.getElementById('score-matrix');
+    if (matrixSelect) {
+        const bundled = BUNDLED_MATRICES[data.matrix];
+        matrixSelect.value = bundled && bundled.type === data.sequenceType
+            ? data.matrix
+            : DEFAULT_MATRIX_FOR_TYPE[data.sequenceType];
+    }
+
+    const indelPolicySelect = document.getElementById('indel-policy');
+    if (indelPolicySelect) {
+        indelPolicySelect.value = ['left', 'right'].includes(data.indelPolicy) ? data.indelPolicy : 'none';
+    }
+
+    const gapIncentiveInput = document.getElementById('gap-incentive');
+    if (gapIncentiveInput) {
+        gapIncentiveInput.value = isNaN(data.gapIncentive) ? 1 : data.gapIncentive;
+    }
+
+    const windowSizeInput = document.getElementById('window-size');
+    const windowCenterSelect = document.getElementById('window-center');
+    const windowPositionInput = document.getElementById('window-position');
+    if (windowSizeInput) {
+        windowSizeInput.value = isNaN(data.windowSize) ? 0 : data.windowSize;
+    }
+    if (windowCenterSelect) {
+        windowCenterSelect.value = data.windowCenter;
+    }
+    if (windowPositionInput) {
+        windowPositionInput.value = isNaN(data.windowPosition) ? 0 : data.windowPosition;
+    }
+    updateAlignmentSettingsVisibility();
+}
+
+// Only show the free end gap selector in semi-global mode, the matrix file
+// picker when a custom matrix is selected, the window position when the
+// window is centered manually, and matrices for the sequence type
+function updateAlignmentSettingsVisibility() {
+    const sequenceTypeSelect = document.getElementById('sequence-type');
+    const modeSelect = document.getElementById('align-mode');
+    const freeEndGapsGroup = document.getElementById('free-end-gaps-group');
+    const matrixSelect = document.getElementById('score-matrix');
+    const matrixFileGroup = document.getElementById('matrix-file-group');
+
+    if (modeSelect && freeEndGapsGroup) {
+        freeEndGapsGroup.classList.toggle('hidden', modeSelect.value !== 'semiglobal');
+    }
+    if (matrixSelect && matrixFileGroup) {
+        matrixFileGroup.classList.toggle('hidden', matrixSelect.value !== 'custom');
+    }
+    const windowCenterSelect = document.getElementById('window-center');
+    const windowPositionGroup = document.getElementById('window-position-group');
+    if (windowCenterSelect && windowPositionGroup) {
+        windowPositionGroup.classList.toggle('hidden', windowCenterSelect.value !== 'manual');
+    }
+    if (sequenceTypeSelect && matrixSelect) {
+        for (const option of matrixSelect.options) {
+            option.hidden = option.dataset.type !== undefined && option.dataset.type !== sequenceTypeSelect.value;
+        }
+    }
+}
+
+// Build the scoring matrix for the selected settings
+function getScoringMatrix(settings) {
+    if (settings.matrix === 'custom' && customMatrix) {
+        return customMatrix;
+    }
+    const sequenceType = settings.sequenceType || 'dna';
+    const bundled = BUNDLED_MATRICES[settings.matrix];
+    if (bundled && bundled.type === sequenceType) {
+        return readMatrix(bundled.text);
+    }
+    if (sequenceType === 'protein') {
+        return readMatrix(BUNDLED_MATRICES[DEFAULT_MATRIX_FOR_TYPE.protein].text);
+    }
+    // EDNAFULL's A/C/G/T and N scores as in the Cython defaults; degenerate codes get averaged scores
+    return makeMatrix(5, -4, -2, -1); // match, mismatch, n-mismatch, n-match
+}
+
 // Normalize sequences (uppercase, remove whitespace and newlines)
 function normalizeSequence(seq) {
     return seq.toUpperCase().replace(/\s+/g, '');
@@ -81,6 +256,12 @@ function updateNavigationSlider() {
 
     if (!container || !content || !sliderViewport || !sliderTrack) return;
 
+    // The wrapped layout is navigated by scrolling the page
+    const slider = document.getElementById('navigation-slider');
+    if (slider) {
+        slider.classList.toggle('hidden', content.classList.contains('wrapped'));
+    }
+
     // Calculate content and container dimensions
     containerWidth = container.offsetWidth;
     const contentElement = content.querySelector('.alignment-row');
@@ -128,6 +309,91 @@ function resetZoom() {
     applyTransform();
 }
 
+// Reset pan and zoom out until the wrapped lines fit the width of the view
+function fitWrappedLayout() {
+    const container = document.getElementById('alignment-container');
+    const content = document.getElementById('alignment-content');
+    if (!container || !content || !content.classList.contains('wrapped')) return;
+
+    const style = getComputedStyle(container);
+    const available = container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+    zoomLevel = Math.max(0.5, Math.min(1, available / content.scrollWidth));
+    panX = 0;
+    panY = 0;
+    applyTransform();
+}
+
+// Pan and zoom the view so alignment columns [start, end) are centered,
+// and briefly highlight them
+function focusAlignmentColumns(start, end) {
+    const container = document.getElementById('alignment-container');
+    const content = document.getElementById('alignment-content');
+    if (!container || !content) return;
+
+    const lines = getAlignmentLines();
+    const line = lines.find(l => start >= l.first && start <= l.last);
+    if (!line || line.rows.length === 0) return;
+
+    // Center on the part of the range in the line of its first column
+    const firstBases = line.rows[0];
+    const first = firstBases.children[start - line.first];
+    const last = firstBases.children[Math.min(Math.max(start, end - 1), line.last) - line.first];
+    if (!first || !last) return;
+
+    // Measure in unscaled content coordinates
+    const contentRect = content.getBoundingClientRect();
+    const left = (first.getBoundingClientRect().left - contentRect.left) / zoomLevel;
+    const right = (last.getBoundingClientRect().right - contentRect.left) / zoomLevel;
+
+    if (content.classList.contains('wrapped')) {
+        // Lines are stacked down the page: keep the zoom, center the columns
+        // horizontally and scroll their line into view
+        panX = Math.min(0, container.clientWidth / 2 - ((left + right) / 2) * zoomLevel);
+        panY = 0;
+        applyTransform();
+        first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+        zoomLevel = 2;
+        panX = container.clientWidth / 2 - ((left + right) / 2) * zoomLevel;
+        panY = 0;
+        applyTransform();
+    }
+
+    for (const { first: lineFirst, last: lineLast, rows } of lines) {
+        for (let c = Math.max(start, lineFirst); c < Math.max(end, start + 1) && c <= lineLast; c++) {
+            rows.forEach(bases => {
+                const el = bases.children[c - lineFirst];
+                if (!el) return;
+                el.classList.add('focused');
+                setTimeout(() => el.classList.remove('focused'), 1500);
+            });
+        }
+    }
+}
+
+// Save text as a file through a temporary download link
+function downloadTextFile(filename, text, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Columns per line in the wrapped layout, or 0 for the continuous view
+function getWrapWidth() {
+    const layoutSelect = document.getElementById('view-layout');
+    const wrapWidthInput = document.getElementById('wrap-width');
+    if (!layoutSelect || layoutSelect.value !== 'wrapped') return 0;
+
+    const wrapWidth = wrapWidthInput ? parseInt(wrapWidthInput.value) : DEFAULT_WRAP_WIDTH;
+    return isNaN(wrapWidth) || wrapWidth < 1 ? DEFAULT_WRAP_WIDTH : wrapWidth;
+}
+
 // Render the DNA alignment visualization
 function renderAlignment(seq1, seq2, name1, name2) {
     const container = document.getElementById('alignment-container');
@@ -138,6 +404,7 @@ function renderAlignment(seq1, seq2, name1, name2) {
     // Normalize sequences
     seq1 = normalizeSequence(seq1);
     seq2 = normalizeSequence(seq2);
+    const sequenceType = getAlignmentSettings().sequenceType;
 
     // If both sequences are empty, show a message
     if (!seq1 && !seq2) {
@@ -159,62 +426,28 @@ function renderAlignment(seq1, seq2, name1, name2) {
     const content = document.createElement('div');
     content.id = 'alignment-content';
 
-    // Add position ruler for sequence 1
-    const ruler1 = createPositionRuler(seq1, label1Text + ' pos:');
-    content.appendChild(ruler1);
-
-    // Create row for sequence 1
-    const row1 = document.createElement('div');
-    row1.className = 'alignment-row';
-
-    const label1 = document.createElement('div');
-    label1.className = 'alignment-label';
-    label1.textContent = label1Text + ':';
-    row1.appendChild(label1);
-
-    const bases1 = document.createElement('div');
-    bases1.style.display = 'flex';
-
-    let pos1 = 0;
-    for (let i = 0; i < seq1.length; i++) {
-        const base = seq1[i];
-        const position = base === '-' ? 'del' : pos1;
-        const baseEl = createBaseElement(base, seq2[i], position);
-        bases1.appendChild(baseEl);
-        if (base !== '-') pos1++;
-    }
-    row1.appendChild(bases1);
-    content.appendChild(row1);
-
-    // Create row for sequence 2
-    const row2 = document.createElement('div');
-    row2.className = 'alignment-row';
-
-    const label2 = document.createElement('div');
-    label2.className = 'alignment-label';
-    label2.textContent = label2Text + ':';
-    row2.appendChild(label2);
-
-    const bases2 = document.createElement('div');
-    bases2.style.display = 'flex';
-
-    let pos2 = 0;
-    for (let i = 0; i < seq2.length; i++) {
-        const base = seq2[i];
-        const position = base === '-' ? 'del' : pos2;
-        const baseEl = createBaseElement(base, seq1[i], position);
-        bases2.appendChild(baseEl);
-        if (base !== '-') pos2++;
-    }
-    row2.appendChild(bases2);
-    content.appendChild(row2);
-
-    // Add position ruler for sequence 2
-    const ruler2 = createPositionRuler(seq2, label2Text + ' pos:');
-    content.appendChild(ruler2);
+    // The wrapped layout stacks one block of rulers and rows per line
+    const wrapWidth = getWrapWidth();
+    if (wrapWidth > 0) {
+        content.classList.add('wrapped');
+        for (let first = 0; first < maxLength; first += wrapWidth) {
+            const block = document.createElement('div');
+            block.className = 'alignment-block';
+            block.dataset.firstColumn = first;
+            appendAlignmentLine(block, seq1, seq2, label1Text, label2Text, first, Math.min(first + wrapWidth, maxLength), sequenceType);
+            content.appendChild(block);
+        }
+    } else {
+        appendAlignmentLine(content, seq1, seq2, label1Text, label2Text, 0, maxLength, sequenceType);
+    }
 
     container.appendChild(content);
 
+    // Soft clips of a SAM record stay styled through every re-render
+    if (window.getSoftClippedColumns) {
+        markSoftClippedBases(getSoftClippedColumns(seq1, seq2));
+    }
+
     // Apply current zoom/pan state
     applyTransform();
 
@@ -222,8 +455,122 @@ function renderAlignment(seq1, seq2, name1, name2) {
     setTimeout(updateNavigationSlider, 0);
 }
 
-// Create a position ruler row for a specific sequence
-function createPositionRuler(seq, labelText) {
+// Add the rulers and rows for alignment columns [start, end) to a parent element
+function appendAlignmentLine(parent, seq1, seq2, label1Text, label2Text, start, end, sequenceType) {
+    const showLineEnds = parent.classList.contains('alignment-block');
+    const positionBefore = (seq, column) => seq.substring(0, column).replace(/-/g, '').length;
+
+    // Add position ruler for sequence 1
+    const ruler1 = createPositionRuler(seq1.substring(start, end), label1Text + ' pos:', positionBefore(seq1, start));
+    parent.appendChild(ruler1);
+
+    // Create rows for both sequences
+    parent.appendChild(createSequenceRow(label1Text, seq1, seq2, start, end, sequenceType, showLineEnds));
+    parent.appendChild(createSequenceRow(label2Text, seq2, seq1, start, end, sequenceType, showLineEnds));
+
+    // Add position ruler for sequence 2
+    const ruler2 = createPositionRuler(seq2.substring(start, end), label2Text + ' pos:', positionBefore(seq2, start));
+    parent.appendChild(ruler2);
+}
+
+// Create the row of one sequence for alignment columns [start, end): the label,
+// the bases and, in the wrapped layout, the position of the last base of the line
+function createSequenceRow(labelText, seq, opposite, start, end, sequenceType, showLineEnd) {
+    const row = document.createElement('div');
+    row.className = 'alignment-row';
+
+    const label = document.createElement('div');
+    label.className = 'alignment-label';
+    label.textContent = labelText + ':';
+    row.appendChild(label);
+
+    const bases = document.createElement('div');
+    bases.style.display = 'flex';
+
+    let pos = seq.substring(0, start).replace(/-/g, '').length;
+    for (let i = start; i < end; i++) {
+        const base = seq[i];
+        const position = base === '-' ? 'del' : pos;
+        const baseEl = createBaseElement(base, opposite[i], position, sequenceType);
+        bases.appendChild(baseEl);
+        if (base !== '-') pos++;
+    }
+    row.appendChild(bases);
+
+    if (showLineEnd) {
+        const lineEnd = document.createElement('div');
+        lineEnd.className = 'line-end-position';
+        lineEnd.textContent = pos > 0 ? pos - 1 : '';
+        row.appendChild(lineEnd);
+    }
+
+    return row;
+}
+
+/**
+ * Lines of the displayed alignment, for drawing overlays on the bases
+ * The continuous view is a single line; the wrapped layout has one per block
+ * @returns {Array<Object>} - [{first, last, rows}]: first/last are the alignment
+ *                            columns of the line, rows are the base containers of
+ *                            its rows, where child k is column first + k
+ */
+function getAlignmentLines() {
+    const content = document.getElementById('alignment-content');
+    if (!content) return [];
+
+    const blocks = content.classList.contains('wrapped')
+        ? Array.from(content.querySelectorAll('.alignment-block'))
+        : [content];
+
+    return blocks.map(block => {
+        const rows = Array.from(block.children)
+            .filter(child => child.classList.contains('alignment-row'))
+            .map(row => row.children[1]);
+        const first = parseInt(block.dataset.firstColumn) || 0;
+        const count = rows.length > 0 ? rows[0].querySelectorAll(':scope > .base').length : 0;
+        return { first, last: first + count - 1, rows };
+    });
+}
+
+// Show score, CIGAR and gap counts for the last alignment next to the visualization
+function renderAlignmentStats(result) {
+    const statsEl = document.getElementById('alignment-stats');
+    if (!statsEl) return;
+
+    const stats = [
+        ['Score', result.score],
+        ['Identity', result.matchPercentage + '%'],
+        ['CIGAR', result.cigar],
+        ['Gap opens', result.gapOpens],
+        ['Gap extensions', result.gapExtensions],
+        ['Ref', `${result.startI}-${result.endI}`],
+        ['Read', `${result.startJ}-${result.endJ}`]
+    ];
+
+    statsEl.innerHTML = stats.map(([label, value]) =>
+        `<span class="alignment-stat">${label}: <span class="alignment-stat-value">${value}</span></span>`
+    ).join('');
+    statsEl.classList.remove('hidden');
+}
+
+// Hide the statistics once the displayed sequences no longer come from an alignment run
+function clearAlignmentStats() {
+    const statsEl = document.getElementById('alignment-stats');
+    if (!statsEl) return;
+
+    statsEl.innerHTML = '';
+    statsEl.classList.add('hidden');
+}
+
+// Whether the displayed sequences come from an alignment run (its statistics are shown)
+function hasAlignmentStats() {
+    const statsEl = document.getElementById('alignment-stats');
+    return Boolean(statsEl) && !statsEl.classList.contains('hidden');
+}
+
+// Create a position ruler row for a specific sequence, numbering its first base
+// startPosition
+function createPositionRuler(seq, labelText, startPosition = 0) {
     const row = document.createElement('div');
     row.className = 'position-ruler';
 
@@ -237,7 +584,7 @@ function createPositionRuler(seq, labelText) {
     const rulerContent = document.createElement('div');
     rulerContent.style.display = 'flex';
 
-    let position = 0;
+    let position = startPosition;
     for (let i = 0; i < seq.length; i++) {
         const posEl = document.createElement('div');
         posEl.className = 'position-marker';
@@ -267,7 +614,7 @@ function createPositionRuler(seq, labelText) {
 }
 
 // Create a base element with appropriate styling
-function createBaseElement(base, oppositeBase, position) {
+function createBaseElement(base, oppositeBase, position, sequenceType = 'dna') {
     const el = document.createElement('div');
     el.className = 'base';
 
@@ -277,10 +624,23 @@ function createBaseElement(base, oppositeBase, position) {
     if (base === '-') {
         el.classList.add('gap');
         el.textContent = '-';
+    } else if (sequenceType === 'protein') {
+        // Amino acids are colored by property group; B, Z, X and * share one color
+        el.classList.add('residue', 'aa-' + (AMINO_ACID_GROUPS[base] || 'other'));
+        el.textContent = base;
+
+        if (oppositeBase === '-') {
+            el.classList.add('insertion');
+        }
     } else {
         el.classList.add(base);
         el.textContent = base;
 
+        // Ambiguous IUPAC codes (N, R, Y, ...) get their own style
+        if (AMBIGUOUS_BASES.has(base)) {
+            el.classList.add('ambiguous');
+        }
+
         // Check if this is an insertion (opposite base is a gap)
         if (oppositeBase === '-') {
             el.classList.add('insertion');
@@ -453,6 +813,8 @@ function initDNAAlignment() {
             scoreCutoffInput.value = data.scoreCutoff;
         }
 
+        applyAlignmentSettings(data);
+
         // Load annotations from URL
         if (data.annotations && window.loadAnnotationsFromURL) {
             loadAnnotationsFromURL(data.annotations);
@@ -483,6 +845,11 @@ function initDNAAlignment() {
             if (window.renderAnnotationMarkers) {
                 renderAnnotationMarkers(data.seq1, data.seq2);
             }
+
+            // Update the variant table
+            if (window.renderVariantPanel) {
+                renderVariantPanel(data.seq1, data.seq2);
+            }
         }
     }
 
@@ -504,7 +871,7 @@ function initDNAAlignment() {
         const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
         const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
 
-        updateURL(seq1Input.value, seq2Input.value, name1Input.value, name2Input.value, sgRNAs, cutSite, scoreCutoff, window.annotations || []);
+        updateURL(seq1Input.value, seq2Input.value, name1Input.value, name2Input.value, sgRNAs, cutSite, scoreCutoff, window.annotations || [], getAlignmentSettings());
         renderAlignment(seq1Input.value, seq2Input.value, name1Input.value, name2Input.value);
 
         // Perform sgRNA alignment if sgRNAs are provided
@@ -516,10 +883,21 @@ function initDNAAlignment() {
         if (window.renderAnnotationMarkers) {
             renderAnnotationMarkers(seq1Input.value, seq2Input.value);
         }
+
+        // Update the variant table
+        if (window.renderVariantPanel) {
+            renderVariantPanel(seq1Input.value, seq2Input.value);
+        }
     }
 
+    // Importers re-render the view after filling in the inputs
+    window.updateAlignmentView = updateAll;
+
     // Function to trigger automatic alignment with debouncing
     function triggerAutoAlignment() {
+        // New input makes any running alignment stale
+        cancelAlignment();
+
         // Clear any existing timer
         if (alignmentTimer) {
             clearTimeout(alignmentTimer);
@@ -541,10 +919,19 @@ function initDNAAlignment() {
 
     // Add input event listeners for real-time updates and auto-alignment
     seq1Input.addEventListener('input', function() {
+        // FASTA text is replaced by its sequence and the header becomes the name
+        if (window.applyFastaInput) {
+            applyFastaInput(seq1Input, name1Input, seq2Input, name2Input);
+        }
+        clearAlignmentStats();
         updateAll();
         triggerAutoAlignment();
     });
     seq2Input.addEventListener('input', function() {
+        if (window.applyFastaInput) {
+            applyFastaInput(seq2Input, name2Input, seq1Input, name1Input);
+        }
+        clearAlignmentStats();
         updateAll();
         triggerAutoAlignment();
     });
@@ -556,16 +943,156 @@ function initDNAAlignment() {
     const cutSiteInput = document.getElementById('cut-site');
     const scoreCutoffInput = document.getElementById('score-cutoff');
 
+    // Cut sites feed the gap incentive, so once typing stops sgRNA changes re-align
+    // a pair that came from an alignment run. Pasted or edited pairs keep their gaps.
+    let sgRNARealignTimer = null;
+    function handlesgRNAParamsChange() {
+        updateAll();
+        if (getAlignmentSettings().gapIncentive === 0 || !hasAlignmentStats()) return;
+
+        if (sgRNARealignTimer) {
+            clearTimeout(sgRNARealignTimer);
+        }
+        sgRNARealignTimer = setTimeout(() => {
+            sgRNARealignTimer = null;
+            // Sequence edits during the wait replace the aligned pair
+            if (hasAlignmentStats()) {
+                alignNow();
+            }
+        }, 1000);
+    }
+
+    // The quantification window only changes how the alignment is reported
+    const windowSizeInput = document.getElementById('window-size');
+    const windowCenterSelect = document.getElementById('window-center');
+    const windowPositionInput = document.getElementById('window-position');
+    if (windowSizeInput) {
+        windowSizeInput.addEventListener('input', updateAll);
+    }
+    if (windowCenterSelect) {
+        windowCenterSelect.addEventListener('change', function() {
+            updateAlignmentSettingsVisibility();
+            updateAll();
+        });
+    }
+    if (windowPositionInput) {
+        windowPositionInput.addEventListener('input', updateAll);
+    }
+
     if (sgRNAsInput) {
-        sgRNAsInput.addEventListener('input', updateAll);
+        sgRNAsInput.addEventListener('input', handlesgRNAParamsChange);
     }
     if (cutSiteInput) {
-        cutSiteInput.addEventListener('input', updateAll);
+        cutSiteInput.addEventListener('input', handlesgRNAParamsChange);
     }
     if (scoreCutoffInput) {
-        scoreCutoffInput.addEventListener('input', updateAll);
+        scoreCutoffInput.addEventListener('input', handlesgRNAParamsChange);
     }
 
+    // Changing the alignment settings re-aligns the ungapped sequences
+    function realignWithNewSettings() {
+        updateAlignmentSettingsVisibility();
+        seq1Input.value = seq1Input.value.replace(/-/g, '');
+        seq2Input.value = seq2Input.value.replace(/-/g, '');
+        updateAll();
+        triggerAutoAlignment();
+    }
+
+    // Switch between the continuous view and the wrapped layout
+    const layoutSelect = document.getElementById('view-layout');
+    const wrapWidthInput = document.getElementById('wrap-width');
+    function handleLayoutChange() {
+        if (wrapWidthInput) {
+            wrapWidthInput.classList.toggle('hidden', layoutSelect.value !== 'wrapped');
+        }
+        resetZoom();
+        updateAll();
+        fitWrappedLayout();
+    }
+    if (layoutSelect) {
+        layoutSelect.addEventListener('change', handleLayoutChange);
+    }
+    if (wrapWidthInput) {
+        wrapWidthInput.addEventListener('change', handleLayoutChange);
+    }
+
+    // Align the ungapped sequences immediately, without waiting for the auto-alignment delay
+    function alignNow() {
+        if (alignmentTimer) {
+            clearTimeout(alignmentTimer);
+        }
+        if (sgRNARealignTimer) {
+            clearTimeout(sgRNARealignTimer);
+            sgRNARealignTimer = null;
+        }
+        seq1Input.value = seq1Input.value.replace(/-/g, '');
+        seq2Input.value = seq2Input.value.replace(/-/g, '');
+        clearAlignmentStats();
+        updateAll();
+        performAlignment();
+    }
+
+    const alignButton = document.getElementById('align-button');
+    if (alignButton) {
+        alignButton.addEventListener('click', alignNow);
+    }
+
+    const sequenceTypeSelect = document.getElementById('sequence-type');
+    const alignModeSelect = document.getElementById('align-mode');
+    const freeEndGapsSelect = document.getElementById('free-end-gaps');
+    const matrixSelect = document.getElementById('score-matrix');
+    const matrixFileInput = document.getElementById('matrix-file');
+    const indelPolicySelect = document.getElementById('indel-policy');
+    const gapIncentiveInput = document.getElementById('gap-incentive');
+    if (sequenceTypeSelect) {
+        sequenceTypeSelect.addEventListener('change', function() {
+            // Switch to the default matrix for the new type unless a custom one is loaded
+            const selected = matrixSelect ? matrixSelect.selectedOptions[0] : null;
+            if (selected && selected.dataset.type && selected.dataset.type !== sequenceTypeSelect.value) {
+                matrixSelect.value = DEFAULT_MATRIX_FOR_TYPE[sequenceTypeSelect.value];
+            }
+            realignWithNewSettings();
+        });
+    }
+    if (alignModeSelect) {
+        alignModeSelect.addEventListener('change', realignWithNewSettings);
+    }
+    if (freeEndGapsSelect) {
+        freeEndGapsSelect.addEventListener('change', realignWithNewSettings);
+    }
+    if (indelPolicySelect) {
+        indelPolicySelect.addEventListener('change', realignWithNewSettings);
+    }
+    if (gapIncentiveInput) {
+        gapIncentiveInput.addEventListener('input', realignWithNewSettings);
+    }
+    if (matrixSelect) {
+        matrixSelect.addEventListener('change', function() {
+            // Wait for a file before re-aligning with a custom matrix
+            if (matrixSelect.value === 'custom' && !customMatrix) {
+                updateAlignmentSettingsVisibility();
+                return;
+            }
+            realignWithNewSettings();
+        });
+    }
+    if (matrixFileInput) {
+        matrixFileInput.addEventListener('change', function() {
+            const file = matrixFileInput.files[0];
+            if (!file) return;
+
+            file.text().then(text => {
+                customMatrix = readMatrix(text);
+                console.log('Loaded custom matrix from', file.name);
+                realignWithNewSettings();
+            }).catch(error => {
+                console.error('Matrix load error:', error);
+                alert('Error loading matrix file: ' + error.message);
+            });
+        });
+    }
+    updateAlignmentSettingsVisibility();
+
     // Handle browser back/forward navigation
     window.addEventListener('hashchange', function() {
         const data = decodeSequencesFromURL();
@@ -589,6 +1116,8 @@ function initDNAAlignment() {
             scoreCutoffInput.value = data.scoreCutoff;
         }
 
+        applyAlignmentSettings(data);
+
         // Load annotations from URL
         if (data.annotations && window.loadAnnotationsFromURL) {
             loadAnnotationsFromURL(data.annotations);
@@ -605,6 +1134,11 @@ function initDNAAlignment() {
         if (window.renderAnnotationMarkers) {
             renderAnnotationMarkers(data.seq1, data.seq2);
         }
+
+        // Update the variant table
+        if (window.renderVariantPanel) {
+            renderVariantPanel(data.seq1, data.seq2);
+        }
     });
 
     // Setup zoom and pan
@@ -633,13 +1167,169 @@ function initDNAAlignment() {
     console.log('DNA alignment tool initialized with automatic alignment');
 }
 
+// Start an alignment job in the worker. Resolves with the alignment result, or
+// rejects with an error whose `cancelled` flag is set if a newer job replaced it.
+function runAlignmentInBackground(job, onProgress) {
+    cancelAlignment();
+
+    const id = nextAlignmentJobId++;
+    return new Promise((resolve, reject) => {
+        alignmentJob = { id, job, resolve, reject, onProgress };
+
+        const worker = getAlignmentWorker();
+        if (worker) {
+            worker.postMessage({ type: 'start', id, job });
+        } else {
+            runAlignmentOnMainThread(alignmentJob);
+        }
+    });
+}
+
+// Cancel the in-flight alignment, if any. The worker cannot be interrupted
+// mid-job, so it is terminated and a fresh one is created for the next job.
+function cancelAlignment() {
+    if (!alignmentJob) return;
+
+    const job = alignmentJob;
+    alignmentJob = null;
+    if (alignmentWorker) {
+        alignmentWorker.terminate();
+        alignmentWorker = null;
+    }
+
+    const error = new Error('Alignment cancelled');
+    error.cancelled = true;
+    job.reject(error);
+}
+
+function getAlignmentWorker() {
+    if (alignmentWorker || alignmentWorkerUnavailable) {
+        return alignmentWorker;
+    }
+    if (typeof Worker === 'undefined') {
+        alignmentWorkerUnavailable = true;
+        return null;
+    }
+
+    try {
+        alignmentWorker = new Worker('js/alignment-worker.js');
+    } catch (error) {
+        // Browsers refuse workers on pages opened from file://
+        console.warn('Alignment worker unavailable, aligning on the main thread:', error.message);
+        alignmentWorkerUnavailable = true;
+        return null;
+    }
+
+    alignmentWorker.onmessage = handleAlignmentWorkerMessage;
+    alignmentWorker.onerror = function(event) {
+        // The worker script failed to load; finish the pending job here instead
+        event.preventDefault();
+        console.warn('Alignment worker failed, aligning on the main thread:', event.message);
+        alignmentWorkerUnavailable = true;
+        if (alignmentWorker) {
+            alignmentWorker.terminate();
+            alignmentWorker = null;
+        }
+        if (alignmentJob) {
+            runAlignmentOnMainThread(alignmentJob);
+        }
+    };
+    return alignmentWorker;
+}
+
+function handleAlignmentWorkerMessage(event) {
+    const message = event.data;
+    const job = alignmentJob;
+
+    // Ignore messages from jobs that have been replaced
+    if (!job || message.id !== job.id) return;
+
+    if (message.type === 'progress') {
+        if (job.onProgress) job.onProgress(message.fraction);
+    } else if (message.type === 'result') {
+        alignmentJob = null;
+        job.resolve(message.result);
+    } else if (message.type === 'error') {
+        alignmentJob = null;
+        job.reject(new Error(message.message));
+    }
+}
+
+// Fallback when workers are unavailable: same aligner, but it blocks the page
+function runAlignmentOnMainThread(job) {
+    setTimeout(() => {
+        if (alignmentJob !== job) return;
+        alignmentJob = null;
+        try {
+            job.resolve(runAlignment(job.job));
+        } catch (error) {
+            job.reject(error);
+        }
+    }, 0);
+}
+
+function setAlignButtonState(fraction) {
+    const alignButton = document.getElementById('align-button');
+    if (!alignButton) return;
+
+    if (fraction === null) {
+        alignButton.disabled = false;
+        alignButton.textContent = 'Align Sequences';
+    } else {
+        alignButton.disabled = true;
+        alignButton.textContent = `Aligning... ${Math.floor(fraction * 100)}%`;
+    }
+}
+
+// After an importer replaces the reference, realign the current read against it,
+// or just show the reference when there is no read
+function showNewReference() {
+    const seq2Input = document.getElementById('seq2');
+    const read = seq2Input ? seq2Input.value.replace(/[\s-]+/g, '') : '';
+    if (read) {
+        seq2Input.value = read;
+        performAlignment();
+    } else if (window.updateAlignmentView) {
+        clearAlignmentStats();
+        updateAlignmentView();
+    }
+}
+
+// Build the aligner job for reference seqI and query seqJ from the current settings.
+// Throws if the scoring matrix cannot be built.
+function buildAlignmentJob(seqI, seqJ, settings, sgRNAs, cutSite, scoreCutoff) {
+    // Create scoring matrix
+    const matrix = getScoringMatrix(settings);
+
+    const isProtein = settings.sequenceType === 'protein';
+
+    // Reward gaps at the reference cut sites of the sgRNAs, like CRISPResso2
+    const cutSites = sgRNAs && !isProtein && window.alignAllsgRNAs
+        ? getReferenceCutSites(alignAllsgRNAs(seqI, seqJ, sgRNAs, cutSite, scoreCutoff))
+        : [];
+    const gapIncentive = buildGapIncentive(seqI.length, cutSites, settings.gapIncentive);
+
+    // Align with CRISPResso2 default parameters
+    // gap_open=-20, gap_extend=-2 (from CRISPResso2/args.json)
+    // Proteins use the usual BLOSUM62 gap costs (open 11, extend 1) instead
+    return {
+        mode: settings.mode,
+        freeEndGaps: settings.freeEndGaps,
+        seqJ,
+        seqI,
+        matrix,
+        gapIncentive,
+        gapOpen: isProtein ? -11 : -20,
+        gapExtend: isProtein ? -1 : -2
+    };
+}
+
 // Perform sequence alignment using the JavaScript implementation
 function performAlignment() {
     const seq1Input = document.getElementById('seq1');
     const seq2Input = document.getElementById('seq2');
     const name1Input = document.getElementById('name1');
     const name2Input = document.getElementById('name2');
-    const alignButton = document.getElementById('align-button');
 
     // Get raw sequences (without normalization to preserve user input)
     let seqI = seq1Input.value.toUpperCase().replace(/\s+/g, ''); // Reference
@@ -650,43 +1340,46 @@ function performAlignment() {
         return;
     }
 
-    // Disable button during alignment
-    if (alignButton) {
-        alignButton.disabled = true;
-        alignButton.textContent = 'Aligning...';
-    }
+    // Get sgRNA parameters for the gap incentive and URL update
+    const sgRNAsInput = document.getElementById('sgrnas');
+    const cutSiteInput = document.getElementById('cut-site');
+    const scoreCutoffInput = document.getElementById('score-cutoff');
 
+    const sgRNAs = sgRNAsInput ? sgRNAsInput.value : '';
+    const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
+    const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
+
+    const settings = getAlignmentSettings();
+    let job;
     try {
-        // Create scoring matrix (matches EDNAFULL defaults from Cython)
-        const matrix = makeMatrix(5, -4, -2, -1); // match, mismatch, n-mismatch, n-match
+        job = buildAlignmentJob(seqI, seqJ, settings, sgRNAs, cutSite, scoreCutoff);
+    } catch (error) {
+        console.error('Alignment error:', error);
+        alert('Error during alignment: ' + error.message);
+        return;
+    }
 
-        // Create gap incentive array (uniform, no special cut sites)
-        const gapIncentive = new Int32Array(seqI.length + 1);
-        gapIncentive.fill(0);
+    // Disable button during alignment
+    setAlignButtonState(0);
 
-        // Perform global alignment with CRISPResso2 default parameters
-        // gap_open=-20, gap_extend=-2 (from CRISPResso2/args.json)
-        const result = globalAlign(seqJ, seqI, matrix, gapIncentive, -20, -2);
+    return runAlignmentInBackground(job, setAlignButtonState).then(alignerResult => {
+        let result = applyIndelPolicy(alignerResult, settings.indelPolicy);
+        if (settings.mode === 'local') {
+            result = addLocalAlignmentFlanks(result, seqJ, seqI);
+        }
 
         console.log('Alignment complete:', result);
         console.log('Match percentage:', result.matchPercentage + '%');
+        console.log('Score:', result.score, 'CIGAR:', result.cigar);
 
         // Update the textareas with aligned sequences
         seq1Input.value = result.alignedSeqI;
         seq2Input.value = result.alignedSeqJ;
 
-        // Get sgRNA parameters for URL update
-        const sgRNAsInput = document.getElementById('sgrnas');
-        const cutSiteInput = document.getElementById('cut-site');
-        const scoreCutoffInput = document.getElementById('score-cutoff');
-
-        const sgRNAs = sgRNAsInput ? sgRNAsInput.value : '';
-        const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
-        const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
-
         // Update URL and render
-        updateURL(result.alignedSeqI, result.alignedSeqJ, name1Input.value, name2Input.value, sgRNAs, cutSite, scoreCutoff, window.annotations || []);
+        updateURL(result.alignedSeqI, result.alignedSeqJ, name1Input.value, name2Input.value, sgRNAs, cutSite, scoreCutoff, window.annotations || [], settings);
         renderAlignment(result.alignedSeqI, result.alignedSeqJ, name1Input.value, name2Input.value);
+        renderAlignmentStats(result);
 
         // Perform sgRNA alignment if sgRNAs are provided
         if (sgRNAs && window.performsgRNAAlignment) {
@@ -698,17 +1391,71 @@ function performAlignment() {
             renderAnnotationMarkers(result.alignedSeqI, result.alignedSeqJ);
         }
 
+        // Update the variant table
+        if (window.renderVariantPanel) {
+            renderVariantPanel(result.alignedSeqI, result.alignedSeqJ);
+        }
+
         // Show success message
         console.log(`Alignment successful! Match: ${result.matchPercentage}%`);
-
-    } catch (error) {
+    }).catch(error => {
+        if (error.cancelled) {
+            console.log('Alignment cancelled');
+            return;
+        }
         console.error('Alignment error:', error);
         alert('Error during alignment: ' + error.message);
-    } finally {
-        // Re-enable button
-        if (alignButton) {
-            alignButton.disabled = false;
-            alignButton.textContent = 'Align Sequences';
+    }).finally(() => {
+        // Re-enable button unless a newer alignment is already running
+        if (!alignmentJob) {
+            setAlignButtonState(null);
         }
+    });
+}
+
+// Shift the gaps of an alignment result to the chosen side of any repeat and
+// refresh the CIGAR and gap counts. The score is left as computed by the aligner.
+function applyIndelPolicy(result, policy) {
+    if (policy !== 'left' && policy !== 'right') {
+        return result;
     }
+
+    const normalized = normalizeIndels(result.alignedSeqJ, result.alignedSeqI, policy);
+    const before = summarizeAlignment(result.alignedSeqJ, result.alignedSeqI);
+    const after = summarizeAlignment(normalized.alignedSeqJ, normalized.alignedSeqI);
+
+    // Offsets from the aligner include where the traceback started, so only
+    // apply the change in leading/trailing gaps
+    return {
+        ...result,
+        alignedSeqJ: normalized.alignedSeqJ,
+        alignedSeqI: normalized.alignedSeqI,
+        cigar: after.cigar,
+        gapOpens: after.gapOpens,
+        gapExtensions: after.gapExtensions,
+        startI: result.startI + after.startI - before.startI,
+        endI: result.endI + after.endI - before.endI,
+        startJ: result.startJ + after.startJ - before.startJ,
+        endJ: result.endJ + after.endJ - before.endJ
+    };
+}
+
+// Re-attach the unaligned flanks around a local alignment so the textareas keep
+// the full sequences. Each flank is placed opposite gaps rather than opposite the
+// other sequence's flank: the reference flanks next to the hit, the read flanks
+// outside them. localHitColumns() finds the hit again so the flanks are not
+// listed as variants.
+function addLocalAlignmentFlanks(result, seqJ, seqI) {
+    const leftJ = seqJ.substring(0, result.startJ);
+    const leftI = seqI.substring(0, result.startI);
+    const rightJ = seqJ.substring(result.endJ);
+    const rightI = seqI.substring(result.endI);
+
+    const gaps = flank => '-'.repeat(flank.length);
+
+    return {
+        ...result,
+        alignedSeqJ: leftJ + gaps(leftI) + result.alignedSeqJ + gaps(rightI) + rightJ,
+        alignedSeqI: gaps(leftJ) + leftI + result.alignedSeqI + rightI + gaps(rightJ)
+    };
 }
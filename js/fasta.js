@@ -0,0 +1,188 @@
+// FASTA Import/Export Functions
+// Detects FASTA text pasted or dropped into the sequence inputs, fills in the
+// names from the headers, lets the user pick records from multi-record files,
+// and exports the current sequences as FASTA
+
+// Files the sequence inputs accept when dropped on them
+const FASTA_FILE_PATTERN = /\.(fasta|fas|fa|fna|ffn|faa|frn|seq)$/i;
+
+// Residues per line in exported FASTA
+const FASTA_LINE_WIDTH = 60;
+
+// Records of the last multi-record FASTA, shared by both record pickers
+let fastaRecords = [];
+
+// True when the text is FASTA rather than a raw sequence
+function isFasta(text) {
+    return text.trimStart().startsWith('>');
+}
+
+/**
+ * Parse FASTA text into records
+ * @param {string} text - One or more records, each a '>' header line followed by sequence lines
+ * @returns {Array<Object>} - [{name, sequence}]: name is the header without '>',
+ *                            sequence is uppercase with whitespace removed (gaps are kept)
+ */
+function parseFasta(text) {
+    const records = [];
+    for (const block of text.split(/^>/m).slice(1)) {
+        const lines = block.split(/\r?\n/);
+        records.push({
+            name: lines[0].trim(),
+            sequence: lines.slice(1).join('').replace(/\s+/g, '').toUpperCase()
+        });
+    }
+    return records;
+}
+
+/**
+ * Format records as FASTA
+ * @param {Array<Object>} records - [{name, sequence}]
+ * @param {number} lineWidth - Residues per sequence line (0 for one line per record)
+ * @returns {string} - FASTA text
+ */
+function formatFasta(records, lineWidth = FASTA_LINE_WIDTH) {
+    return records.map(record => {
+        const lines = [`>${record.name}`];
+        const width = lineWidth > 0 ? lineWidth : Math.max(record.sequence.length, 1);
+        for (let i = 0; i < record.sequence.length; i += width) {
+            lines.push(record.sequence.substring(i, i + width));
+        }
+        return lines.join('\n');
+    }).join('\n') + '\n';
+}
+
+// Replace FASTA text in a sequence input with the sequence of its first record,
+// and the name with its header. Multi-record input also fills an empty second
+// sequence input with the second record and shows the record pickers.
+// Returns true when the input held FASTA.
+function applyFastaInput(seqInput, nameInput, otherSeqInput, otherNameInput) {
+    if (!isFasta(seqInput.value)) return false;
+
+    const records = parseFasta(seqInput.value).filter(record => record.sequence);
+    if (records.length === 0) return false;
+
+    setFastaRecord(seqInput, nameInput, records[0]);
+    if (records.length > 1 && otherSeqInput && !otherSeqInput.value.trim()) {
+        setFastaRecord(otherSeqInput, otherNameInput, records[1]);
+    }
+
+    fastaRecords = records.length > 1 ? records : [];
+    updateFastaRecordPickers();
+    return true;
+}
+
+function setFastaRecord(seqInput, nameInput, record) {
+    seqInput.value = record.sequence;
+    if (nameInput && record.name) {
+        nameInput.value = record.name;
+    }
+}
+
+// Show the record pickers while a multi-record file is loaded
+function updateFastaRecordPickers() {
+    ['seq1', 'seq2'].forEach(id => {
+        const group = document.getElementById(`${id}-record-group`);
+        const select = document.getElementById(`${id}-record`);
+        const seqInput = document.getElementById(id);
+        if (!group || !select || !seqInput) return;
+
+        select.innerHTML = '';
+        fastaRecords.forEach((record, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${record.name || `Record ${index + 1}`} (${record.sequence.replace(/-/g, '').length})`;
+            select.appendChild(option);
+        });
+
+        const current = fastaRecords.findIndex(record => record.sequence === normalizeSequence(seqInput.value));
+        select.value = current === -1 ? '' : current;
+        group.classList.toggle('hidden', fastaRecords.length === 0);
+    });
+}
+
+// Export the current sequences, with or without alignment gaps
+function downloadFasta() {
+    const seq1Input = document.getElementById('seq1');
+    const seq2Input = document.getElementById('seq2');
+    const name1Input = document.getElementById('name1');
+    const name2Input = document.getElementById('name2');
+    const gapsSelect = document.getElementById('fasta-export-gaps');
+
+    const keepGaps = !gapsSelect || gapsSelect.value === 'gapped';
+    const records = [
+        { name: name1Input.value.trim() || 'Reference', sequence: normalizeSequence(seq1Input.value) },
+        { name: name2Input.value.trim() || 'Amplicon 1', sequence: normalizeSequence(seq2Input.value) }
+    ].map(record => ({
+        name: record.name,
+        sequence: keepGaps ? record.sequence : record.sequence.replace(/-/g, '')
+    })).filter(record => record.sequence);
+
+    if (records.length === 0) {
+        alert('Please enter a sequence before exporting FASTA.');
+        return;
+    }
+
+    downloadTextFile(keepGaps ? 'alignment.fasta' : 'sequences.fasta', formatFasta(records), 'text/plain');
+}
+
+function setupFasta() {
+    const inputs = [
+        { seq: document.getElementById('seq1'), name: document.getElementById('name1') },
+        { seq: document.getElementById('seq2'), name: document.getElementById('name2') }
+    ];
+
+    inputs.forEach((input, index) => {
+        if (!input.seq) return;
+
+        // Pick a record of the loaded file for this input
+        const select = document.getElementById(`${input.seq.id}-record`);
+        if (select) {
+            select.addEventListener('change', function() {
+                const record = fastaRecords[parseInt(select.value)];
+                if (!record) return;
+                setFastaRecord(input.seq, input.name, record);
+                input.seq.dispatchEvent(new Event('input'));
+            });
+        }
+
+        // Dropped FASTA files go through the same path as pasted text
+        input.seq.addEventListener('dragover', function(event) {
+            event.preventDefault();
+        });
+        input.seq.addEventListener('drop', function(event) {
+            const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+            const file = files.find(f => FASTA_FILE_PATTERN.test(f.name));
+            if (!file) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            file.text().then(text => {
+                input.seq.value = text;
+                input.seq.dispatchEvent(new Event('input'));
+            }).catch(error => {
+                console.error('FASTA load error:', error);
+                alert('Error loading FASTA file: ' + error.message);
+            });
+        });
+    });
+
+    const downloadButton = document.getElementById('fasta-download');
+    if (downloadButton) {
+        downloadButton.addEventListener('click', downloadFasta);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.applyFastaInput = applyFastaInput;
+    document.addEventListener('DOMContentLoaded', setupFasta);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isFasta,
+        parseFasta,
+        formatFasta
+    };
+}
@@ -0,0 +1,339 @@
+// FASTQ Allele Table Functions
+// Reads a FASTQ file (plain or gzip) dropped onto the page, collapses identical
+// reads into alleles, aligns each allele to the reference (sequence 1) and shows
+// a CRISPResso-style alleles frequency table
+
+// Only the most frequent alleles are aligned and listed
+const FASTQ_MAX_ALLELES = 100;
+
+// Reference bases shown on each side of the center in the mini alignments
+const ALLELE_PLOT_WINDOW = 20;
+
+// File names accepted by the page drop handler
+const FASTQ_FILE_PATTERN = /\.(fastq|fq)(\.gz)?$/i;
+
+/**
+ * Parse FASTQ text into read sequences
+ * @param {string} text - FASTQ file content (four lines per record)
+ * @returns {Array<string>} - Uppercase read sequences in file order
+ */
+function parseFastq(text) {
+    const lines = text.split(/\r?\n/);
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+        lines.pop();
+    }
+
+    const sequences = [];
+    for (let i = 0; i < lines.length; i += 4) {
+        if (!lines[i].startsWith('@') || lines[i + 2] === undefined || !lines[i + 2].startsWith('+') ||
+            lines[i + 3] === undefined || lines[i + 3].length !== lines[i + 1].length) {
+            throw new Error(`Invalid FASTQ record at line ${i + 1}`);
+        }
+        sequences.push(lines[i + 1].trim().toUpperCase());
+    }
+    return sequences;
+}
+
+/**
+ * Collapse identical reads into alleles
+ * @param {Array<string>} sequences - Read sequences
+ * @returns {Array<Object>} - [{sequence, count, percent}], most frequent first
+ *                            (ties keep the order the alleles first appeared in)
+ */
+function collapseReads(sequences) {
+    const counts = new Map();
+    for (const sequence of sequences) {
+        if (!sequence) continue;
+        counts.set(sequence, (counts.get(sequence) || 0) + 1);
+    }
+
+    const total = sequences.filter(Boolean).length;
+    return Array.from(counts, ([sequence, count]) => ({
+        sequence,
+        count,
+        percent: count / total * 100
+    })).sort((a, b) => b.count - a.count);
+}
+
+// True when the bytes start with the gzip magic number
+function isGzip(bytes) {
+    return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Reference bases around a center, with the read's base at each position
+ * Deleted positions show '-' and inserted bases are attached to the reference base
+ * they follow, so every allele has the same number of columns
+ * @param {string} alignedRead - Aligned read sequence
+ * @param {string} alignedRef - Aligned reference sequence
+ * @param {number} center - Reference index of the base after the center (e.g. a cut site)
+ * @param {number} size - Reference bases on each side of the center
+ * @returns {Array<Object>} - [{refIndex, ref, base, insertedAfter}] for reference
+ *                            indices [center - size, center + size) that exist
+ */
+function alleleWindowBases(alignedRead, alignedRef, center, size) {
+    const bases = [];
+    let refIndex = -1;
+    for (let c = 0; c < alignedRef.length; c++) {
+        if (alignedRef[c] === '-') {
+            const last = bases[bases.length - 1];
+            if (last && last.refIndex === refIndex) {
+                last.insertedAfter += alignedRead[c];
+            }
+            continue;
+        }
+
+        refIndex++;
+        if (refIndex >= center - size && refIndex < center + size) {
+            bases.push({ refIndex, ref: alignedRef[c], base: alignedRead[c], insertedAfter: '' });
+        }
+    }
+    return bases;
+}
+
+// Read a File as text, decompressing it first when it is gzip-compressed
+function readFastqFile(file) {
+    return file.arrayBuffer().then(buffer => {
+        const bytes = new Uint8Array(buffer);
+        if (!isGzip(bytes)) {
+            return new TextDecoder().decode(bytes);
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress gzip files');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
+    });
+}
+
+// Reference index the mini alignments are centered on: the first sgRNA cut site,
+// else a manual quantification window center, else the middle of the reference
+function getAllelePlotCenter(reference) {
+    const sgRNAsInput = document.getElementById('sgrnas');
+    if (sgRNAsInput && sgRNAsInput.value && window.alignAllsgRNAs) {
+        const cutSiteInput = document.getElementById('cut-site');
+        const scoreCutoffInput = document.getElementById('score-cutoff');
+        const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
+        const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
+
+        const cutSites = getReferenceCutSites(alignAllsgRNAs(reference, reference, sgRNAsInput.value, cutSite, scoreCutoff));
+        if (cutSites.length > 0) return cutSites[0];
+    }
+
+    const settings = getAlignmentSettings();
+    if (settings.windowCenter === 'manual') {
+        return settings.windowPosition;
+    }
+    return Math.floor(reference.length / 2);
+}
+
+// Load a FASTQ file, align its most frequent alleles and show the table
+function loadFastqFile(file) {
+    const seq1Input = document.getElementById('seq1');
+    const reference = seq1Input ? seq1Input.value.toUpperCase().replace(/[\s-]+/g, '') : '';
+    if (!reference) {
+        alert('Please enter a reference sequence before loading a FASTQ file.');
+        return;
+    }
+
+    setAlleleTableStatus(`Reading ${file.name}...`);
+
+    let alleles;
+    let totalReads;
+    return readFastqFile(file).then(text => {
+        const sequences = parseFastq(text);
+        if (sequences.length === 0) {
+            throw new Error('The file contains no reads');
+        }
+        totalReads = sequences.length;
+        alleles = collapseReads(sequences).slice(0, FASTQ_MAX_ALLELES);
+
+        setAlleleTableStatus(`Aligning ${alleles.length} alleles...`);
+        return alignSequencesToReference(reference, alleles.map(allele => allele.sequence), done => {
+            setAlleleTableStatus(`Aligning alleles... ${Math.floor(done)}/${alleles.length}`);
+        });
+    }).then(pairs => {
+        alleles.forEach((allele, index) => {
+            allele.alignedRef = pairs[index].alignedRef;
+            allele.alignedRead = pairs[index].alignedRead;
+        });
+        renderAlleleTable(file.name, reference, alleles, totalReads);
+    }).catch(error => {
+        if (error.cancelled) {
+            setAlleleTableStatus('Alignment cancelled');
+            return;
+        }
+        console.error('FASTQ load error:', error);
+        setAlleleTableStatus('');
+        alert('Error loading FASTQ file: ' + error.message);
+    });
+}
+
+// Show a progress or status line in the allele table panel
+function setAlleleTableStatus(message) {
+    const panel = document.getElementById('allele-table');
+    const status = document.getElementById('allele-table-status');
+    if (!panel || !status) return;
+
+    panel.classList.remove('hidden');
+    status.textContent = message;
+}
+
+// Render the alleles frequency table
+function renderAlleleTable(fileName, reference, alleles, totalReads) {
+    const content = document.getElementById('allele-table-content');
+    if (!content) return;
+
+    setAlleleTableStatus('');
+    content.innerHTML = '';
+
+    const sequenceType = getAlignmentSettings().sequenceType;
+    const center = getAllelePlotCenter(reference);
+    const includeIndx = getQuantificationWindow(reference, reference);
+
+    const summaries = alleles.map(allele => listVariants(allele.alignedRead, allele.alignedRef, includeIndx || undefined));
+    const modifiedReads = alleles.reduce((sum, allele, index) => {
+        const summary = summaries[index];
+        const modified = summary.insertionN + summary.deletionN + summary.substitutionN > 0;
+        return sum + (modified ? allele.count : 0);
+    }, 0);
+    const shownReads = alleles.reduce((sum, allele) => sum + allele.count, 0);
+
+    const totals = document.createElement('div');
+    totals.className = 'variant-totals';
+    totals.innerHTML = `
+        <span class="variant-total allele-file-name"></span>
+        <span class="variant-total">Reads: <strong>${totalReads}</strong></span>
+        <span class="variant-total">Alleles shown: <strong>${alleles.length}</strong> (${(shownReads / totalReads * 100).toFixed(1)}% of reads)</span>
+        <span class="variant-total">Modified: <strong>${(modifiedReads / totalReads * 100).toFixed(1)}%</strong></span>
+    `;
+    totals.querySelector('.allele-file-name').textContent = fileName;
+    content.appendChild(totals);
+
+    const table = document.createElement('table');
+    table.className = 'variant-table allele-table';
+
+    // Header row carries the reference bases of the mini alignment
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const refCell = document.createElement('th');
+    refCell.appendChild(createAlleleMiniAlignment(alleleWindowBases(reference, reference, center, ALLELE_PLOT_WINDOW), center, sequenceType, true));
+    headRow.appendChild(refCell);
+    headRow.insertAdjacentHTML('beforeend', '<th>%Reads</th><th>#Reads</th><th>Indels</th>');
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    alleles.forEach((allele, index) => {
+        const summary = summaries[index];
+        const row = document.createElement('tr');
+        row.className = 'allele-row';
+
+        const plotCell = document.createElement('td');
+        plotCell.appendChild(createAlleleMiniAlignment(
+            alleleWindowBases(allele.alignedRead, allele.alignedRef, center, ALLELE_PLOT_WINDOW), center, sequenceType, false));
+        row.appendChild(plotCell);
+
+        const parts = [];
+        if (summary.insertionN) parts.push(`+${summary.insertionN} ins`);
+        if (summary.deletionN) parts.push(`-${summary.deletionN} del`);
+        if (summary.substitutionN) parts.push(`${summary.substitutionN} sub`);
+
+        row.insertAdjacentHTML('beforeend', `
+            <td>${allele.percent.toFixed(2)}</td>
+            <td>${allele.count}</td>
+            <td>${parts.length ? parts.join(', ') : 'Unmodified'}</td>
+        `);
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+    content.appendChild(table);
+
+    const pileupButton = document.createElement('button');
+    pileupButton.className = 'reset-button';
+    pileupButton.textContent = 'Show Alleles in Pileup';
+    pileupButton.addEventListener('click', function() {
+        const merged = mergePairwiseAlignments(alleles.map(allele => ({
+            alignedRef: allele.alignedRef,
+            alignedRead: allele.alignedRead
+        })));
+        const names = alleles.map((allele, index) => `#${index + 1} ${allele.percent.toFixed(1)}%`);
+        const name1Input = document.getElementById('name1');
+        renderPileup(merged.reference, merged.reads, name1Input ? name1Input.value : '', names);
+    });
+    content.appendChild(pileupButton);
+}
+
+// Mini alignment of one allele (or the reference) around the plot center
+function createAlleleMiniAlignment(windowBases, center, sequenceType, isReference) {
+    const plot = document.createElement('div');
+    plot.className = 'allele-plot';
+
+    for (const item of windowBases) {
+        const el = createBaseElement(item.base, isReference ? item.base : item.ref, item.refIndex, sequenceType);
+        if (!isReference && item.base !== '-' && item.base !== item.ref) {
+            el.classList.add('allele-mismatch');
+        }
+        if (item.insertedAfter) {
+            el.classList.add('allele-insertion');
+            el.title = `Position: ${item.refIndex}, inserted after: ${item.insertedAfter}`;
+        }
+        if (item.refIndex === center) {
+            el.classList.add('allele-cut');
+        }
+        plot.appendChild(el);
+    }
+    return plot;
+}
+
+// Accept FASTQ files dropped anywhere on the page
+function setupFastqDrop() {
+    document.addEventListener('dragover', function(event) {
+        if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+            event.preventDefault();
+        }
+    });
+
+    document.addEventListener('drop', function(event) {
+        const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+        const fastq = files.find(file => FASTQ_FILE_PATTERN.test(file.name));
+        if (!fastq) return;
+
+        event.preventDefault();
+        loadFastqFile(fastq);
+    });
+
+    const fileInput = document.getElementById('fastq-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files.length > 0) {
+                loadFastqFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    const toggleButton = document.getElementById('toggle-allele-table');
+    const panelContent = document.getElementById('allele-table-body');
+    const panelHeader = document.querySelector('#allele-table .sidebar-header');
+    if (panelHeader && toggleButton && panelContent) {
+        panelHeader.addEventListener('click', function() {
+            panelContent.classList.toggle('collapsed');
+            toggleButton.classList.toggle('collapsed');
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupFastqDrop);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseFastq,
+        collapseReads,
+        isGzip,
+        alleleWindowBases
+    };
+}
@@ -0,0 +1,271 @@
+// GenBank Import Functions
+// Parses GenBank flat files: ORIGIN becomes the reference (sequence 1) and the
+// FEATURES table becomes annotations on it
+
+// Files accepted by the import and when dropped on the reference input
+const GENBANK_FILE_PATTERN = /\.(gb|gbk|genbank|gbff|ape)$/i;
+
+// Qualifiers tried in order for the annotation name
+const GENBANK_NAME_QUALIFIERS = ['label', 'gene', 'product', 'standard_name', 'locus_tag', 'note'];
+
+// The source feature spans the whole record and would only duplicate the sequence
+const GENBANK_SKIPPED_FEATURES = new Set(['source']);
+
+/**
+ * Parse a GenBank feature location
+ * Handles single bases, ranges with < and > partial markers, site locations
+ * (123^124), complement(), join() and order(). References to other records
+ * (e.g. J00194.1:100..202) are skipped.
+ * @param {string} location - Location string, possibly spanning several lines
+ * @returns {Object} - {strand: '+'|'-', segments: [{start, end}]} with 0-based,
+ *                     inclusive coordinates in transcription order
+ */
+function parseGenBankLocation(location) {
+    const text = location.replace(/\s+/g, '');
+
+    const inner = (prefix) => text.substring(prefix.length + 1, text.length - 1);
+
+    if (/^complement\(.*\)$/.test(text)) {
+        const parsed = parseGenBankLocation(inner('complement'));
+        return {
+            strand: parsed.strand === '-' ? '+' : '-',
+            segments: parsed.segments.slice().reverse()
+        };
+    }
+
+    const group = /^(join|order)\(.*\)$/.exec(text);
+    if (group) {
+        // Split on top-level commas only
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const c of inner(group[1])) {
+            if (c === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+                continue;
+            }
+            if (c === '(') depth++;
+            if (c === ')') depth--;
+            current += c;
+        }
+        parts.push(current);
+
+        const children = parts.map(parseGenBankLocation).filter(child => child.segments.length > 0);
+        return {
+            strand: children.length > 0 && children.every(child => child.strand === '-') ? '-' : '+',
+            segments: [].concat(...children.map(child => child.segments))
+        };
+    }
+
+    if (text.includes(':')) {
+        return { strand: '+', segments: [] };
+    }
+
+    const range = /^<?(\d+)(?:(?:\.\.|\.|\^)>?(\d+))?>?$/.exec(text);
+    if (!range) {
+        throw new Error(`Unsupported GenBank location: ${location.trim()}`);
+    }
+    const start = parseInt(range[1]) - 1;
+    const end = range[2] === undefined ? start : parseInt(range[2]) - 1;
+    return { strand: '+', segments: [{ start: Math.min(start, end), end: Math.max(start, end) }] };
+}
+
+/**
+ * Parse GenBank flat file text
+ * @param {string} text - One or more records, each ending with '//'
+ * @returns {Array<Object>} - [{name, definition, sequence, features}]; features are
+ *                            [{type, location, qualifiers}] with qualifiers as
+ *                            {key: value} (the first value when a key repeats)
+ */
+function parseGenBank(text) {
+    const records = [];
+    let record = null;
+    let section = null;
+    let feature = null;
+    let qualifier = null;
+    let sequence = [];
+
+    const finishRecord = () => {
+        if (!record) return;
+        record.sequence = sequence.join('').toUpperCase();
+        records.push(record);
+        record = null;
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        if (line.startsWith('LOCUS')) {
+            finishRecord();
+            record = { name: line.substring(5).trim().split(/\s+/)[0] || '', definition: '', sequence: '', features: [] };
+            sequence = [];
+            section = 'header';
+            continue;
+        }
+        if (!record) continue;
+
+        if (line.startsWith('//')) {
+            finishRecord();
+            section = null;
+            continue;
+        }
+
+        // Top-level keywords start in column 1
+        if (/^[A-Z]/.test(line)) {
+            const keyword = line.split(/\s+/)[0];
+            section = keyword === 'FEATURES' ? 'features' : keyword === 'ORIGIN' ? 'origin' : keyword;
+            if (keyword === 'DEFINITION') {
+                record.definition = line.substring(10).trim();
+            }
+            continue;
+        }
+
+        if (section === 'DEFINITION' && line.startsWith(' ')) {
+            record.definition += ' ' + line.trim();
+        } else if (section === 'origin') {
+            sequence.push(line.replace(/[\d\s]+/g, ''));
+        } else if (section === 'features') {
+            const key = line.substring(5, 21).trim();
+            const value = line.substring(21);
+
+            if (key) {
+                // New feature: key in columns 6-20, location from column 22
+                feature = { type: key, location: value.trim(), qualifierList: [] };
+                record.features.push(feature);
+                qualifier = null;
+            } else if (feature && qualifier && hasOpenQuote(qualifier.value)) {
+                // Continuation of a quoted value; translations join without spaces
+                const separator = qualifier.key === 'translation' ? '' : ' ';
+                qualifier.value += separator + value.trim();
+            } else if (feature && value.startsWith('/')) {
+                const match = /^\/([^=]+)(?:=(.*))?$/.exec(value.trim());
+                qualifier = { key: match[1], value: match[2] === undefined ? '' : match[2] };
+
+                // Repeated qualifiers keep their first value
+                if (!feature.qualifierList.some(q => q.key === qualifier.key)) {
+                    feature.qualifierList.push(qualifier);
+                }
+            } else if (feature && !qualifier) {
+                feature.location += value.trim();
+            }
+        }
+    }
+    finishRecord();
+
+    // Strip the quotes around qualifier values
+    for (const rec of records) {
+        rec.features = rec.features.map(feat => {
+            const qualifiers = {};
+            for (const { key, value } of feat.qualifierList) {
+                qualifiers[key] = value.replace(/^"|"$/g, '').replace(/""/g, '"');
+            }
+            return { type: feat.type, location: feat.location, qualifiers };
+        });
+    }
+
+    return records;
+}
+
+// True while a qualifier value has an unterminated quoted string ("" is an escaped quote)
+function hasOpenQuote(value) {
+    return (value.match(/"/g) || []).length % 2 === 1;
+}
+
+/**
+ * Convert GenBank features into annotations on a sequence
+ * Each segment of a join() becomes its own annotation
+ * @param {Array<Object>} features - Features from parseGenBank()
+ * @param {string} seq - Annotated sequence: 'seq1' or 'seq2'
+ * @returns {Array<Object>} - [{seq, start, end, text, type, strand}]
+ */
+function genBankFeaturesToAnnotations(features, seq) {
+    const imported = [];
+    for (const feature of features) {
+        if (GENBANK_SKIPPED_FEATURES.has(feature.type)) continue;
+
+        const location = parseGenBankLocation(feature.location);
+        const nameKey = GENBANK_NAME_QUALIFIERS.find(key => feature.qualifiers[key]);
+        const name = nameKey ? feature.qualifiers[nameKey] : '';
+        const text = name ? `${feature.type}: ${name}` : feature.type;
+
+        location.segments.forEach((segment, index) => {
+            const count = location.segments.length;
+            imported.push({
+                seq,
+                start: segment.start,
+                end: segment.end,
+                text: count > 1 ? `${text} (part ${index + 1}/${count})` : text,
+                type: feature.type,
+                strand: location.strand
+            });
+        });
+    }
+    return imported;
+}
+
+// Load a GenBank file as the reference with its features as annotations
+function loadGenBankFile(file) {
+    return file.text().then(text => {
+        const records = parseGenBank(text);
+        const record = records.find(rec => rec.sequence);
+        if (!record) {
+            throw new Error('No record with an ORIGIN sequence found');
+        }
+        if (records.length > 1) {
+            console.warn(`GenBank file has ${records.length} records; loading ${record.name}`);
+        }
+
+        const seq1Input = document.getElementById('seq1');
+        const name1Input = document.getElementById('name1');
+        seq1Input.value = record.sequence;
+        if (name1Input) {
+            name1Input.value = record.name;
+        }
+
+        if (window.importAnnotations) {
+            importAnnotations(genBankFeaturesToAnnotations(record.features, 'seq1'), ['seq1']);
+        }
+        showNewReference();
+    }).catch(error => {
+        console.error('GenBank load error:', error);
+        alert('Error loading GenBank file: ' + error.message);
+    });
+}
+
+function setupGenBankImport() {
+    const fileInput = document.getElementById('genbank-file');
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files.length > 0) {
+                loadGenBankFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    // GenBank files dropped on the reference input
+    const seq1Input = document.getElementById('seq1');
+    if (seq1Input) {
+        seq1Input.addEventListener('drop', function(event) {
+            const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+            const file = files.find(f => GENBANK_FILE_PATTERN.test(f.name));
+            if (!file) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            loadGenBankFile(file);
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupGenBankImport);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseGenBankLocation,
+        parseGenBank,
+        genBankFeaturesToAnnotations
+    };
+}
@@ -0,0 +1,255 @@
+// HGVS Nomenclature Functions
+// Describes the variants of an alignment (sequence 1 = reference, sequence 2 = read)
+// as HGVS DNA variants: substitutions, deletions, duplications, insertions and
+// deletion-insertions, with indels shifted to their most 3' position
+
+// Coordinate types: genomic, coding DNA and non-coding transcript
+const HGVS_TYPES = ['g', 'c', 'n'];
+
+/**
+ * Convert a 0-based reference index to an HGVS position
+ * For g. the reference index 0 is position offset + 1. For c. and n. positions
+ * are counted from transcriptStart (the first base of the CDS or transcript, in
+ * the same offset coordinates); bases before it are numbered -1, -2, ...
+ * Intron offsets and 3' UTR (*) numbering are not modelled
+ * @param {number} refIndex - 0-based index in the reference
+ * @param {Object} options - {type, offset, transcriptStart}
+ * @returns {string} - HGVS position
+ */
+function hgvsPosition(refIndex, options) {
+    const position = refIndex + 1 + (options.offset || 0);
+    if (options.type === 'g') {
+        return String(position);
+    }
+
+    const start = options.transcriptStart || 1;
+    return String(position >= start ? position - start + 1 : position - start);
+}
+
+// Position range, collapsed to a single position when it covers one base
+function hgvsRange(startIndex, endIndex, options) {
+    const start = hgvsPosition(startIndex, options);
+    return endIndex - startIndex === 1 ? start : `${start}_${hgvsPosition(endIndex - 1, options)}`;
+}
+
+/**
+ * Describe one variant, given as the reference bases ref[start, end) replaced by `inserted`
+ * Pure deletions and insertions are shifted 3' (towards the end of the reference)
+ * as far as the sequence allows, and insertions that copy the preceding bases are
+ * written as duplications
+ * @param {string} ref - Ungapped reference sequence
+ * @param {number} start - 0-based start of the replaced reference bases
+ * @param {number} end - 0-based, exclusive end (equal to start for insertions)
+ * @param {string} inserted - Bases in the read in place of ref[start, end)
+ * @param {Object} options - {type, offset, transcriptStart}
+ * @returns {string} - Variant description without the reference prefix (e.g. '12_14del')
+ */
+function describeHGVSVariant(ref, start, end, inserted, options) {
+    const deleted = ref.substring(start, end);
+
+    if (deleted.length === 1 && inserted.length === 1) {
+        return `${hgvsPosition(start, options)}${deleted}>${inserted}`;
+    }
+
+    if (inserted.length === 0) {
+        // 3' rule: slide the deleted block right while the next base repeats it
+        while (end < ref.length && ref[start] === ref[end]) {
+            start++;
+            end++;
+        }
+        return `${hgvsRange(start, end, options)}del`;
+    }
+
+    if (deleted.length === 0) {
+        // 3' rule: rotate the inserted bases past any identical reference bases
+        let insertion = inserted;
+        let after = start; // the insertion sits between ref[after - 1] and ref[after]
+        while (after < ref.length && insertion[0] === ref[after]) {
+            insertion = insertion.substring(1) + ref[after];
+            after++;
+        }
+
+        // A copy of the bases just before the insertion is a duplication
+        const size = insertion.length;
+        if (after - size >= 0 && ref.substring(after - size, after) === insertion) {
+            return `${hgvsRange(after - size, after, options)}dup`;
+        }
+        return `${hgvsPosition(after - 1, options)}_${hgvsPosition(after, options)}ins${insertion}`;
+    }
+
+    return `${hgvsRange(start, end, options)}delins${inserted}`;
+}
+
+/**
+ * HGVS descriptions for every variant in an alignment
+ * Variants from listVariants() that touch each other in the alignment are merged
+ * into one event (e.g. a deletion next to a substitution becomes a delins)
+ * @param {string} alignedRead - Aligned read sequence
+ * @param {string} alignedRef - Aligned reference sequence
+ * @param {Object} options - Optional settings
+ * @param {string} options.type - 'g', 'c' or 'n' (default: 'g')
+ * @param {number} options.offset - Added to every position (default: 0)
+ * @param {number} options.transcriptStart - c./n. position 1, in offset coordinates (default: 1)
+ * @param {string} options.reference - Reference sequence name written before the colon
+ * @param {Object} options.columnRange - {start, end}: alignment columns to describe (default: all)
+ * @returns {Array<Object>} - [{hgvs, columnStart, columnEnd}] in alignment order
+ */
+function alignmentToHGVS(alignedRead, alignedRef, options = {}) {
+    const settings = {
+        type: options.type || 'g',
+        offset: options.offset || 0,
+        transcriptStart: options.transcriptStart || 1
+    };
+    if (!HGVS_TYPES.includes(settings.type)) {
+        throw new Error(`Invalid HGVS coordinate type: ${settings.type}`);
+    }
+    const prefix = (options.reference ? options.reference + ':' : '') + settings.type + '.';
+
+    const ref = alignedRef.replace(/-/g, '');
+    const { variants } = listVariants(alignedRead, alignedRef, undefined, options.columnRange);
+
+    // Merge variants that are adjacent in the alignment
+    const groups = [];
+    for (const variant of variants) {
+        const last = groups[groups.length - 1];
+        if (last && variant.columnStart <= last.columnEnd) {
+            last.columnEnd = Math.max(last.columnEnd, variant.columnEnd);
+        } else {
+            groups.push({ columnStart: variant.columnStart, columnEnd: variant.columnEnd });
+        }
+    }
+
+    const results = [];
+    for (const group of groups) {
+        const start = alignedRef.substring(0, group.columnStart).replace(/-/g, '').length;
+        const deleted = alignedRef.substring(group.columnStart, group.columnEnd).replace(/-/g, '');
+        const inserted = alignedRead.substring(group.columnStart, group.columnEnd).replace(/-/g, '');
+
+        results.push({
+            hgvs: prefix + describeHGVSVariant(ref, start, start + deleted.length, inserted, settings),
+            columnStart: group.columnStart,
+            columnEnd: group.columnEnd
+        });
+    }
+
+    return results;
+}
+
+// Read the HGVS controls in the variant panel
+function getHGVSOptions() {
+    const typeSelect = document.getElementById('hgvs-type');
+    const offsetInput = document.getElementById('hgvs-offset');
+    const transcriptStartInput = document.getElementById('hgvs-transcript-start');
+    const referenceInput = document.getElementById('hgvs-reference');
+
+    const offset = offsetInput ? parseInt(offsetInput.value) : 0;
+    const transcriptStart = transcriptStartInput ? parseInt(transcriptStartInput.value) : 1;
+
+    return {
+        type: typeSelect ? typeSelect.value : 'g',
+        offset: isNaN(offset) ? 0 : offset,
+        transcriptStart: isNaN(transcriptStart) ? 1 : transcriptStart,
+        reference: referenceInput ? referenceInput.value.trim() : ''
+    };
+}
+
+function copyToClipboard(text, button) {
+    navigator.clipboard.writeText(text).then(() => {
+        const label = button.textContent;
+        button.textContent = 'Copied';
+        setTimeout(() => {
+            button.textContent = label;
+        }, 1200);
+    }).catch(error => {
+        console.error('Copy failed:', error);
+    });
+}
+
+// Render the HGVS list for the current (aligned) sequences
+function renderHGVSList(seq1, seq2) {
+    const list = document.getElementById('hgvs-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    const ref = seq1.toUpperCase().replace(/\s+/g, '');
+    const read = seq2.toUpperCase().replace(/\s+/g, '');
+    if (!ref || !read || ref.length !== read.length) return;
+
+    const options = getHGVSOptions();
+    const transcriptGroup = document.getElementById('hgvs-transcript-start-group');
+    if (transcriptGroup) {
+        transcriptGroup.classList.toggle('hidden', options.type === 'g');
+    }
+
+    options.columnRange = getVariantColumnRange(ref, read);
+    const results = alignmentToHGVS(read, ref, options);
+    if (results.length === 0) {
+        list.innerHTML = '<div class="match-info">No variants to describe</div>';
+        return;
+    }
+
+    for (const result of results) {
+        const item = document.createElement('div');
+        item.className = 'hgvs-item';
+
+        const text = document.createElement('code');
+        text.className = 'hgvs-text';
+        text.textContent = result.hgvs;
+        text.title = 'Show in alignment';
+        text.addEventListener('click', function() {
+            if (window.focusAlignmentColumns) {
+                focusAlignmentColumns(result.columnStart, result.columnEnd);
+            }
+        });
+        item.appendChild(text);
+
+        const copyButton = document.createElement('button');
+        copyButton.className = 'hgvs-copy';
+        copyButton.textContent = 'Copy';
+        copyButton.addEventListener('click', () => copyToClipboard(result.hgvs, copyButton));
+        item.appendChild(copyButton);
+
+        list.appendChild(item);
+    }
+
+    if (results.length > 1) {
+        const copyAll = document.createElement('button');
+        copyAll.className = 'hgvs-copy hgvs-copy-all';
+        copyAll.textContent = 'Copy all';
+        copyAll.addEventListener('click', () => copyToClipboard(results.map(r => r.hgvs).join('\n'), copyAll));
+        list.appendChild(copyAll);
+    }
+}
+
+// Re-render the HGVS list when its settings change
+function setupHGVSControls() {
+    const rerender = function() {
+        const seq1Input = document.getElementById('seq1');
+        const seq2Input = document.getElementById('seq2');
+        if (seq1Input && seq2Input) {
+            renderHGVSList(seq1Input.value, seq2Input.value);
+        }
+    };
+
+    ['hgvs-type', 'hgvs-offset', 'hgvs-transcript-start', 'hgvs-reference'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.addEventListener('input', rerender);
+        }
+    });
+}
+
+if (typeof window !== 'undefined') {
+    window.renderHGVSList = renderHGVSList;
+    document.addEventListener('DOMContentLoaded', setupHGVSControls);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        hgvsPosition,
+        describeHGVSVariant,
+        alignmentToHGVS
+    };
+}
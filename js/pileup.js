@@ -0,0 +1,272 @@
+// Read Pileup Functions
+// Aligns many reads to one reference (sequence 1) and stacks them in a single
+// gapped coordinate system, so an insertion in any read opens a column in every row
+
+/**
+ * Parse the reads textarea: FASTA records, or one read per line written either as
+ * the bare sequence or as "name sequence"
+ * @param {string} text - Reads as entered by the user
+ * @returns {Array<Object>} - [{name, sequence}] with ungapped, uppercase sequences
+ */
+function parseReadList(text) {
+    const reads = [];
+    const clean = seq => seq.toUpperCase().replace(/[\s-]+/g, '');
+
+    if (isFasta(text)) {
+        for (const record of parseFasta(text)) {
+            const sequence = clean(record.sequence);
+            if (sequence) {
+                reads.push({ name: record.name || `Read ${reads.length + 1}`, sequence });
+            }
+        }
+        return reads;
+    }
+
+    for (const line of text.split(/\r?\n/)) {
+        const fields = line.trim().split(/\s+/).filter(Boolean);
+        if (fields.length === 0) continue;
+
+        const sequence = clean(fields[fields.length - 1]);
+        const name = fields.length > 1 ? fields.slice(0, -1).join(' ') : `Read ${reads.length + 1}`;
+        if (sequence) {
+            reads.push({ name, sequence });
+        }
+    }
+    return reads;
+}
+
+/**
+ * Merge pairwise alignments against the same reference into one multiple alignment
+ * Insertions (gaps in the aligned reference) are widened to the longest insertion
+ * any read has at that reference position; reads with a shorter or no insertion
+ * there are padded with gaps after their inserted bases
+ * @param {Array<Object>} pairs - [{alignedRef, alignedRead}]
+ * @returns {Object} - {reference, reads}: the gapped reference and gapped reads,
+ *                     all of the same length
+ */
+function mergePairwiseAlignments(pairs) {
+    if (pairs.length === 0) {
+        return { reference: '', reads: [] };
+    }
+
+    const ref = pairs[0].alignedRef.replace(/-/g, '');
+    for (const pair of pairs) {
+        if (pair.alignedRef.replace(/-/g, '') !== ref) {
+            throw new Error('Pairwise alignments must share the same reference');
+        }
+    }
+
+    // widths[k] is the number of inserted columns before reference base k
+    // (widths[ref.length] covers insertions after the last base)
+    const widths = new Array(ref.length + 1).fill(0);
+    for (const { alignedRef } of pairs) {
+        let k = 0;
+        let run = 0;
+        for (const c of alignedRef) {
+            if (c === '-') {
+                run++;
+            } else {
+                widths[k] = Math.max(widths[k], run);
+                run = 0;
+                k++;
+            }
+        }
+        widths[ref.length] = Math.max(widths[ref.length], run);
+    }
+
+    let reference = '';
+    for (let k = 0; k <= ref.length; k++) {
+        reference += '-'.repeat(widths[k]) + (k < ref.length ? ref[k] : '');
+    }
+
+    const reads = pairs.map(({ alignedRef, alignedRead }) => {
+        let merged = '';
+        let inserted = '';
+        let k = 0;
+        for (let c = 0; c < alignedRef.length; c++) {
+            if (alignedRef[c] === '-') {
+                inserted += alignedRead[c];
+            } else {
+                merged += inserted.padEnd(widths[k], '-') + alignedRead[c];
+                inserted = '';
+                k++;
+            }
+        }
+        return merged + inserted.padEnd(widths[ref.length], '-');
+    });
+
+    return { reference, reads };
+}
+
+/**
+ * Align sequences to the reference one after another in the background worker,
+ * with the current alignment settings (local mode is aligned globally, since local
+ * alignments have no shared coordinate system)
+ * @param {string} reference - Ungapped reference sequence
+ * @param {Array<string>} sequences - Ungapped query sequences
+ * @param {Function} onProgress - Called with the number of sequences aligned so far
+ *                                (fractional while one is running)
+ * @returns {Promise<Array<Object>>} - [{alignedRef, alignedRead}] in input order
+ */
+function alignSequencesToReference(reference, sequences, onProgress) {
+    const sgRNAsInput = document.getElementById('sgrnas');
+    const cutSiteInput = document.getElementById('cut-site');
+    const scoreCutoffInput = document.getElementById('score-cutoff');
+
+    const sgRNAs = sgRNAsInput ? sgRNAsInput.value : '';
+    const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
+    const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
+
+    const settings = getAlignmentSettings();
+    if (settings.mode === 'local') {
+        settings.mode = 'global';
+    }
+
+    let jobs;
+    try {
+        jobs = sequences.map(sequence => buildAlignmentJob(reference, sequence, settings, sgRNAs, cutSite, scoreCutoff));
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const pairs = [];
+    let chain = Promise.resolve();
+    jobs.forEach((job, index) => {
+        chain = chain.then(() => runAlignmentInBackground(job, fraction => {
+            if (onProgress) onProgress(index + fraction);
+        })).then(alignerResult => {
+            const result = applyIndelPolicy(alignerResult, settings.indelPolicy);
+            pairs.push({ alignedRef: result.alignedSeqI, alignedRead: result.alignedSeqJ });
+        });
+    });
+
+    return chain.then(() => pairs);
+}
+
+// Align every read to the reference and render the pileup
+function alignPileup() {
+    const seq1Input = document.getElementById('seq1');
+    const name1Input = document.getElementById('name1');
+    const readsInput = document.getElementById('pileup-reads');
+    if (!seq1Input || !readsInput) return;
+
+    const reference = seq1Input.value.toUpperCase().replace(/[\s-]+/g, '');
+    const reads = parseReadList(readsInput.value);
+    if (!reference || reads.length === 0) {
+        alert('Please enter a reference sequence and at least one read before aligning.');
+        return;
+    }
+
+    setPileupButtonState(0, reads.length);
+
+    return alignSequencesToReference(reference, reads.map(read => read.sequence), done => {
+        setPileupButtonState(done, reads.length);
+    }).then(pairs => {
+        const merged = mergePairwiseAlignments(pairs);
+        renderPileup(merged.reference, merged.reads, name1Input ? name1Input.value : '', reads.map(read => read.name));
+        console.log(`Pileup of ${reads.length} reads, ${merged.reference.length} columns`);
+    }).catch(error => {
+        if (error.cancelled) {
+            console.log('Pileup alignment cancelled');
+            return;
+        }
+        console.error('Pileup alignment error:', error);
+        alert('Error during alignment: ' + error.message);
+    }).finally(() => {
+        setPileupButtonState(null);
+    });
+}
+
+// Show how many reads are aligned on the pileup button, or reset it with null
+function setPileupButtonState(done, total) {
+    const button = document.getElementById('align-reads-button');
+    if (!button) return;
+
+    if (done === null) {
+        button.disabled = false;
+        button.textContent = 'Align Reads';
+    } else {
+        button.disabled = true;
+        button.textContent = `Aligning reads... ${Math.floor(done)}/${total}`;
+    }
+}
+
+// Render the reference and the stacked reads with the pair view's base styling
+function renderPileup(reference, reads, referenceName, readNames) {
+    const container = document.getElementById('alignment-container');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const sequenceType = getAlignmentSettings().sequenceType;
+    const referenceLabel = referenceName || 'Reference';
+
+    const content = document.createElement('div');
+    content.id = 'alignment-content';
+    content.classList.add('pileup');
+    content.appendChild(createPositionRuler(reference, referenceLabel + ' pos:'));
+
+    const addRow = (label, seq, opposite) => {
+        const row = document.createElement('div');
+        row.className = 'alignment-row';
+
+        const labelEl = document.createElement('div');
+        labelEl.className = 'alignment-label';
+        labelEl.textContent = label + ':';
+        labelEl.title = label;
+        row.appendChild(labelEl);
+
+        const bases = document.createElement('div');
+        bases.style.display = 'flex';
+
+        let position = 0;
+        for (let i = 0; i < seq.length; i++) {
+            const base = seq[i];
+            bases.appendChild(createBaseElement(base, opposite[i], base === '-' ? 'del' : position, sequenceType));
+            if (base !== '-') position++;
+        }
+        row.appendChild(bases);
+        content.appendChild(row);
+    };
+
+    // The reference row is compared with itself, so only reads show insertion borders
+    addRow(referenceLabel, reference, reference);
+    reads.forEach((read, index) => addRow(readNames[index] || `Read ${index + 1}`, read, reference));
+
+    container.appendChild(content);
+    clearAlignmentStats();
+
+    // Mark the sgRNAs on the reference row only
+    const sgRNAsInput = document.getElementById('sgrnas');
+    if (sgRNAsInput && sgRNAsInput.value && window.alignAllsgRNAs) {
+        const cutSiteInput = document.getElementById('cut-site');
+        const scoreCutoffInput = document.getElementById('score-cutoff');
+        const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
+        const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
+
+        const results = alignAllsgRNAs(reference, reference, sgRNAsInput.value, cutSite, scoreCutoff)
+            .map(result => ({ ...result, seq2Match: null }));
+        addCutSiteMarkers(results, reference, reference);
+    }
+
+    applyTransform();
+    setTimeout(updateNavigationSlider, 0);
+}
+
+function setupPileup() {
+    const button = document.getElementById('align-reads-button');
+    if (button) {
+        button.addEventListener('click', alignPileup);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupPileup);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseReadList,
+        mergePairwiseAlignments
+    };
+}
@@ -0,0 +1,353 @@
+// SAM Import/Export Functions
+// Rebuilds the gapped reference/read pair of a single SAM record (e.g. a line of
+// `samtools view` output) against the reference region in sequence 1, and writes
+// the current pair as a SAM record
+
+// FLAG bits, in bit order
+const SAM_FLAGS = [
+    [0x1, 'paired'],
+    [0x2, 'proper pair'],
+    [0x4, 'unmapped'],
+    [0x8, 'mate unmapped'],
+    [0x10, 'reverse strand'],
+    [0x20, 'mate reverse strand'],
+    [0x40, 'first in pair'],
+    [0x80, 'second in pair'],
+    [0x100, 'secondary'],
+    [0x200, 'QC fail'],
+    [0x400, 'duplicate'],
+    [0x800, 'supplementary']
+];
+
+// MAPQ value meaning the mapping quality is not available
+const SAM_MAPQ_UNAVAILABLE = 255;
+
+/**
+ * Parse the first alignment line of SAM text; header lines (@HD, @SQ, ...) are skipped
+ * Fields may be separated by tabs or, when pasted from a terminal, by spaces
+ * @param {string} text - SAM text
+ * @returns {Object} - {qname, flag, rname, pos, mapq, cigar, seq, qual, tags}
+ *                     with pos 1-based as in the file (0 when unmapped)
+ */
+function parseSAMRecord(text) {
+    const line = text.split(/\r?\n/).find(l => l.trim() && !l.startsWith('@'));
+    if (!line) {
+        throw new Error('No SAM alignment line found');
+    }
+
+    const fields = line.includes('\t') ? line.trim().split('\t') : line.trim().split(/\s+/);
+    const flag = parseInt(fields[1]);
+    const pos = parseInt(fields[3]);
+    const mapq = parseInt(fields[4]);
+    if (fields.length < 11 || isNaN(flag) || isNaN(pos) || isNaN(mapq)) {
+        throw new Error('Invalid SAM record: expected 11 tab-separated fields');
+    }
+
+    return {
+        qname: fields[0],
+        flag,
+        rname: fields[2],
+        pos,
+        mapq,
+        cigar: fields[5],
+        seq: fields[9],
+        qual: fields[10],
+        tags: fields.slice(11)
+    };
+}
+
+/**
+ * Split a CIGAR string into operations
+ * @param {string} cigar - CIGAR with M/I/D/S/H/=/X operations
+ * @returns {Array<Object>} - [{length, op}]
+ */
+function parseCigar(cigar) {
+    if (!/^(\d+[MIDNSHP=X])+$/.test(cigar)) {
+        throw new Error(`Invalid CIGAR: ${cigar}`);
+    }
+
+    const ops = [];
+    for (const match of cigar.matchAll(/(\d+)([MIDNSHP=X])/g)) {
+        if (match[2] === 'N' || match[2] === 'P') {
+            throw new Error(`Unsupported CIGAR operation: ${match[2]}`);
+        }
+        ops.push({ length: parseInt(match[1]), op: match[2] });
+    }
+    return ops;
+}
+
+// Names of the bits set in a FLAG value
+function describeSAMFlags(flag) {
+    return SAM_FLAGS.filter(([bit]) => flag & bit).map(([, name]) => name);
+}
+
+/**
+ * Rebuild the gapped pair of a SAM record against a reference region
+ * The whole region is shown: reference bases outside the alignment are opposite
+ * gaps in the read. Soft-clipped bases sit opposite gaps in the reference, next
+ * to the aligned region, as summarizeAlignment() expects; hard clips are not shown.
+ * @param {Object} record - Record from parseSAMRecord()
+ * @param {string} reference - Ungapped, uppercase reference region
+ * @param {number} refStart - 1-based position of the region's first base on RNAME
+ * @returns {Object} - {alignedRef, alignedRead, softClipped}; softClipped lists the
+ *                     alignment columns of soft-clipped read bases
+ */
+function samRecordToAlignment(record, reference, refStart = 1) {
+    if ((record.flag & 0x4) || record.cigar === '*') {
+        throw new Error('The read is unmapped');
+    }
+    if (record.seq === '*') {
+        throw new Error('The SAM record has no sequence');
+    }
+
+    const seq = record.seq.toUpperCase();
+    let refPos = record.pos - refStart;
+    if (refPos < 0 || refPos >= reference.length) {
+        throw new Error(`Read position ${record.pos} is outside the reference region ${refStart}-${refStart + reference.length - 1}`);
+    }
+
+    let alignedRef = reference.substring(0, refPos);
+    let alignedRead = '-'.repeat(refPos);
+    let readPos = 0;
+    const softClipped = [];
+
+    for (const { length, op } of parseCigar(record.cigar)) {
+        if (op === 'H') continue;
+
+        if (op === 'S' || op === 'I') {
+            if (op === 'S') {
+                for (let k = 0; k < length; k++) softClipped.push(alignedRead.length + k);
+            }
+            alignedRef += '-'.repeat(length);
+            alignedRead += seq.substring(readPos, readPos + length);
+            readPos += length;
+        } else if (op === 'D') {
+            alignedRef += reference.substring(refPos, refPos + length);
+            alignedRead += '-'.repeat(length);
+            refPos += length;
+        } else {
+            alignedRef += reference.substring(refPos, refPos + length);
+            alignedRead += seq.substring(readPos, readPos + length);
+            refPos += length;
+            readPos += length;
+        }
+    }
+
+    if (refPos > reference.length) {
+        throw new Error('The read extends past the end of the reference region');
+    }
+    if (readPos !== seq.length) {
+        throw new Error(`CIGAR covers ${readPos} bases but the sequence has ${seq.length}`);
+    }
+
+    alignedRef += reference.substring(refPos);
+    alignedRead += '-'.repeat(reference.length - refPos);
+    return { alignedRef, alignedRead, softClipped };
+}
+
+/**
+ * Read the reference name and start position from a sequence name such as
+ * "chr1:1,000-1,200"; other names give their first word and position 1
+ * @param {string} name - Sequence name
+ * @returns {Object} - {rname, start}
+ */
+function parseSAMRegion(name) {
+    const match = /^([^\s:]+):([\d,]+)(?:-[\d,]+)?(?:\s|$)/.exec(name.trim());
+    if (match) {
+        return { rname: match[1], start: parseInt(match[2].replace(/,/g, '')) };
+    }
+    return { rname: name.trim().split(/\s+/)[0] || 'Reference', start: 1 };
+}
+
+/**
+ * Format a gapped read/reference pair as SAM with a header
+ * @param {string} alignedRef - Aligned reference
+ * @param {string} alignedRead - Aligned read
+ * @param {Object} options - {qname, rname, refStart (1-based position of the first
+ *                           reference base), mapq}
+ * @returns {string} - SAM text; the read carries an NM tag (edit distance)
+ */
+function alignmentToSAM(alignedRef, alignedRead, options = {}) {
+    const { qname = 'read', rname = 'Reference', refStart = 1, mapq = SAM_MAPQ_UNAVAILABLE } = options;
+    const summary = summarizeAlignment(alignedRead, alignedRef);
+    const seq = alignedRead.replace(/-/g, '') || '*';
+    const refLength = alignedRef.replace(/-/g, '').length;
+    const mapped = /[=X]/.test(summary.cigar);
+
+    let editDistance = 0;
+    for (const match of summary.cigar.matchAll(/(\d+)([XID])/g)) {
+        editDistance += parseInt(match[1]);
+    }
+
+    const header = [
+        '@HD\tVN:1.6\tSO:unsorted',
+        `@SQ\tSN:${rname}\tLN:${refStart - 1 + refLength}`,
+        '@PG\tID:VizAlign\tPN:VizAlign'
+    ];
+    const fields = mapped
+        ? [qname, 0, rname, refStart + summary.startI, mapq, summary.cigar, '*', 0, 0, seq, '*', `NM:i:${editDistance}`]
+        : [qname, 0x4, '*', 0, 0, '*', '*', 0, 0, seq, '*'];
+
+    return header.concat(fields.join('\t')).join('\n') + '\n';
+}
+
+// Region of sequence 1 on the reference: the start input wins over a
+// "chr:start-end" name
+function getSAMReferenceRegion() {
+    const name1Input = document.getElementById('name1');
+    const startInput = document.getElementById('sam-ref-start');
+    const region = parseSAMRegion(name1Input ? name1Input.value : '');
+
+    const start = startInput ? parseInt(startInput.value) : NaN;
+    if (!isNaN(start) && start > 0) {
+        region.start = start;
+    }
+    return region;
+}
+
+// Soft-clipped columns of the SAM record on display, with the pair they belong
+// to; every render of that pair restyles them
+let samSoftClips = null;
+
+// Soft-clipped columns to style in a rendered pair: those of the SAM record
+// while the sequences still hold its pair, none once they have changed
+function getSoftClippedColumns(alignedRef, alignedRead) {
+    if (!samSoftClips || samSoftClips.alignedRef !== alignedRef || samSoftClips.alignedRead !== alignedRead) {
+        samSoftClips = null;
+        return [];
+    }
+    return samSoftClips.columns;
+}
+
+// Show the pasted SAM record against the reference in sequence 1
+function showSAMRecord() {
+    const seq1Input = document.getElementById('seq1');
+    const seq2Input = document.getElementById('seq2');
+    const name2Input = document.getElementById('name2');
+    const recordInput = document.getElementById('sam-record');
+    if (!seq1Input || !seq2Input || !recordInput) return;
+
+    try {
+        const reference = normalizeSequence(seq1Input.value).replace(/-/g, '');
+        if (!reference) {
+            throw new Error('Enter the reference region as Sequence 1 first');
+        }
+
+        const record = parseSAMRecord(recordInput.value);
+        const region = getSAMReferenceRegion();
+        if (record.rname !== region.rname) {
+            console.warn(`SAM record is on ${record.rname}, Sequence 1 is named ${region.rname}`);
+        }
+        const pair = samRecordToAlignment(record, reference, region.start);
+
+        // A running alignment would replace the rebuilt pair
+        cancelAlignment();
+        seq1Input.value = pair.alignedRef;
+        seq2Input.value = pair.alignedRead;
+        if (name2Input) {
+            name2Input.value = record.qname;
+        }
+        samSoftClips = {
+            alignedRef: normalizeSequence(pair.alignedRef),
+            alignedRead: normalizeSequence(pair.alignedRead),
+            columns: pair.softClipped
+        };
+        updateAlignmentView();
+        renderSAMRecordInfo(record);
+    } catch (error) {
+        console.error('SAM import error:', error);
+        alert('Error loading SAM record: ' + error.message);
+    }
+}
+
+// Style soft-clipped read bases; they are not insertions
+function markSoftClippedBases(columns) {
+    const lines = getAlignmentLines();
+
+    for (const column of columns) {
+        const line = lines.find(l => column >= l.first && column <= l.last);
+        const bases = line ? line.rows[1] : null;
+        if (!bases) continue;
+        const el = bases.children[column - line.first];
+        el.classList.remove('insertion');
+        el.classList.add('soft-clipped');
+        el.title += ' (soft-clipped)';
+    }
+}
+
+// Show the record's name, position, MAPQ and flags in the statistics bar
+function renderSAMRecordInfo(record) {
+    const statsEl = document.getElementById('alignment-stats');
+    if (!statsEl) return;
+
+    const flagNames = describeSAMFlags(record.flag);
+    const stats = [
+        ['Read', record.qname],
+        ['Position', `${record.rname}:${record.pos}`],
+        ['MAPQ', record.mapq === SAM_MAPQ_UNAVAILABLE ? 'unavailable' : record.mapq],
+        ['Flags', flagNames.length > 0 ? `${record.flag} (${flagNames.join(', ')})` : record.flag],
+        ['CIGAR', record.cigar]
+    ];
+
+    statsEl.innerHTML = '';
+    stats.forEach(([label, value]) => {
+        const stat = document.createElement('span');
+        stat.className = 'alignment-stat';
+        stat.textContent = label + ': ';
+        const valueEl = document.createElement('span');
+        valueEl.className = 'alignment-stat-value';
+        valueEl.textContent = value;
+        stat.appendChild(valueEl);
+        statsEl.appendChild(stat);
+    });
+    statsEl.classList.remove('hidden');
+}
+
+// Export the current pair as a SAM record on the region of sequence 1
+function downloadSAM() {
+    const seq1 = normalizeSequence(document.getElementById('seq1').value);
+    const seq2 = normalizeSequence(document.getElementById('seq2').value);
+    const name2Input = document.getElementById('name2');
+    if (!seq1 || !seq2) {
+        alert('Please enter both sequences before exporting SAM.');
+        return;
+    }
+
+    const region = getSAMReferenceRegion();
+    const length = Math.max(seq1.length, seq2.length);
+    const qname = name2Input && name2Input.value.trim() ? name2Input.value.trim().split(/\s+/)[0] : 'Amplicon_1';
+
+    downloadTextFile('alignment.sam', alignmentToSAM(seq1.padEnd(length, '-'), seq2.padEnd(length, '-'), {
+        qname,
+        rname: region.rname,
+        refStart: region.start
+    }), 'text/plain');
+}
+
+function setupSAM() {
+    const showButton = document.getElementById('sam-show-button');
+    if (showButton) {
+        showButton.addEventListener('click', showSAMRecord);
+    }
+
+    const downloadButton = document.getElementById('sam-download');
+    if (downloadButton) {
+        downloadButton.addEventListener('click', downloadSAM);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupSAM);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseSAMRecord,
+        parseCigar,
+        describeSAMFlags,
+        samRecordToAlignment,
+        parseSAMRegion,
+        alignmentToSAM
+    };
+}
@@ -12,11 +12,16 @@ const sgRNAColors = [
     '#54a0ff', // Light blue
 ];
 
-// Get reverse complement of a DNA sequence
+// Get reverse complement of a DNA sequence (IUPAC-aware)
 function getReverseComplement(seq) {
     const complement = {
         'A': 'T', 'T': 'A',
         'C': 'G', 'G': 'C',
+        'R': 'Y', 'Y': 'R',
+        'S': 'S', 'W': 'W',
+        'K': 'M', 'M': 'K',
+        'B': 'V', 'V': 'B',
+        'D': 'H', 'H': 'D',
         'N': 'N', '-': '-'
     };
     return seq.split('').reverse()
@@ -33,10 +38,11 @@ function parsesgRNAs(sgRNAsText) {
     return sgRNAsText.split(',')
         .map(sgRNA => sgRNA.trim().toUpperCase())
         .filter(sgRNA => sgRNA.length > 0)
-        .filter(sgRNA => /^[ATCGN]+$/.test(sgRNA)); // Only valid DNA characters
+        .filter(sgRNA => /^[ATCGRYSWKMBDHVN]+$/.test(sgRNA)); // Only valid DNA/IUPAC characters
 }
 
 // Score match between sgRNA and target window (simple percentage)
+// Degenerate IUPAC bases count as matches when they could stand for the same nucleotide
 function scoresgRNAMatch(sgRNA, targetWindow) {
     if (sgRNA.length !== targetWindow.length) {
         return 0;
@@ -44,7 +50,7 @@ function scoresgRNAMatch(sgRNA, targetWindow) {
 
     let matches = 0;
     for (let i = 0; i < sgRNA.length; i++) {
-        if (sgRNA[i] === targetWindow[i] || sgRNA[i] === 'N' || targetWindow[i] === 'N') {
+        if (iupacCompatible(sgRNA[i], targetWindow[i])) {
             matches++;
         }
     }
@@ -197,6 +203,13 @@ function alignAllsgRNAs(seq1, seq2, sgRNAsText, cutSiteOffset, scoreCutoff) {
     return results;
 }
 
+// Cut sites in the reference (sequence 1) of every sgRNA that passes the score cutoff
+function getReferenceCutSites(results) {
+    return results
+        .filter(result => result.seq1Match && result.seq1Match.passes)
+        .map(result => result.seq1Match.cutSite);
+}
+
 // Convert position in sequence without gaps to position in aligned sequence with gaps
 function mapPositionToAligned(position, sequence) {
     let noGapPos = 0;
@@ -321,7 +334,7 @@ function getMismatches(sgRNA, targetSeq, startPos, isReverseStrand) {
         const targetBase = targetNoGaps[startPos + i];
         const sgRNABase = effectivesgRNA[i];
 
-        if (targetBase !== sgRNABase && sgRNABase !== 'N' && targetBase !== 'N') {
+        if (!iupacCompatible(targetBase, sgRNABase)) {
             mismatches.push(i); // Position within sgRNA
         }
     }
@@ -340,11 +353,9 @@ function addCutSiteMarkers(results, seq1, seq2) {
 
     if (results.length === 0) return;
 
-    const rows = content.querySelectorAll('.alignment-row');
-    if (rows.length < 2) return;
-
-    const row1 = rows[0]; // Reference sequence row
-    const row2 = rows[1]; // Amplicon sequence row
+    // Row 0 is the reference and row 1 the amplicon on every line of the view
+    const lines = getAlignmentLines();
+    if (lines.length === 0 || lines[0].rows.length < 2) return;
 
     // Add markers and rectangles for each sgRNA
     for (const result of results) {
@@ -352,86 +363,90 @@ function addCutSiteMarkers(results, seq1, seq2) {
         if (result.seq1Match && result.seq1Match.passes) {
             const cutSitePos = result.seq1Match.cutSite;
             const alignedPos = mapPositionToAligned(cutSitePos, seq1);
-            addMarkerToRow(row1, alignedPos, result.color, result.index, 'Reference');
+            addMarkerToRow(lines, 0, alignedPos, result.color, result.index, 'Reference');
 
             // Add alignment rectangle
             const startPos = result.seq1Match.position;
             const endPos = result.seq1Match.positionEnd;
             const mismatches = getMismatches(result.sgRNA, seq1, startPos, result.seq1Match.strand === '-');
-            addAlignmentRectangle(row1, seq1, startPos, endPos, mismatches, result.color, result.index, 'seq1', 'Reference');
+            addAlignmentRectangle(lines, 0, seq1, startPos, endPos, mismatches, result.color, result.index, 'seq1', 'Reference');
         }
 
         // Add marker and rectangle for sequence 2 (amplicon)
         if (result.seq2Match && result.seq2Match.passes) {
             const cutSitePos = result.seq2Match.cutSite;
             const alignedPos = mapPositionToAligned(cutSitePos, seq2);
-            addMarkerToRow(row2, alignedPos, result.color, result.index, 'Amplicon 1');
+            addMarkerToRow(lines, 1, alignedPos, result.color, result.index, 'Amplicon 1');
 
             // Add alignment rectangle
             const startPos = result.seq2Match.position;
             const endPos = result.seq2Match.positionEnd;
             const mismatches = getMismatches(result.sgRNA, seq2, startPos, result.seq2Match.strand === '-');
-            addAlignmentRectangle(row2, seq2, startPos, endPos, mismatches, result.color, result.index, 'seq2', 'Amplicon 1');
+            addAlignmentRectangle(lines, 1, seq2, startPos, endPos, mismatches, result.color, result.index, 'seq2', 'Amplicon 1');
         }
     }
 }
 
 // Add alignment rectangle showing where sgRNA aligns
-function addAlignmentRectangle(row, sequence, startPos, endPos, mismatches, color, sgRNAIndex, seqClass, seqName) {
-    const bases = row.querySelector('div[style*="display: flex"]');
-    if (!bases) return;
-
+// In the wrapped layout a match crossing a line break gets a rectangle on each line
+function addAlignmentRectangle(lines, rowIndex, sequence, startPos, endPos, mismatches, color, sgRNAIndex, seqClass, seqName) {
     // Map positions from ungapped to gapped (aligned) sequence
     const alignedStartPos = mapPositionToAligned(startPos, sequence);
     const alignedEndPos = mapPositionToAligned(endPos - 1, sequence);
-
-    if (!bases.children[alignedStartPos] || !bases.children[alignedEndPos]) return;
-
-    const firstBase = bases.children[alignedStartPos];
-    const lastBase = bases.children[alignedEndPos];
-
-    // Create rectangle
-    const rectangle = document.createElement('div');
-    rectangle.className = `sgrna-alignment-rectangle ${seqClass}`;
-    rectangle.title = `sgRNA ${sgRNAIndex + 1} alignment (${seqName})`;
-
-    // Calculate position and width
-    // Account for 2px border on the rectangle (with box-sizing: border-box)
-    const borderWidth = 2;
-    const leftPos = firstBase.offsetLeft;
-    const width = lastBase.offsetLeft - firstBase.offsetLeft + 30 + (borderWidth * 2); // 30px is base width, add 4px for borders
-
-    rectangle.style.left = leftPos + 'px';
-    rectangle.style.width = width + 'px';
-    rectangle.style.borderColor = color;
-    rectangle.style.background = `${color}33`; // Add transparency
-
-    // Add mismatch markers
-    for (const mismatchIdx of mismatches) {
-        const mismatchAlignedPos = mapPositionToAligned(startPos + mismatchIdx, sequence);
-
-        if (bases.children[mismatchAlignedPos]) {
-            const mismatchBase = bases.children[mismatchAlignedPos];
+    if (alignedStartPos === -1 || alignedEndPos === -1) return;
+
+    for (const line of lines) {
+        const bases = line.rows[rowIndex];
+        const from = Math.max(alignedStartPos, line.first);
+        const to = Math.min(alignedEndPos, line.last);
+        if (!bases || from > to) continue;
+
+        const firstBase = bases.children[from - line.first];
+        const lastBase = bases.children[to - line.first];
+        if (!firstBase || !lastBase) continue;
+
+        // Create rectangle
+        const rectangle = document.createElement('div');
+        rectangle.className = `sgrna-alignment-rectangle ${seqClass}`;
+        rectangle.title = `sgRNA ${sgRNAIndex + 1} alignment (${seqName})`;
+
+        // Calculate position and width
+        // Account for 2px border on the rectangle (with box-sizing: border-box)
+        const borderWidth = 2;
+        const leftPos = firstBase.offsetLeft;
+        const width = lastBase.offsetLeft - firstBase.offsetLeft + 30 + (borderWidth * 2); // 30px is base width, add 4px for borders
+
+        rectangle.style.left = leftPos + 'px';
+        rectangle.style.width = width + 'px';
+        rectangle.style.borderColor = color;
+        rectangle.style.background = `${color}33`; // Add transparency
+
+        // Add mismatch markers
+        for (const mismatchIdx of mismatches) {
+            const mismatchAlignedPos = mapPositionToAligned(startPos + mismatchIdx, sequence);
+            if (mismatchAlignedPos < from || mismatchAlignedPos > to) continue;
+
+            const mismatchBase = bases.children[mismatchAlignedPos - line.first];
             const mismatchMarker = document.createElement('div');
             mismatchMarker.className = 'sgrna-mismatch';
             mismatchMarker.style.left = (mismatchBase.offsetLeft - leftPos) + 'px';
             mismatchMarker.title = `Mismatch at position ${startPos + mismatchIdx}`;
             rectangle.appendChild(mismatchMarker);
         }
-    }
 
-    // Add rectangle to the bases container
-    bases.style.position = 'relative';
-    bases.appendChild(rectangle);
+        // Add rectangle to the bases container
+        bases.style.position = 'relative';
+        bases.appendChild(rectangle);
+    }
 }
 
 // Add a single cut site marker to a row
 // Position indicates the base BEFORE which the cut occurs (i.e., between bases)
-function addMarkerToRow(row, position, color, sgRNAIndex, seqName) {
-    const bases = row.querySelector('div[style*="display: flex"]');
-    if (!bases || !bases.children[position]) return;
+function addMarkerToRow(lines, rowIndex, position, color, sgRNAIndex, seqName) {
+    const line = lines.find(l => position >= l.first && position <= l.last);
+    const bases = line ? line.rows[rowIndex] : null;
+    if (!bases || !bases.children[position - line.first]) return;
 
-    const baseEl = bases.children[position];
     const marker = document.createElement('div');
     marker.className = `cut-site-marker sgrna-${sgRNAIndex % 8}`;
     marker.style.backgroundColor = color;
@@ -441,10 +456,10 @@ function addMarkerToRow(row, position, color, sgRNAIndex, seqName) {
     // Each base is 30px wide, so we can calculate position directly
     // Offset by 3px (half of 6px marker width) to center it in the gap
     const baseWidth = 30;
-    const leftPosition = (position * baseWidth) - 3;
+    const leftPosition = ((position - line.first) * baseWidth) - 3;
 
     marker.style.left = leftPosition + 'px';
-    marker.style.height = row.offsetHeight + 'px';
+    marker.style.height = bases.parentElement.offsetHeight + 'px';
     marker.style.top = '0px';
 
     // Add marker to the row (position relative to bases container)
@@ -0,0 +1,413 @@
+// SVG Export Functions
+// Draws the pair view as a standalone vector figure: rulers, colored bases,
+// insertion borders, sgRNA boxes, cut-site markers and stacked annotations.
+// Text is drawn with the glyph outlines in js/svg-font.js, so the file looks the
+// same in any viewer or illustration program.
+
+// Layout of the alignment view (see style.css)
+const SVG_BASE_SIZE = 30;
+const SVG_LABEL_WIDTH = 166;
+const SVG_RULER_HEIGHT = 24;
+const SVG_PADDING = 10;
+const SVG_BLOCK_GAP = 20;
+const SVG_ANNOTATION_HEIGHT = 10;
+const SVG_ANNOTATION_STEP = 14;
+
+// Bases per line when no wrap width is given in the export controls
+const SVG_DEFAULT_WRAP = 60;
+
+const SVG_COLORS = {
+    text: '#1a1a1a',
+    secondaryText: '#6b7280',
+    primary: '#4a90e2',
+    gap: '#666666',
+    gapText: '#1E1E1E',
+    insertion: '#FF0000',
+    ambiguousText: '#555555',
+    mismatch: '#e74c3c',
+    annotations: { seq1: '#8e44ad', seq2: '#e67e22' }
+};
+
+const SVG_BASE_COLORS = { A: '#7FC97F', T: '#BEAED4', C: '#FDC086', G: '#FFFF99' };
+
+// Clustal X colors by AMINO_ACID_GROUPS group: [background, text]
+const SVG_AMINO_ACID_COLORS = {
+    hydrophobic: ['#80A0F0', SVG_COLORS.text],
+    positive: ['#F01505', '#FFFFFF'],
+    negative: ['#C048C0', '#FFFFFF'],
+    polar: ['#15C015', SVG_COLORS.text],
+    aromatic: ['#15A4A4', SVG_COLORS.text],
+    cysteine: ['#F08080', SVG_COLORS.text],
+    glycine: ['#F09048', SVG_COLORS.text],
+    proline: ['#C0C000', SVG_COLORS.text],
+    other: ['#E0E0E0', '#555555']
+};
+
+/**
+ * Convert a 0-based reference position range into alignment columns
+ * @param {string} alignedRef - Aligned reference
+ * @param {number|null} start - First reference position, or null for the first column
+ * @param {number|null} end - Last reference position (inclusive), or null for the last column
+ * @returns {Object} - {startColumn, endColumn}; insertions after the end position are left out
+ */
+function referenceRangeToColumns(alignedRef, start, end) {
+    const columns = [];
+    for (let c = 0; c < alignedRef.length; c++) {
+        if (alignedRef[c] !== '-') columns.push(c);
+    }
+
+    const startColumn = start === null ? 0 : columns[start];
+    const endColumn = end === null ? alignedRef.length - 1 : columns[end];
+    if (startColumn === undefined || endColumn === undefined) {
+        throw new Error(`Reference positions run from 0 to ${columns.length - 1}`);
+    }
+    if (endColumn < startColumn) {
+        throw new Error('The end position must not be before the start position');
+    }
+    return { startColumn, endColumn };
+}
+
+// Collects the glyphs used by a figure and draws strings with them
+function createSVGTextWriter() {
+    const used = new Set();
+
+    const glyphFor = c => (SVG_FONT.glyphs[c] ? c : '?');
+    const width = (text, size) => {
+        let units = 0;
+        for (const c of text) units += SVG_FONT.glyphs[glyphFor(c)][0];
+        return units * size / SVG_FONT.unitsPerEm;
+    };
+
+    return {
+        width,
+
+        // Shorten text with '...' so it fits in maxWidth
+        fit(text, size, maxWidth) {
+            if (width(text, size) <= maxWidth) return text;
+            let fitted = Array.from(text);
+            while (fitted.length > 0 && width(fitted.join('') + '...', size) > maxWidth) {
+                fitted.pop();
+            }
+            return fitted.length > 0 ? fitted.join('') + '...' : '';
+        },
+
+        // Draw text with its baseline at y; anchor is 'start', 'middle' or 'end'
+        draw(text, x, y, size, fill, anchor = 'start', italic = false) {
+            if (!text) return '';
+            const scale = size / SVG_FONT.unitsPerEm;
+            if (anchor !== 'start') {
+                x -= anchor === 'middle' ? width(text, size) / 2 : width(text, size);
+            }
+
+            let advance = 0;
+            const uses = [];
+            for (const c of text) {
+                const glyph = glyphFor(c);
+                used.add(glyph);
+                if (glyph !== ' ') {
+                    uses.push(`<use xlink:href="#glyph-${glyph.codePointAt(0)}" x="${advance}"/>`);
+                }
+                advance += SVG_FONT.glyphs[glyph][0];
+            }
+            const skew = italic ? ' skewX(-12)' : '';
+            return `<g fill="${fill}" transform="translate(${svgRound(x)},${svgRound(y)}) scale(${scale})${skew}">${uses.join('')}</g>`;
+        },
+
+        // Vertical offset from the middle of a line to the baseline of capitals
+        middle(size) {
+            return SVG_FONT.capHeight * size / SVG_FONT.unitsPerEm / 2;
+        },
+
+        defs() {
+            return Array.from(used)
+                .filter(glyph => glyph !== ' ')
+                .map(glyph => `<path id="glyph-${glyph.codePointAt(0)}" d="${SVG_FONT.glyphs[glyph][1]}"/>`)
+                .join('');
+        }
+    };
+}
+
+// Round an SVG coordinate to two decimals
+function svgRound(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Background, text color and style of one base
+function svgBaseStyle(base, sequenceType) {
+    if (base === '-') {
+        return { fill: SVG_COLORS.gap, text: SVG_COLORS.gapText };
+    }
+    if (sequenceType === 'protein') {
+        const [fill, text] = SVG_AMINO_ACID_COLORS[AMINO_ACID_GROUPS[base] || 'other'];
+        return { fill, text };
+    }
+    if (AMBIGUOUS_BASES.has(base)) {
+        return { fill: 'url(#ambiguous-base)', text: SVG_COLORS.ambiguousText, italic: true };
+    }
+    return { fill: SVG_BASE_COLORS[base] || 'none', text: SVG_COLORS.text };
+}
+
+/**
+ * Draw the pair view as SVG
+ * @param {Object} model - {rows: [{label, seq}, {label, seq}] with equal-length aligned
+ *                         sequences (reference first), sequenceType,
+ *                         sgRNAs: [{row, start, end, color, mismatches}],
+ *                         cutSites: [{row, column, color}],
+ *                         annotations: [{row, start, end, level, text}]};
+ *                         start/end/column/mismatches are alignment columns and
+ *                         a cut site sits before its column
+ * @param {Object} options - {startColumn, endColumn (inclusive), wrap: columns per
+ *                           line, 0 for one line}
+ * @returns {string} - SVG document
+ */
+function buildAlignmentSVG(model, options = {}) {
+    const length = model.rows[0].seq.length;
+    const startColumn = options.startColumn !== undefined ? options.startColumn : 0;
+    const endColumn = options.endColumn !== undefined ? options.endColumn : length - 1;
+    const columnCount = endColumn - startColumn + 1;
+    const wrap = options.wrap > 0 ? options.wrap : columnCount;
+
+    const writer = createSVGTextWriter();
+    const sgRNAs = model.sgRNAs || [];
+    const cutSites = model.cutSites || [];
+    const annotations = model.annotations || [];
+
+    // Ungapped position of every column, for the rulers
+    const positions = model.rows.map(row => {
+        let position = 0;
+        return Array.from(row.seq, base => (base === '-' ? null : position++));
+    });
+
+    // Room above the reference and below the read for boxes and stacked annotations
+    const maxLevel = row => Math.max(-1, ...annotations.filter(ann => ann.row === row).map(ann => ann.level));
+    const spaceAbove = Math.max(45, 20 + (maxLevel(0) + 1) * SVG_ANNOTATION_STEP);
+    const spaceBelow = Math.max(25, 20 + maxLevel(1) * SVG_ANNOTATION_STEP + 5);
+    const blockHeight = SVG_RULER_HEIGHT + spaceAbove + SVG_BASE_SIZE * 2 + 1 + spaceBelow + SVG_RULER_HEIGHT;
+
+    const blocks = [];
+    for (let first = startColumn; first <= endColumn; first += wrap) {
+        blocks.push({ first, last: Math.min(first + wrap - 1, endColumn) });
+    }
+
+    const elements = [];
+    blocks.forEach((block, index) => {
+        const top = SVG_PADDING + index * (blockHeight + SVG_BLOCK_GAP);
+        const rowTops = [top + SVG_RULER_HEIGHT + spaceAbove, top + SVG_RULER_HEIGHT + spaceAbove + SVG_BASE_SIZE + 1];
+        const columnX = column => SVG_PADDING + SVG_LABEL_WIDTH + (column - block.first) * SVG_BASE_SIZE;
+
+        // Span of [start, end] inside this block, or null
+        const clip = (start, end) => {
+            const from = Math.max(start, block.first);
+            const to = Math.min(end, block.last);
+            return from <= to ? { from, to } : null;
+        };
+
+        const drawRuler = (row, rulerTop) => {
+            const label = writer.fit(model.rows[row].label + ' pos:', 10, 150);
+            elements.push(writer.draw(label, SVG_PADDING, rulerTop + 18, 10, SVG_COLORS.secondaryText));
+            for (let c = block.first; c <= block.last; c++) {
+                const position = positions[row][c];
+                if (position === null) continue;
+                const x = columnX(c) + SVG_BASE_SIZE / 2;
+                if (position % 10 === 0) {
+                    elements.push(writer.draw(String(position), x, rulerTop + 12 + writer.middle(9), 9, SVG_COLORS.secondaryText, 'middle'));
+                } else if (position % 5 === 0) {
+                    elements.push(writer.draw('|', x, rulerTop + 12 + writer.middle(11), 11, SVG_COLORS.primary, 'middle'));
+                }
+            }
+        };
+
+        drawRuler(0, top);
+
+        // Bases, then the insertion borders on top of their neighbours
+        const insertions = [];
+        model.rows.forEach((row, r) => {
+            const y = rowTops[r];
+            const label = writer.fit(row.label + ':', 14.4, 150);
+            elements.push(writer.draw(label, SVG_PADDING, y + SVG_BASE_SIZE / 2 + writer.middle(14.4), 14.4, SVG_COLORS.text));
+
+            const opposite = model.rows[1 - r].seq;
+            for (let c = block.first; c <= block.last; c++) {
+                const base = row.seq[c];
+                const style = svgBaseStyle(base, model.sequenceType);
+                const x = columnX(c);
+                if (style.fill !== 'none') {
+                    elements.push(`<rect x="${x}" y="${y}" width="${SVG_BASE_SIZE}" height="${SVG_BASE_SIZE}" fill="${style.fill}"/>`);
+                }
+                elements.push(writer.draw(base, x + SVG_BASE_SIZE / 2, y + SVG_BASE_SIZE / 2 + writer.middle(20), 20, style.text, 'middle', style.italic));
+                if (base !== '-' && opposite[c] === '-') {
+                    insertions.push(`<rect x="${x - 1.5}" y="${y - 1.5}" width="${SVG_BASE_SIZE + 3}" height="${SVG_BASE_SIZE + 3}" fill="none" stroke="${SVG_COLORS.insertion}" stroke-width="3"/>`);
+                }
+            }
+        });
+        elements.push(...insertions);
+
+        // sgRNA boxes 5px off the sequence, with mismatching bases filled in
+        for (const sgRNA of sgRNAs) {
+            const span = clip(sgRNA.start, sgRNA.end);
+            if (!span) continue;
+            const x = columnX(span.from);
+            const y = sgRNA.row === 0 ? rowTops[0] - 25 : rowTops[1] + SVG_BASE_SIZE + 5;
+            const width = (span.to - span.from + 1) * SVG_BASE_SIZE + 4;
+            elements.push(`<rect x="${x + 1}" y="${y + 1}" width="${width - 2}" height="18" rx="3" fill="${sgRNA.color}" fill-opacity="0.2" stroke="${sgRNA.color}" stroke-width="2"/>`);
+            for (const column of sgRNA.mismatches) {
+                if (column < span.from || column > span.to) continue;
+                elements.push(`<rect x="${columnX(column) + 0.5}" y="${y + 0.5}" width="${SVG_BASE_SIZE - 1}" height="19" fill="${SVG_COLORS.mismatch}" fill-opacity="0.7" stroke="${SVG_COLORS.mismatch}" stroke-opacity="0.9"/>`);
+            }
+        }
+
+        // Annotation bars stack away from the sequence, labelled inside
+        for (const ann of annotations) {
+            const span = clip(ann.start, ann.end);
+            if (!span) continue;
+            const x = columnX(span.from);
+            const y = ann.row === 0
+                ? rowTops[0] - 20 - ann.level * SVG_ANNOTATION_STEP
+                : rowTops[1] + SVG_BASE_SIZE + 10 + ann.level * SVG_ANNOTATION_STEP;
+            const width = (span.to - span.from + 1) * SVG_BASE_SIZE;
+            const color = SVG_COLORS.annotations[ann.row === 0 ? 'seq1' : 'seq2'];
+            elements.push(`<rect x="${x}" y="${y}" width="${width}" height="${SVG_ANNOTATION_HEIGHT}" rx="4" fill="${color}" fill-opacity="0.9"/>`);
+            const label = writer.fit(ann.text, 8, width - 4);
+            elements.push(writer.draw(label, x + 2, y + SVG_ANNOTATION_HEIGHT / 2 + writer.middle(8), 8, '#FFFFFF'));
+        }
+
+        // Cut sites between bases, with scissors above; a cut after the last column
+        // is drawn on the last line only
+        for (const cut of cutSites) {
+            const inBlock = cut.column >= block.first &&
+                (cut.column <= block.last || (cut.column === block.last + 1 && block.last === endColumn));
+            if (!inBlock) continue;
+            const x = columnX(cut.column) - 3;
+            const y = rowTops[cut.row];
+            elements.push(`<rect x="${x}" y="${y}" width="6" height="${SVG_BASE_SIZE}" fill="${cut.color}" fill-opacity="0.8"/>`);
+            elements.push(writer.draw('✂', x - 6, y - 6, 26, SVG_COLORS.text));
+        }
+
+        drawRuler(1, rowTops[1] + SVG_BASE_SIZE + spaceBelow);
+    });
+
+    const width = SVG_PADDING * 2 + SVG_LABEL_WIDTH + Math.min(wrap, columnCount) * SVG_BASE_SIZE;
+    const height = SVG_PADDING * 2 + blocks.length * blockHeight + (blocks.length - 1) * SVG_BLOCK_GAP;
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        '<defs>',
+        '<pattern id="ambiguous-base" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">' +
+            '<rect width="4" height="8" fill="#E0E0E0"/><rect x="4" width="4" height="8" fill="#F5F5F5"/></pattern>',
+        writer.defs(),
+        '</defs>',
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+        ...elements,
+        '</svg>'
+    ].join('\n') + '\n';
+}
+
+// Gather the pair view from the inputs, the sgRNA matches and the annotations
+function collectAlignmentSVGModel() {
+    const name1Input = document.getElementById('name1');
+    const name2Input = document.getElementById('name2');
+    const sgRNAsInput = document.getElementById('sgrnas');
+    const cutSiteInput = document.getElementById('cut-site');
+    const scoreCutoffInput = document.getElementById('score-cutoff');
+
+    // Pad like renderAlignment()
+    let seq1 = normalizeSequence(document.getElementById('seq1').value);
+    let seq2 = normalizeSequence(document.getElementById('seq2').value);
+    const length = Math.max(seq1.length, seq2.length);
+    seq1 = seq1.padEnd(length, '-');
+    seq2 = seq2.padEnd(length, '-');
+    const seqs = [seq1, seq2];
+
+    const model = {
+        rows: [
+            { label: name1Input.value || 'Reference', seq: seq1 },
+            { label: name2Input.value || 'Amplicon 1', seq: seq2 }
+        ],
+        sequenceType: getAlignmentSettings().sequenceType,
+        sgRNAs: [],
+        cutSites: [],
+        annotations: []
+    };
+
+    const sgRNAs = sgRNAsInput ? sgRNAsInput.value : '';
+    if (sgRNAs && window.alignAllsgRNAs) {
+        const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
+        const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
+
+        for (const result of alignAllsgRNAs(seq1, seq2, sgRNAs, cutSite, scoreCutoff)) {
+            [result.seq1Match, result.seq2Match].forEach((match, row) => {
+                if (!match || !match.passes) return;
+                const seq = seqs[row];
+                const start = mapPositionToAligned(match.position, seq);
+                const end = mapPositionToAligned(match.positionEnd - 1, seq);
+                if (start !== -1 && end !== -1) {
+                    const mismatches = getMismatches(result.sgRNA, seq, match.position, match.strand === '-')
+                        .map(offset => mapPositionToAligned(match.position + offset, seq));
+                    model.sgRNAs.push({ row, start, end, color: result.color, mismatches });
+                }
+                const column = mapPositionToAligned(match.cutSite, seq);
+                if (column !== -1) {
+                    model.cutSites.push({ row, column, color: result.color });
+                }
+            });
+        }
+    }
+
+    if (window.getAnnotations) {
+        const current = getAnnotations();
+        const levels = { seq1: calculateStackingLevels(current, 'seq1'), seq2: calculateStackingLevels(current, 'seq2') };
+        current.forEach((ann, index) => {
+            const row = ann.seq === 'seq1' ? 0 : 1;
+            const start = mapPositionToAligned(ann.start, seqs[row]);
+            const end = mapPositionToAligned(ann.end, seqs[row]);
+            if (start === -1 || end === -1) return;
+            model.annotations.push({ row, start, end, level: levels[ann.seq][index] || 0, text: ann.text });
+        });
+    }
+
+    return model;
+}
+
+// Export the pair view as SVG over the chosen reference range
+function downloadSVG() {
+    const startInput = document.getElementById('svg-start');
+    const endInput = document.getElementById('svg-end');
+    const wrapInput = document.getElementById('svg-wrap');
+
+    const model = collectAlignmentSVGModel();
+    if (model.rows[0].seq.length === 0) {
+        alert('Please enter a sequence before exporting SVG.');
+        return;
+    }
+
+    const readPosition = input => (input && input.value.trim() !== '' ? parseInt(input.value) : null);
+    const wrap = wrapInput && wrapInput.value.trim() !== '' ? parseInt(wrapInput.value) : SVG_DEFAULT_WRAP;
+
+    try {
+        const range = referenceRangeToColumns(model.rows[0].seq, readPosition(startInput), readPosition(endInput));
+        const svg = buildAlignmentSVG(model, { ...range, wrap: isNaN(wrap) ? SVG_DEFAULT_WRAP : wrap });
+        downloadTextFile('alignment.svg', svg, 'image/svg+xml');
+    } catch (error) {
+        console.error('SVG export error:', error);
+        alert('Error exporting SVG: ' + error.message);
+    }
+}
+
+function setupSVGExport() {
+    const downloadButton = document.getElementById('svg-download');
+    if (downloadButton) {
+        downloadButton.addEventListener('click', downloadSVG);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupSVGExport);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        referenceRangeToColumns,
+        buildAlignmentSVG
+    };
+}
@@ -0,0 +1,166 @@
+// SVG Export Glyphs
+// Outlines of DejaVu Sans Mono (printable ASCII) and the scissors of DejaVu Sans,
+// converted to SVG path data so exported figures draw their text as shapes and
+// need no installed fonts. Each glyph is [advance, path] in font units with y
+// pointing down from the baseline.
+//
+// The outlines were read from the 'glyf' tables of DejaVuSansMono.ttf and
+// DejaVuSans.ttf (DejaVu 2.37): composite glyphs are flattened, y is negated,
+// runs of off-curve points are split at their midpoints into quadratic Q
+// segments, and coordinates are rounded to half units. Advances come from
+// 'hmtx' and capHeight from 'OS/2'. To add characters, extract them the same
+// way from the same fonts so the metrics match.
+//
+// DejaVu fonts: Copyright (c) 2003 by Bitstream, Inc. All Rights Reserved.
+// Bitstream Vera is a trademark of Bitstream, Inc. DejaVu changes are in public domain.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of the fonts accompanying this license ("Fonts") and associated
+// documentation files (the "Font Software"), to reproduce and distribute the
+// Font Software, including without limitation the rights to use, copy, merge,
+// publish, distribute, and/or sell copies of the Font Software, and to permit
+// persons to whom the Font Software is furnished to do so, subject to the
+// following conditions:
+//
+// The above copyright and trademark notices and this permission notice shall
+// be included in all copies of one or more of the Font Software typefaces.
+//
+// The Font Software may be modified, altered, or added to, and in particular
+// the designs of glyphs or characters in the Fonts may be modified and
+// additional glyphs or characters may be added to the Fonts, only if the fonts
+// are renamed to names not containing either the words "Bitstream" or the word
+// "Vera".
+//
+// This License becomes null and void to the extent applicable to Fonts or Font
+// Software that has been modified and is distributed under the "Bitstream
+// Vera" names.
+//
+// The Font Software may be sold as part of a larger software package but no
+// copy of one or more of the Font Software typefaces may be sold by itself.
+//
+// THE FONT SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+// OR IMPLIED, INCLUDING BUT NOT LIMITED TO ANY WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT OF COPYRIGHT, PATENT,
+// TRADEMARK, OR OTHER RIGHT. IN NO EVENT SHALL BITSTREAM OR THE GNOME
+// FOUNDATION BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, INCLUDING
+// ANY GENERAL, SPECIAL, INDIRECT, INCIDENTAL, OR CONSEQUENTIAL DAMAGES,
+// WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF
+// THE USE OR INABILITY TO USE THE FONT SOFTWARE OR FROM OTHER DEALINGS IN THE
+// FONT SOFTWARE.
+//
+// Except as contained in this notice, the names of Gnome, the Gnome
+// Foundation, and Bitstream Inc., shall not be used in advertising or
+// otherwise to promote the sale, use or other dealings in this Font Software
+// without prior written authorization from the Gnome Foundation or Bitstream
+// Inc., respectively. For further information, contact: fonts at gnome dot
+// org.
+
+const SVG_FONT = {
+    unitsPerEm: 2048,
+    capHeight: 1493,
+    glyphs: {
+        ' ': [1233, ''],
+        '!': [1233, 'M516 -1493L719 -1493L719 -838L698 -481L537 -481L516 -838L516 -1493ZM516 -254L719 -254L719 0L516 0L516 -254Z'],
+        '"': [1233, 'M895 -1493L895 -938L721 -938L721 -1493L895 -1493ZM512 -1493L512 -938L338 -938L338 -1493L512 -1493Z'],
+        '#': [1233, 'M684 -1470L580 -1055L825 -1055L930 -1470L1090 -1470L985 -1055L1229 -1055L1229 -901L948 -901L864 -567L1114 -567L1114 -414L825 -414L721 0L561 0L666 -414L420 -414L315 0L156 0L260 -414L2 -414L2 -567L299 -567L383 -901L117 -901L117 -1055L420 -1055L524 -1470L684 -1470ZM788 -901L543 -901L459 -567L705 -567L788 -901Z'],
+        '$': [1233, 'M692 -580L692 -146Q802 -149 864 -207Q926 -265 926 -365Q926 -458 870 -509.5Q814 -561 692 -580ZM592 -770L592 -1183Q488 -1179 429.5 -1123Q371 -1067 371 -973Q371 -887 425.5 -837Q480 -787 592 -770ZM692 301L592 301L591 0Q489 -5 388.5 -28Q288 -51 190 -92L190 -272Q290 -210 391.5 -177Q493 -144 592 -142L592 -600Q392 -631 291 -722Q190 -813 190 -963Q190 -1120 295.5 -1213.5Q401 -1307 592 -1321L592 -1556L692 -1556L693 -1321Q772 -1316 853 -1301Q934 -1286 1018 -1260L1018 -1087Q933 -1130 852.5 -1153.5Q772 -1177 692 -1181L692 -750Q898 -719 1006 -622Q1114 -525 1114 -371Q1114 -217 997.5 -114Q881 -11 693 -2L692 301Z'],
+        '%': [1233, 'M696 -319Q696 -241 748.5 -188Q801 -135 879 -135Q956 -135 1009.5 -188.5Q1063 -242 1063 -319Q1063 -396 1009 -450Q955 -504 879 -504Q801 -504 748.5 -451Q696 -398 696 -319ZM561 -319Q561 -454 653 -546.5Q745 -639 879 -639Q943 -639 1000.5 -615Q1058 -591 1104 -545Q1150 -498 1175 -440Q1200 -382 1200 -319Q1200 -186 1107 -93Q1014 0 879 0Q743 0 652 -91.5Q561 -183 561 -319ZM121 -465L86 -561L1128 -979L1169 -883L121 -465ZM168 -1112Q168 -1033 220.5 -980.5Q273 -928 352 -928Q429 -928 483 -981.5Q537 -1035 537 -1112Q537 -1189 483 -1242.5Q429 -1296 352 -1296Q275 -1296 221.5 -1243Q168 -1190 168 -1112ZM33 -1112Q33 -1247 125 -1339.5Q217 -1432 352 -1432Q416 -1432 474.5 -1408Q533 -1384 578 -1339Q623 -1294 647.5 -1235.5Q672 -1177 672 -1112Q672 -978 579 -885.5Q486 -793 352 -793Q217 -793 125 -885Q33 -977 33 -1112Z'],
+        '&': [1233, 'M547 -907L963 -348Q1002 -397 1021 -472Q1040 -547 1040 -651Q1040 -683 1037 -753L1036 -760L1200 -760L1200 -721Q1200 -560 1163 -438.5Q1126 -317 1051 -229L1221 0L1008 0L930 -109Q847 -39 754 -5Q661 29 555 29Q339 29 198 -105.5Q57 -240 57 -444Q57 -581 126 -698Q195 -815 334 -915Q284 -987 260 -1056Q236 -1125 236 -1196Q236 -1346 335.5 -1433Q435 -1520 608 -1520Q673 -1520 738.5 -1508Q804 -1496 874 -1473L874 -1290Q815 -1329 752.5 -1347.5Q690 -1366 621 -1366Q524 -1366 468 -1320.5Q412 -1275 412 -1198Q412 -1139 441 -1074.5Q470 -1010 547 -907ZM416 -803Q324 -730 278.5 -648.5Q233 -567 233 -475Q233 -324 333 -224.5Q433 -125 588 -125Q630 -125 676 -137Q722 -149 766 -172Q793 -187 810.5 -198.5Q828 -210 844 -223L416 -803Z'],
+        "'": [1233, 'M702 -1493L702 -938L528 -938L528 -1493L702 -1493Z'],
+        '(': [1233, 'M885 -1554Q752 -1326 686.5 -1099.5Q621 -873 621 -643Q621 -414 686.5 -187Q752 40 885 270L725 270Q574 32 500 -193.5Q426 -419 426 -643Q426 -866 500 -1092Q574 -1318 725 -1554L885 -1554Z'],
+        ')': [1233, 'M348 -1554L508 -1554Q659 -1318 733 -1092Q807 -866 807 -643Q807 -418 733 -192Q659 34 508 270L348 270Q481 38 546.5 -189Q612 -416 612 -643Q612 -871 546.5 -1098Q481 -1325 348 -1554Z'],
+        '*': [1233, 'M1067 -1247L709 -1053L1067 -858L1010 -760L674 -963L674 -586L559 -586L559 -963L223 -760L166 -858L524 -1053L166 -1247L223 -1346L559 -1143L559 -1520L674 -1520L674 -1143L1010 -1346L1067 -1247Z'],
+        '+': [1233, 'M700 -1171L700 -727L1145 -727L1145 -557L700 -557L700 -113L532 -113L532 -557L88 -557L88 -727L532 -727L532 -1171L700 -1171Z'],
+        ',': [1233, 'M502 -303L754 -303L754 -96L557 287L403 287L502 -96L502 -303Z'],
+        '-': [1233, 'M356 -643L877 -643L877 -479L356 -479L356 -643Z'],
+        '.': [1233, 'M489 -305L741 -305L741 0L489 0L489 -305Z'],
+        '/': [1233, 'M889 -1493L1079 -1493L293 190L102 190L889 -1493Z'],
+        '0': [1233, 'M483 -750Q483 -805 521.5 -845Q560 -885 614 -885Q670 -885 710 -845Q750 -805 750 -750Q750 -694 710.5 -655Q671 -616 614 -616Q558 -616 520.5 -654Q483 -692 483 -750ZM616 -1360Q475 -1360 405.5 -1208Q336 -1056 336 -745Q336 -435 405.5 -283Q475 -131 616 -131Q758 -131 827.5 -283Q897 -435 897 -745Q897 -1056 827.5 -1208Q758 -1360 616 -1360ZM616 -1520Q855 -1520 977.5 -1324Q1100 -1128 1100 -745Q1100 -363 977.5 -167Q855 29 616 29Q377 29 255 -167Q133 -363 133 -745Q133 -1128 255 -1324Q377 -1520 616 -1520Z'],
+        '1': [1233, 'M270 -170L584 -170L584 -1311L246 -1235L246 -1419L582 -1493L784 -1493L784 -170L1094 -170L1094 0L270 0L270 -170Z'],
+        '2': [1233, 'M373 -170L1059 -170L1059 0L152 0L152 -170Q339 -367 479 -518Q619 -669 672 -731Q772 -853 807 -928.5Q842 -1004 842 -1083Q842 -1208 768.5 -1279Q695 -1350 567 -1350Q476 -1350 376 -1317Q276 -1284 164 -1217L164 -1421Q267 -1470 366.5 -1495Q466 -1520 563 -1520Q782 -1520 915.5 -1403.5Q1049 -1287 1049 -1098Q1049 -1002 1004.5 -906Q960 -810 860 -694Q804 -629 697.5 -514Q591 -399 373 -170Z'],
+        '3': [1233, 'M776 -799Q923 -760 1001 -660.5Q1079 -561 1079 -412Q1079 -206 940.5 -88.5Q802 29 557 29Q454 29 347 10Q240 -9 137 -45L137 -246Q239 -193 338 -167Q437 -141 535 -141Q701 -141 790 -216Q879 -291 879 -432Q879 -562 790 -638.5Q701 -715 549 -715L395 -715L395 -881L549 -881Q688 -881 766 -942Q844 -1003 844 -1112Q844 -1227 771.5 -1288.5Q699 -1350 565 -1350Q476 -1350 381 -1330Q286 -1310 182 -1270L182 -1456Q303 -1488 397.5 -1504Q492 -1520 565 -1520Q783 -1520 913.5 -1410.5Q1044 -1301 1044 -1120Q1044 -997 975.5 -915Q907 -833 776 -799Z'],
+        '4': [1233, 'M735 -1309L264 -520L735 -520L735 -1309ZM702 -1493L936 -1493L936 -520L1135 -520L1135 -356L936 -356L936 0L735 0L735 -356L102 -356L102 -547L702 -1493Z'],
+        '5': [1233, 'M207 -1493L963 -1493L963 -1323L391 -1323L391 -956Q434 -972 477.5 -979.5Q521 -987 565 -987Q797 -987 933 -850Q1069 -713 1069 -479Q1069 -243 926.5 -107Q784 29 537 29Q418 29 319.5 13Q221 -3 143 -35L143 -240Q235 -190 328 -165.5Q421 -141 518 -141Q685 -141 775.5 -229Q866 -317 866 -479Q866 -639 772.5 -728Q679 -817 512 -817Q431 -817 354 -798.5Q277 -780 207 -743L207 -1493Z'],
+        '6': [1233, 'M991 -1460L991 -1274Q928 -1311 857 -1330.5Q786 -1350 709 -1350Q517 -1350 418 -1205.5Q319 -1061 319 -780Q367 -880 452 -933.5Q537 -987 647 -987Q863 -987 981.5 -854.5Q1100 -722 1100 -479Q1100 -237 978 -104Q856 29 635 29Q375 29 254 -157.5Q133 -344 133 -745Q133 -1123 278.5 -1321.5Q424 -1520 700 -1520Q774 -1520 848 -1504.5Q922 -1489 991 -1460ZM631 -829Q502 -829 428 -736Q354 -643 354 -479Q354 -315 428 -222Q502 -129 631 -129Q765 -129 833 -217.5Q901 -306 901 -479Q901 -653 833 -741Q765 -829 631 -829Z'],
+        '7': [1233, 'M139 -1493L1079 -1493L1079 -1407L545 0L334 0L854 -1323L139 -1323L139 -1493Z'],
+        '8': [1233, 'M616 -709Q481 -709 407.5 -633.5Q334 -558 334 -420Q334 -282 408.5 -205.5Q483 -129 616 -129Q752 -129 825.5 -204.5Q899 -280 899 -420Q899 -557 824.5 -633Q750 -709 616 -709ZM440 -793Q311 -826 238.5 -916Q166 -1006 166 -1133Q166 -1311 287 -1415.5Q408 -1520 616 -1520Q825 -1520 946 -1415.5Q1067 -1311 1067 -1133Q1067 -1006 994.5 -916Q922 -826 793 -793Q943 -760 1022.5 -660Q1102 -560 1102 -401Q1102 -199 973 -85Q844 29 616 29Q388 29 259.5 -84.5Q131 -198 131 -399Q131 -559 210.5 -659.5Q290 -760 440 -793ZM367 -1114Q367 -994 431 -931Q495 -868 616 -868Q738 -868 802 -931Q866 -994 866 -1114Q866 -1236 802.5 -1300Q739 -1364 616 -1364Q495 -1364 431 -1299.5Q367 -1235 367 -1114Z'],
+        '9': [1233, 'M596 -662Q725 -662 798.5 -755Q872 -848 872 -1012Q872 -1176 798.5 -1269Q725 -1362 596 -1362Q462 -1362 394 -1273.5Q326 -1185 326 -1012Q326 -838 393.5 -750Q461 -662 596 -662ZM236 -31L236 -217Q299 -180 370 -160.5Q441 -141 518 -141Q710 -141 808.5 -285.5Q907 -430 907 -711Q860 -611 775 -557.5Q690 -504 580 -504Q364 -504 245.5 -637Q127 -770 127 -1014Q127 -1255 248.5 -1387.5Q370 -1520 592 -1520Q852 -1520 973 -1333Q1094 -1146 1094 -745Q1094 -368 948.5 -169.5Q803 29 526 29Q453 29 379 13.5Q305 -2 236 -31Z'],
+        ':': [1233, 'M489 -1063L741 -1063L741 -760L489 -760L489 -1063ZM489 -305L741 -305L741 0L489 0L489 -305Z'],
+        ';': [1233, 'M502 -303L754 -303L754 -96L557 287L403 287L502 -96L502 -303ZM489 -1063L741 -1063L741 -760L489 -760L489 -1063Z'],
+        '<': [1233, 'M1145 -961L295 -641L1145 -324L1145 -141L88 -559L88 -725L1145 -1143L1145 -961Z'],
+        '=': [1233, 'M88 -524L1145 -524L1145 -352L88 -352L88 -524ZM88 -930L1145 -930L1145 -760L88 -760L88 -930Z'],
+        '>': [1233, 'M88 -961L88 -1143L1145 -725L1145 -559L88 -141L88 -324L938 -641L88 -961Z'],
+        '?': [1233, 'M684 -401L494 -401L494 -555Q494 -653 524.5 -721.5Q555 -790 639 -872L729 -961Q791 -1020 814.5 -1064Q838 -1108 838 -1157Q838 -1246 772.5 -1301Q707 -1356 598 -1356Q520 -1356 431 -1321.5Q342 -1287 244 -1219L244 -1407Q338 -1464 433.5 -1492Q529 -1520 633 -1520Q819 -1520 929.5 -1424Q1040 -1328 1040 -1167Q1040 -1091 1006.5 -1025.5Q973 -960 879 -868L791 -782Q722 -716 703 -674Q684 -632 684 -571L684 -524L684 -401ZM487 -254L690 -254L690 0L487 0L487 -254Z'],
+        '@': [1233, 'M1038 -545Q1038 -674 974 -751.5Q910 -829 803 -829Q696 -829 631.5 -751.5Q567 -674 567 -545Q567 -415 631.5 -337.5Q696 -260 803 -260Q910 -260 974 -337.5Q1038 -415 1038 -545ZM1178 -135L1034 -135L1034 -246Q997 -183 931.5 -149Q866 -115 784 -115Q623 -115 517.5 -236Q412 -357 412 -545Q412 -733 517.5 -854Q623 -975 784 -975Q864 -975 931 -940Q998 -905 1034 -844L1034 -907Q1034 -1063 946 -1158Q858 -1253 713 -1253Q467 -1253 321.5 -1061.5Q176 -870 176 -543Q176 -214 341 -19Q506 176 780 176Q834 176 888 166Q942 156 999 135L1047 270Q984 295 922.5 307Q861 319 803 319Q446 319 236.5 86Q27 -147 27 -543Q27 -933 215 -1164Q403 -1395 719 -1395Q928 -1395 1053 -1262Q1178 -1129 1178 -905L1178 -135Z'],
+        'A': [1233, 'M616 -1315L403 -551L829 -551L616 -1315ZM494 -1493L739 -1493L1196 0L987 0L877 -389L354 -389L246 0L37 0L494 -1493Z'],
+        'B': [1233, 'M369 -713L369 -166L608 -166Q784 -166 859 -227.5Q934 -289 934 -430Q934 -576 855 -644.5Q776 -713 608 -713L369 -713ZM369 -1327L369 -877L604 -877Q750 -877 815.5 -933Q881 -989 881 -1114Q881 -1227 816.5 -1277Q752 -1327 604 -1327L369 -1327ZM166 -1493L608 -1493Q837 -1493 961 -1394Q1085 -1295 1085 -1114Q1085 -977 1019.5 -898Q954 -819 823 -799Q970 -777 1053.5 -673.5Q1137 -570 1137 -410Q1137 -207 1004 -103.5Q871 0 608 0L166 0L166 -1493Z'],
+        'C': [1233, 'M1073 -53Q996 -12 915 8.5Q834 29 743 29Q456 29 297.5 -174Q139 -377 139 -745Q139 -1111 298.5 -1315.5Q458 -1520 743 -1520Q834 -1520 915 -1499.5Q996 -1479 1073 -1438L1073 -1231Q999 -1292 914 -1324Q829 -1356 743 -1356Q546 -1356 448 -1204Q350 -1052 350 -745Q350 -439 448 -287Q546 -135 743 -135Q831 -135 915.5 -167Q1000 -199 1073 -260L1073 -53Z'],
+        'D': [1233, 'M436 -166Q691 -166 792 -291.5Q893 -417 893 -745Q893 -1076 792.5 -1201.5Q692 -1327 436 -1327L340 -1327L340 -166L436 -166ZM440 -1493Q782 -1493 944 -1311Q1106 -1129 1106 -745Q1106 -363 944 -181.5Q782 0 440 0L137 0L137 -1493L440 -1493Z'],
+        'E': [1233, 'M197 -1493L1083 -1493L1083 -1323L399 -1323L399 -881L1053 -881L1053 -711L399 -711L399 -170L1102 -170L1102 0L197 0L197 -1493Z'],
+        'F': [1233, 'M233 -1493L1112 -1493L1112 -1323L436 -1323L436 -883L1049 -883L1049 -713L436 -713L436 0L233 0L233 -1493Z'],
+        'G': [1233, 'M1104 -123Q1023 -48 921.5 -9.5Q820 29 702 29Q418 29 260 -174.5Q102 -378 102 -745Q102 -1111 262 -1315.5Q422 -1520 707 -1520Q801 -1520 887 -1493.5Q973 -1467 1053 -1413L1053 -1206Q972 -1283 887 -1319.5Q802 -1356 707 -1356Q510 -1356 411.5 -1203.5Q313 -1051 313 -745Q313 -434 408.5 -284.5Q504 -135 702 -135Q769 -135 819.5 -150.5Q870 -166 911 -199L911 -600L694 -600L694 -766L1104 -766L1104 -123Z'],
+        'H': [1233, 'M137 -1493L340 -1493L340 -881L893 -881L893 -1493L1096 -1493L1096 0L893 0L893 -711L340 -711L340 0L137 0L137 -1493Z'],
+        'I': [1233, 'M201 -1493L1030 -1493L1030 -1323L717 -1323L717 -170L1030 -170L1030 0L201 0L201 -170L514 -170L514 -1323L201 -1323L201 -1493Z'],
+        'J': [1233, 'M109 -61L109 -297Q200 -216 297 -175.5Q394 -135 498 -135Q641 -135 697.5 -209.5Q754 -284 754 -487L754 -1323L373 -1323L373 -1493L956 -1493L956 -487Q956 -205 850.5 -88Q745 29 498 29Q402 29 307 7Q212 -15 109 -61Z'],
+        'K': [1233, 'M137 -1493L340 -1493L340 -829L971 -1493L1208 -1493L627 -883L1225 0L981 0L494 -748L340 -584L340 0L137 0L137 -1493Z'],
+        'L': [1233, 'M215 -1493L418 -1493L418 -170L1139 -170L1139 0L215 0L215 -1493Z'],
+        'M': [1233, 'M86 -1493L356 -1493L614 -733L874 -1493L1145 -1493L1145 0L958 0L958 -1319L692 -532L539 -532L272 -1319L272 0L86 0L86 -1493Z'],
+        'N': [1233, 'M139 -1493L395 -1493L899 -264L899 -1493L1094 -1493L1094 0L838 0L334 -1229L334 0L139 0L139 -1493Z'],
+        'O': [1233, 'M905 -745Q905 -1074 837.5 -1215Q770 -1356 616 -1356Q463 -1356 395.5 -1215Q328 -1074 328 -745Q328 -417 395.5 -276Q463 -135 616 -135Q770 -135 837.5 -275.5Q905 -416 905 -745ZM1116 -745Q1116 -355 992.5 -163Q869 29 616 29Q363 29 240 -162Q117 -353 117 -745Q117 -1136 240.5 -1328Q364 -1520 616 -1520Q869 -1520 992.5 -1328Q1116 -1136 1116 -745Z'],
+        'P': [1233, 'M399 -1327L399 -766L633 -766Q773 -766 851.5 -840Q930 -914 930 -1047Q930 -1180 852 -1253.5Q774 -1327 633 -1327L399 -1327ZM197 -1493L633 -1493Q883 -1493 1012 -1379.5Q1141 -1266 1141 -1047Q1141 -826 1012.5 -713Q884 -600 633 -600L399 -600L399 0L197 0L197 -1493Z'],
+        'Q': [1233, 'M655 27Q648 27 635 28Q622 29 614 29Q364 29 240.5 -163Q117 -355 117 -745Q117 -1136 240.5 -1328Q364 -1520 616 -1520Q869 -1520 992.5 -1328Q1116 -1136 1116 -745Q1116 -451 1047.5 -271.5Q979 -92 840 -20L1040 170L889 270L655 27ZM905 -745Q905 -1074 837.5 -1215Q770 -1356 616 -1356Q463 -1356 395.5 -1215Q328 -1074 328 -745Q328 -417 395.5 -276Q463 -135 616 -135Q770 -135 837.5 -275.5Q905 -416 905 -745Z'],
+        'R': [1233, 'M760 -705Q838 -685 893 -629.5Q948 -574 1030 -408L1233 0L1016 0L838 -377Q761 -538 699.5 -584.5Q638 -631 539 -631L346 -631L346 0L143 0L143 -1493L559 -1493Q805 -1493 936 -1382Q1067 -1271 1067 -1061Q1067 -913 986.5 -819.5Q906 -726 760 -705ZM346 -1327L346 -797L567 -797Q712 -797 783 -862Q854 -927 854 -1061Q854 -1190 778.5 -1258.5Q703 -1327 559 -1327L346 -1327Z'],
+        'S': [1233, 'M1012 -1442L1012 -1237Q920 -1296 827.5 -1326Q735 -1356 641 -1356Q498 -1356 415 -1289.5Q332 -1223 332 -1110Q332 -1011 386.5 -959Q441 -907 590 -872L696 -848Q906 -799 1002 -694Q1098 -589 1098 -408Q1098 -195 966 -83Q834 29 582 29Q477 29 371 6.5Q265 -16 158 -61L158 -276Q273 -203 375.5 -169Q478 -135 582 -135Q735 -135 820 -203.5Q905 -272 905 -395Q905 -507 846.5 -566Q788 -625 643 -657L535 -682Q327 -729 233 -824Q139 -919 139 -1079Q139 -1279 273.5 -1399.5Q408 -1520 631 -1520Q717 -1520 812 -1500.5Q907 -1481 1012 -1442Z'],
+        'T': [1233, 'M47 -1493L1186 -1493L1186 -1323L719 -1323L719 0L516 0L516 -1323L47 -1323L47 -1493Z'],
+        'U': [1233, 'M147 -573L147 -1493L350 -1493L350 -481Q350 -372 356 -325.5Q362 -279 377 -254Q409 -195 469.5 -165Q530 -135 616 -135Q703 -135 763 -165Q823 -195 856 -254Q871 -279 877 -325Q883 -371 883 -479L883 -1493L1085 -1493L1085 -573Q1085 -344 1056.5 -247.5Q1028 -151 958 -88Q892 -29 807 0Q722 29 616 29Q511 29 426 0Q341 -29 274 -88Q205 -150 176 -248.5Q147 -347 147 -573Z'],
+        'V': [1233, 'M616 -170L967 -1493L1176 -1493L739 0L494 0L57 -1493L266 -1493L616 -170Z'],
+        'W': [1233, 'M0 -1493L197 -1493L340 -281L510 -1083L721 -1083L893 -279L1036 -1493L1233 -1493L1010 0L819 0L616 -887L414 0L223 0L0 -1493Z'],
+        'X': [1233, 'M86 -1493L303 -1493L631 -930L965 -1493L1182 -1493L735 -791L1214 0L997 0L631 -643L236 0L18 0L518 -791L86 -1493Z'],
+        'Y': [1233, 'M37 -1493L252 -1493L616 -834L979 -1493L1196 -1493L717 -670L717 0L514 0L514 -670L37 -1493Z'],
+        'Z': [1233, 'M178 -1493L1147 -1493L1147 -1339L367 -170L1169 -170L1169 0L156 0L156 -154L915 -1323L178 -1323L178 -1493Z'],
+        '[': [1233, 'M463 -1556L887 -1556L887 -1413L647 -1413L647 127L887 127L887 270L463 270L463 -1556Z'],
+        '\\': [1233, 'M293 -1493L1079 190L889 190L102 -1493L293 -1493Z'],
+        ']': [1233, 'M770 -1556L770 270L346 270L346 127L586 127L586 -1413L346 -1413L346 -1556L770 -1556Z'],
+        '^': [1233, 'M705 -1493L1161 -936L983 -936L616 -1331L250 -936L72 -936L528 -1493L705 -1493Z'],
+        '_': [1233, 'M1233 403L1233 483L0 483L0 403L1233 403Z'],
+        '`': [1233, 'M477 -1638L758 -1262L604 -1262L279 -1638L477 -1638Z'],
+        'a': [1233, 'M702 -563L641 -563Q480 -563 398.5 -506.5Q317 -450 317 -338Q317 -237 378 -181Q439 -125 547 -125Q699 -125 786 -230.5Q873 -336 874 -522L874 -563L702 -563ZM1059 -639L1059 0L874 0L874 -166Q815 -66 725.5 -18.5Q636 29 508 29Q337 29 235 -67.5Q133 -164 133 -326Q133 -513 258.5 -610Q384 -707 627 -707L874 -707L874 -736Q873 -870 806 -930.5Q739 -991 592 -991Q498 -991 402 -964Q306 -937 215 -885L215 -1069Q317 -1108 410.5 -1127.5Q504 -1147 592 -1147Q731 -1147 829.5 -1106Q928 -1065 989 -983Q1027 -933 1043 -859.5Q1059 -786 1059 -639Z'],
+        'b': [1233, 'M918 -559Q918 -773 850 -882Q782 -991 649 -991Q515 -991 446 -881.5Q377 -772 377 -559Q377 -347 446 -237Q515 -127 649 -127Q782 -127 850 -236Q918 -345 918 -559ZM377 -977Q421 -1059 498.5 -1103Q576 -1147 678 -1147Q880 -1147 996 -991.5Q1112 -836 1112 -563Q1112 -286 995.5 -128.5Q879 29 676 29Q576 29 499.5 -14.5Q423 -58 377 -141L377 0L193 0L193 -1556L377 -1556L377 -977Z'],
+        'c': [1233, 'M1061 -57Q987 -14 908.5 7.5Q830 29 748 29Q488 29 341.5 -127Q195 -283 195 -559Q195 -835 341.5 -991Q488 -1147 748 -1147Q829 -1147 906 -1126Q983 -1105 1061 -1061L1061 -868Q988 -933 914.5 -962Q841 -991 748 -991Q575 -991 482 -879Q389 -767 389 -559Q389 -352 482.5 -239.5Q576 -127 748 -127Q844 -127 920 -156.5Q996 -186 1061 -248L1061 -57Z'],
+        'd': [1233, 'M858 -977L858 -1556L1042 -1556L1042 0L858 0L858 -141Q812 -58 735.5 -14.5Q659 29 559 29Q356 29 239.5 -128.5Q123 -286 123 -563Q123 -836 240 -991.5Q357 -1147 559 -1147Q660 -1147 737 -1103.5Q814 -1060 858 -977ZM317 -559Q317 -345 385 -236Q453 -127 586 -127Q719 -127 788.5 -237Q858 -347 858 -559Q858 -772 788.5 -881.5Q719 -991 586 -991Q453 -991 385 -882Q317 -773 317 -559Z'],
+        'e': [1233, 'M1112 -606L1112 -516L315 -516L315 -510Q315 -327 410.5 -227Q506 -127 680 -127Q768 -127 864 -155Q960 -183 1069 -240L1069 -57Q964 -14 866.5 7.5Q769 29 678 29Q417 29 270 -127.5Q123 -284 123 -559Q123 -827 267 -987Q411 -1147 651 -1147Q865 -1147 988.5 -1002Q1112 -857 1112 -606ZM928 -660Q924 -822 851.5 -906.5Q779 -991 643 -991Q510 -991 424 -903Q338 -815 322 -659L928 -660Z'],
+        'f': [1233, 'M1063 -1556L1063 -1403L854 -1403Q755 -1403 716.5 -1362.5Q678 -1322 678 -1219L678 -1120L1063 -1120L1063 -977L678 -977L678 0L494 0L494 -977L195 -977L195 -1120L494 -1120L494 -1198Q494 -1382 578.5 -1469Q663 -1556 842 -1556L1063 -1556Z'],
+        'g': [1233, 'M858 -569Q858 -776 790.5 -883.5Q723 -991 594 -991Q459 -991 388 -883.5Q317 -776 317 -569Q317 -362 388.5 -253.5Q460 -145 596 -145Q723 -145 790.5 -254Q858 -363 858 -569ZM1042 -72Q1042 180 923 310Q804 440 573 440Q497 440 414 426Q331 412 248 385L248 203Q346 249 426 271Q506 293 573 293Q722 293 790 212Q858 131 858 -45L858 -53L858 -178Q814 -84 738 -38Q662 8 553 8Q357 8 240 -149Q123 -306 123 -569Q123 -833 240 -990Q357 -1147 553 -1147Q661 -1147 736 -1104Q811 -1061 858 -971L858 -1116L1042 -1116L1042 -72Z'],
+        'h': [1233, 'M1051 -694L1051 0L866 0L866 -694Q866 -845 813 -916Q760 -987 647 -987Q518 -987 448.5 -895.5Q379 -804 379 -633L379 0L195 0L195 -1556L379 -1556L379 -952Q428 -1048 512 -1097.5Q596 -1147 711 -1147Q882 -1147 966.5 -1034.5Q1051 -922 1051 -694Z'],
+        'i': [1233, 'M256 -1120L727 -1120L727 -143L1092 -143L1092 0L178 0L178 -143L543 -143L543 -977L256 -977L256 -1120ZM543 -1556L727 -1556L727 -1323L543 -1323L543 -1556Z'],
+        'j': [1233, 'M600 20L600 -977L283 -977L283 -1120L784 -1120L784 20Q784 215 694.5 320.5Q605 426 440 426L186 426L186 270L420 270Q510 270 555 207.5Q600 145 600 20ZM600 -1556L784 -1556L784 -1323L600 -1323L600 -1556Z'],
+        'k': [1233, 'M236 -1556L426 -1556L426 -655L909 -1120L1133 -1120L692 -698L1202 0L977 0L563 -578L426 -449L426 0L236 0L236 -1556Z'],
+        'l': [1233, 'M639 -406Q639 -282 684.5 -219Q730 -156 819 -156L1034 -156L1034 0L801 0Q636 0 545.5 -106Q455 -212 455 -406L455 -1423L160 -1423L160 -1567L639 -1567L639 -406Z'],
+        'm': [1233, 'M676 -1006Q710 -1078 762.5 -1112.5Q815 -1147 889 -1147Q1024 -1147 1079.5 -1042.5Q1135 -938 1135 -649L1135 0L967 0L967 -641Q967 -878 940.5 -935.5Q914 -993 844 -993Q764 -993 734.5 -931.5Q705 -870 705 -641L705 0L537 0L537 -641Q537 -881 508.5 -937Q480 -993 406 -993Q333 -993 304.5 -931.5Q276 -870 276 -641L276 0L109 0L109 -1120L276 -1120L276 -1024Q309 -1084 358.5 -1115.5Q408 -1147 471 -1147Q547 -1147 597.5 -1112Q648 -1077 676 -1006Z'],
+        'n': [1233, 'M1051 -694L1051 0L866 0L866 -694Q866 -845 813 -916Q760 -987 647 -987Q518 -987 448.5 -895.5Q379 -804 379 -633L379 0L195 0L195 -1120L379 -1120L379 -952Q428 -1048 512 -1097.5Q596 -1147 711 -1147Q882 -1147 966.5 -1034.5Q1051 -922 1051 -694Z'],
+        'o': [1233, 'M616 -991Q476 -991 404 -882Q332 -773 332 -559Q332 -346 404 -236.5Q476 -127 616 -127Q757 -127 829 -236.5Q901 -346 901 -559Q901 -773 829 -882Q757 -991 616 -991ZM616 -1147Q849 -1147 972.5 -996Q1096 -845 1096 -559Q1096 -272 973 -121.5Q850 29 616 29Q383 29 260 -121.5Q137 -272 137 -559Q137 -845 260 -996Q383 -1147 616 -1147Z'],
+        'p': [1233, 'M375 -141L375 426L190 426L190 -1120L375 -1120L375 -977Q421 -1060 497.5 -1103.5Q574 -1147 674 -1147Q877 -1147 992.5 -990Q1108 -833 1108 -555Q1108 -282 992 -126.5Q876 29 674 29Q572 29 495.5 -14.5Q419 -58 375 -141ZM915 -559Q915 -773 847.5 -882Q780 -991 647 -991Q513 -991 444 -881.5Q375 -772 375 -559Q375 -347 444 -237Q513 -127 647 -127Q780 -127 847.5 -236Q915 -345 915 -559Z'],
+        'q': [1233, 'M332 -555Q332 -341 399.5 -232Q467 -123 600 -123Q733 -123 801.5 -232.5Q870 -342 870 -555Q870 -768 801.5 -877.5Q733 -987 600 -987Q467 -987 399.5 -878Q332 -769 332 -555ZM870 -139Q825 -56 748.5 -11.5Q672 33 571 33Q370 33 253.5 -122.5Q137 -278 137 -551Q137 -829 253 -986Q369 -1143 571 -1143Q671 -1143 747.5 -1099.5Q824 -1056 870 -973L870 -1116L1055 -1116L1055 430L870 430L870 -139Z'],
+        'r': [1233, 'M1155 -889Q1096 -935 1035 -956Q974 -977 901 -977Q729 -977 638 -869Q547 -761 547 -557L547 0L362 0L362 -1120L547 -1120L547 -901Q593 -1020 688.5 -1083.5Q784 -1147 915 -1147Q983 -1147 1042 -1130Q1101 -1113 1155 -1077L1155 -889Z'],
+        's': [1233, 'M973 -1081L973 -901Q894 -947 814 -970Q734 -993 651 -993Q526 -993 464.5 -952.5Q403 -912 403 -829Q403 -754 449 -717Q495 -680 678 -645L752 -631Q889 -605 959.5 -527Q1030 -449 1030 -324Q1030 -158 912 -64.5Q794 29 584 29Q501 29 410 11.5Q319 -6 213 -41L213 -231Q316 -178 410 -151.5Q504 -125 588 -125Q710 -125 777 -174.5Q844 -224 844 -313Q844 -441 599 -490L591 -492L522 -506Q363 -537 290 -610.5Q217 -684 217 -811Q217 -972 326 -1059.5Q435 -1147 637 -1147Q727 -1147 810 -1130.5Q893 -1114 973 -1081Z'],
+        't': [1233, 'M614 -1438L614 -1120L1032 -1120L1032 -977L614 -977L614 -369Q614 -245 661 -196Q708 -147 825 -147L1032 -147L1032 0L807 0Q600 0 515 -83Q430 -166 430 -369L430 -977L131 -977L131 -1120L430 -1120L430 -1438L614 -1438Z'],
+        'u': [1233, 'M195 -424L195 -1118L379 -1118L379 -424Q379 -273 432.5 -202Q486 -131 598 -131Q728 -131 797 -222.5Q866 -314 866 -485L866 -1118L1051 -1118L1051 0L866 0L866 -168Q817 -71 732.5 -21Q648 29 535 29Q363 29 279 -83.5Q195 -196 195 -424Z'],
+        'v': [1233, 'M100 -1120L291 -1120L616 -180L942 -1120L1133 -1120L735 0L498 0L100 -1120Z'],
+        'w': [1233, 'M0 -1120L182 -1120L377 -215L537 -793L694 -793L856 -215L1051 -1120L1233 -1120L971 0L795 0L616 -614L438 0L262 0L0 -1120Z'],
+        'x': [1233, 'M1118 -1120L717 -584L1157 0L944 0L616 -449L289 0L76 0L516 -584L115 -1120L319 -1120L616 -715L911 -1120L1118 -1120Z'],
+        'y': [1233, 'M858 -360Q812 -243 741 -52Q642 212 608 270Q562 348 493 387Q424 426 332 426L184 426L184 272L293 272Q374 272 420 225Q466 178 537 -18L104 -1120L299 -1120L631 -244L958 -1120L1153 -1120L858 -360Z'],
+        'z': [1233, 'M227 -1122L1040 -1122L1040 -954L397 -150L1040 -150L1040 0L203 0L203 -170L846 -975L227 -975L227 -1122Z'],
+        '{': [1233, 'M1012 190L1012 334L948 334Q699 334 614.5 260Q530 186 530 -35L530 -274Q530 -425 476.5 -483Q423 -541 283 -541L221 -541L221 -684L283 -684Q424 -684 477 -741Q530 -798 530 -948L530 -1188Q530 -1409 614.5 -1482.5Q699 -1556 948 -1556L1012 -1556L1012 -1413L942 -1413Q802 -1413 759.5 -1369.5Q717 -1326 717 -1184L717 -936Q717 -779 671.5 -708Q626 -637 516 -612Q627 -585 672 -514Q717 -443 717 -287L717 -39Q717 104 759.5 147Q802 190 942 190L1012 190Z'],
+        '|': [1233, 'M702 -1565L702 483L530 483L530 -1565L702 -1565Z'],
+        '}': [1233, 'M221 190L289 190Q430 190 473 146Q516 102 516 -39L516 -287Q516 -443 561 -514Q606 -585 717 -612Q607 -637 561.5 -708Q516 -779 516 -936L516 -1184Q516 -1325 473 -1369Q430 -1413 289 -1413L221 -1413L221 -1556L283 -1556Q532 -1556 616 -1482.5Q700 -1409 700 -1188L700 -948Q700 -798 753.5 -741Q807 -684 948 -684L1012 -684L1012 -541L948 -541Q807 -541 753.5 -483Q700 -425 700 -274L700 -35Q700 186 616 260Q532 334 283 334L221 334L221 190Z'],
+        '~': [1233, 'M1145 -780L1145 -606Q1070 -547 998.5 -519.5Q927 -492 848 -492Q758 -492 645 -543Q623 -553 612 -557Q535 -590 483.5 -602Q432 -614 381 -614Q302 -614 231.5 -584.5Q161 -555 88 -492L88 -666Q166 -726 239 -753Q312 -780 395 -780Q448 -780 498 -769Q548 -758 622 -727Q634 -722 655 -712Q771 -657 864 -657Q934 -657 1002.5 -687.5Q1071 -718 1145 -780Z'],
+        '✂': [1716, 'M353 -396Q370 -410 378 -425.5Q386 -441 386 -460Q386 -478 378 -493.5Q370 -509 353 -523Q337 -536 318 -543Q299 -550 276 -550Q253 -550 234 -543Q215 -536 199 -523Q182 -509 174 -493.5Q166 -478 166 -460Q166 -441 174 -425.5Q182 -410 199 -396Q215 -383 234 -376Q253 -369 276 -369Q299 -369 318 -376Q337 -383 353 -396ZM984 -747Q984 -747 1605 -495Q1561 -432 1452 -432Q1371 -432 1152 -519Q1152 -519 785 -665Q785 -665 679 -621Q529 -559 489 -552Q449 -545 449 -531Q449 -523 457.5 -504Q466 -485 466 -460Q466 -425 452 -395Q438 -365 410 -339Q388 -318 348 -302Q315 -289 276 -289Q237 -289 204 -302Q170 -316 142 -339Q116 -360 101 -392.5Q86 -425 86 -460Q86 -494 100 -524Q114 -554 142 -580Q164 -601 204 -617Q237 -630 246 -630Q246 -630 343 -630Q429 -630 531 -664Q558 -673 577 -686Q596 -699 608 -719Q620 -739 620 -747Q620 -755 608 -775Q596 -795 577 -808Q558 -821 531 -830Q433 -864 343 -864Q343 -864 290 -864Q237 -864 204 -877Q164 -893 142 -914Q114 -940 100 -970Q86 -1000 86 -1034Q86 -1069 101 -1101.5Q116 -1134 142 -1155Q170 -1178 204 -1192Q237 -1205 276 -1205Q315 -1205 348 -1192Q388 -1176 410 -1155Q438 -1129 452 -1099Q466 -1069 466 -1034Q466 -1009 457.5 -990Q449 -971 449 -963Q449 -949 489 -942Q529 -935 679 -873Q679 -873 785 -829Q785 -829 1152 -975Q1371 -1062 1452 -1062Q1561 -1062 1605 -999Q1605 -999 984 -747ZM199 -1098Q182 -1084 174 -1068.5Q166 -1053 166 -1034Q166 -1016 174 -1000.5Q182 -985 199 -971Q215 -958 234 -951Q253 -944 276 -944Q299 -944 318 -951Q337 -958 353 -971Q370 -985 378 -1000.5Q386 -1016 386 -1034Q386 -1053 378 -1068.5Q370 -1084 353 -1098Q337 -1111 318 -1118Q299 -1125 276 -1125Q253 -1125 234 -1118Q215 -1111 199 -1098Z']
+    }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SVG_FONT
+    };
+}
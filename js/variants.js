@@ -0,0 +1,366 @@
+// Variant Table Functions
+// Lists the insertions, deletions and substitutions that findIndelsSubstitutions()
+// finds in the current alignment (sequence 1 = reference, sequence 2 = read)
+
+/**
+ * List every variant in an alignment with reference coordinates and bases
+ * @param {string} alignedRead - Aligned read sequence
+ * @param {string} alignedRef - Aligned reference sequence
+ * @param {Array<number>} includeIndx - Reference indices in the quantification window
+ *                                      (default: the whole reference)
+ * @param {Object} columnRange - {start, end}: only list variants inside these alignment
+ *                               columns, e.g. the hit of a local alignment (default: all)
+ * @returns {Object} - {variants, insertionN, deletionN, substitutionN}
+ *                     Each variant is {type, refStart, refEnd, size, refBases, altBases,
+ *                     columnStart, columnEnd, inWindow}. refStart/refEnd are 0-based,
+ *                     end-exclusive reference positions (for insertions, the two flanking
+ *                     bases); columnStart/columnEnd locate the event in the alignment.
+ *                     The totals only count variants inside the window.
+ */
+function listVariants(alignedRead, alignedRef, includeIndx, columnRange) {
+    const ungappedRef = alignedRef.replace(/-/g, '');
+    const windowIndx = includeIndx || Array.from({ length: ungappedRef.length }, (_, i) => i);
+    const includeSet = new Set(windowIndx);
+    const found = findIndelsSubstitutions(alignedRead, alignedRef, windowIndx);
+
+    // Alignment column of every reference base
+    const refColumns = [];
+    for (let c = 0; c < alignedRef.length; c++) {
+        if (alignedRef[c] !== '-') refColumns.push(c);
+    }
+
+    const variants = [];
+
+    found.allSubstitutionPositions.forEach((position, k) => {
+        const column = refColumns[position];
+        variants.push({
+            type: 'substitution',
+            refStart: position,
+            refEnd: position + 1,
+            size: 1,
+            refBases: ungappedRef[position],
+            altBases: found.allSubstitutionValues[k],
+            columnStart: column,
+            columnEnd: column + 1,
+            inWindow: includeSet.has(position)
+        });
+    });
+
+    // Deletions are the runs of read gaps opposite reference bases. They are not
+    // taken from found.allDeletionCoordinates, which keeps CRISPResso's off-by-one
+    // for a deletion starting at column 1 and drops the last base of a deletion
+    // at the end of the read.
+    const addDeletion = (start, end) => {
+        let inWindow = false;
+        for (let i = start; i < end; i++) {
+            if (includeSet.has(i)) {
+                inWindow = true;
+                break;
+            }
+        }
+
+        variants.push({
+            type: 'deletion',
+            refStart: start,
+            refEnd: end,
+            size: end - start,
+            refBases: ungappedRef.substring(start, end),
+            altBases: '',
+            columnStart: refColumns[start],
+            columnEnd: refColumns[end - 1] + 1,
+            inWindow
+        });
+    };
+
+    let refIndex = 0;
+    let deletionStart = -1;
+    for (let c = 0; c <= alignedRef.length; c++) {
+        const isReadGap = c < alignedRef.length && alignedRead[c] === '-';
+        if (isReadGap && deletionStart === -1) {
+            deletionStart = refIndex;
+        } else if (!isReadGap && deletionStart !== -1) {
+            if (refIndex > deletionStart) addDeletion(deletionStart, refIndex);
+            deletionStart = -1;
+        }
+        if (c < alignedRef.length && alignedRef[c] !== '-') refIndex++;
+    }
+
+    for (const left of found.allInsertionLeftPositions) {
+        const columnStart = refColumns[left] + 1;
+        const columnEnd = refColumns[left + 1];
+        const inserted = alignedRead.substring(columnStart, columnEnd).replace(/-/g, '');
+        if (inserted.length === 0) continue;
+
+        variants.push({
+            type: 'insertion',
+            refStart: left,
+            refEnd: left + 2,
+            size: inserted.length,
+            refBases: '',
+            altBases: inserted,
+            columnStart,
+            columnEnd,
+            inWindow: includeSet.has(left) && includeSet.has(left + 1)
+        });
+    }
+
+    variants.sort((a, b) => a.columnStart - b.columnStart);
+
+    // The flanks of a local alignment are padded with gaps, which are not variants
+    const listed = columnRange
+        ? variants.filter(v => v.columnStart >= columnRange.start && v.columnEnd <= columnRange.end)
+        : variants;
+    // Totals over the listed variants in the window: bases for indels, events for substitutions
+    const total = type => listed
+        .filter(v => v.type === type && v.inWindow)
+        .reduce((sum, v) => sum + v.size, 0);
+
+    return {
+        variants: listed,
+        insertionN: total('insertion'),
+        deletionN: total('deletion'),
+        substitutionN: total('substitution')
+    };
+}
+
+/**
+ * Alignment columns of the hit of a local alignment: from the first to the last
+ * column where both sequences have a residue. Outside them are the unaligned
+ * flanks, which addLocalAlignmentFlanks() places opposite gaps.
+ * @param {string} alignedRead - Aligned read sequence
+ * @param {string} alignedRef - Aligned reference sequence
+ * @returns {Object} - {start, end}: end-exclusive columns, {0, 0} when nothing is aligned
+ */
+function localHitColumns(alignedRead, alignedRef) {
+    const isPair = c => alignedRead[c] !== '-' && alignedRef[c] !== '-';
+    let start = 0;
+    while (start < alignedRef.length && !isPair(start)) start++;
+    if (start === alignedRef.length) return { start: 0, end: 0 };
+
+    let end = alignedRef.length;
+    while (!isPair(end - 1)) end--;
+    return { start, end };
+}
+
+// Alignment columns to list variants in: the hit of a local alignment, or all
+function getVariantColumnRange(alignedRef, alignedRead) {
+    return getAlignmentSettings().mode === 'local' ? localHitColumns(alignedRead, alignedRef) : undefined;
+}
+
+/**
+ * Reference indices in the quantification window: every position within `size`
+ * bases of a center, like CRISPResso's quantification_window_size
+ * @param {number} refLength - Length of the (ungapped) reference
+ * @param {Array<number>} centers - Window centers, as the index of the base before
+ *                                  which the window is centered (e.g. a cut site)
+ * @param {number} size - Bases included on each side of every center
+ * @returns {Array<number>} - Sorted, 0-based reference indices [center - size, center + size)
+ */
+function buildQuantificationWindow(refLength, centers, size) {
+    const included = new Set();
+    for (const center of centers) {
+        const start = Math.max(0, center - size);
+        const end = Math.min(refLength, center + size);
+        for (let i = start; i < end; i++) {
+            included.add(i);
+        }
+    }
+    return Array.from(included).sort((a, b) => a - b);
+}
+
+// Quantification window for the current settings, or null when none is set
+function getQuantificationWindow(seq1, seq2) {
+    const settings = getAlignmentSettings();
+    if (!settings.windowSize) return null;
+
+    let centers = [];
+    if (settings.windowCenter === 'manual') {
+        centers = [settings.windowPosition];
+    } else if (window.alignAllsgRNAs) {
+        const sgRNAsInput = document.getElementById('sgrnas');
+        const cutSiteInput = document.getElementById('cut-site');
+        const scoreCutoffInput = document.getElementById('score-cutoff');
+
+        const sgRNAs = sgRNAsInput ? sgRNAsInput.value : '';
+        const cutSite = cutSiteInput ? parseInt(cutSiteInput.value) : -3;
+        const scoreCutoff = scoreCutoffInput ? parseFloat(scoreCutoffInput.value) : 80;
+
+        if (sgRNAs) {
+            centers = getReferenceCutSites(alignAllsgRNAs(seq1, seq2, sgRNAs, cutSite, scoreCutoff));
+        }
+    }
+
+    // Without a center the whole reference is quantified
+    if (centers.length === 0) return null;
+
+    const refLength = seq1.replace(/-/g, '').length;
+    return buildQuantificationWindow(refLength, centers, settings.windowSize);
+}
+
+// Shade the alignment columns inside the quantification window. Insertions
+// count as inside when both flanking reference bases are.
+function shadeQuantificationWindow(alignedRef, includeIndx) {
+    const content = document.getElementById('alignment-content');
+    if (!content || !includeIndx) return;
+
+    const includeSet = new Set(includeIndx);
+    const inWindow = [];
+    let refIndex = -1;
+    for (let c = 0; c < alignedRef.length; c++) {
+        if (alignedRef[c] !== '-') {
+            refIndex++;
+            inWindow.push(includeSet.has(refIndex));
+        } else {
+            inWindow.push(includeSet.has(refIndex) && includeSet.has(refIndex + 1));
+        }
+    }
+
+    for (const line of getAlignmentLines()) {
+        for (const bases of line.rows) {
+            for (let c = line.first; c <= line.last && c < inWindow.length; c++) {
+                if (inWindow[c]) {
+                    bases.children[c - line.first].classList.add('in-window');
+                }
+            }
+        }
+    }
+}
+
+// Human-readable reference position of a variant (0-based, like the rest of the UI)
+function formatVariantPosition(variant) {
+    if (variant.type === 'insertion') {
+        return `${variant.refStart}^${variant.refStart + 1}`;
+    }
+    if (variant.size > 1) {
+        return `${variant.refStart}-${variant.refEnd - 1}`;
+    }
+    return String(variant.refStart);
+}
+
+// Render the variant table for the current (aligned) sequences
+function renderVariantPanel(seq1, seq2) {
+    const panel = document.getElementById('variant-panel');
+    const content = document.getElementById('variant-table-content');
+    if (!panel || !content) return;
+
+    const ref = seq1.toUpperCase().replace(/\s+/g, '');
+    const read = seq2.toUpperCase().replace(/\s+/g, '');
+
+    // Variants are only meaningful once the sequences have been aligned
+    if (!ref || !read || ref.length !== read.length) {
+        panel.classList.add('hidden');
+        content.innerHTML = '';
+        const hgvsList = document.getElementById('hgvs-list');
+        if (hgvsList) hgvsList.innerHTML = '';
+        return;
+    }
+
+    const includeIndx = getQuantificationWindow(ref, read);
+    shadeQuantificationWindow(ref, includeIndx);
+
+    const result = listVariants(read, ref, includeIndx || undefined, getVariantColumnRange(ref, read));
+    panel.classList.remove('hidden');
+    content.innerHTML = '';
+
+    if (window.renderHGVSList) {
+        renderHGVSList(ref, read);
+    }
+
+    // With a window, the totals only count variants inside it
+    const scope = includeIndx ? ' in window' : '';
+    const totals = document.createElement('div');
+    totals.className = 'variant-totals';
+    totals.innerHTML = `
+        <span class="variant-total">Insertions${scope}: <strong>${result.insertionN}</strong> bp</span>
+        <span class="variant-total">Deletions${scope}: <strong>${result.deletionN}</strong> bp</span>
+        <span class="variant-total">Substitutions${scope}: <strong>${result.substitutionN}</strong></span>
+    `;
+    if (includeIndx) {
+        const outside = result.variants.filter(variant => !variant.inWindow).length;
+        totals.innerHTML += `
+        <span class="variant-total">Outside window: <strong>${outside}</strong> variant${outside === 1 ? '' : 's'}</span>
+        `;
+    }
+    content.appendChild(totals);
+
+    if (result.variants.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'match-info';
+        empty.textContent = 'No variants found';
+        content.appendChild(empty);
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'variant-table';
+    table.innerHTML = `
+        <thead>
+            <tr><th>Type</th><th>Ref position</th><th>Size</th><th>Ref</th><th>Alt</th>${includeIndx ? '<th>Window</th>' : ''}</tr>
+        </thead>
+    `;
+
+    const body = document.createElement('tbody');
+    for (const variant of result.variants) {
+        const row = document.createElement('tr');
+        row.className = `variant-row variant-${variant.type}`;
+        if (includeIndx && !variant.inWindow) {
+            row.classList.add('outside-window');
+        }
+        row.title = 'Show in alignment';
+
+        // The bases come straight from the input, so the cells are filled as text
+        const cells = [
+            [variant.type],
+            [formatVariantPosition(variant)],
+            [variant.size],
+            [variant.refBases || '-', 'variant-bases'],
+            [variant.altBases || '-', 'variant-bases']
+        ];
+        if (includeIndx) {
+            cells.push([variant.inWindow ? 'In' : 'Out']);
+        }
+        cells.forEach(([value, className]) => {
+            const cell = document.createElement('td');
+            if (className) cell.className = className;
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.addEventListener('click', function() {
+            if (window.focusAlignmentColumns) {
+                focusAlignmentColumns(variant.columnStart, variant.columnEnd);
+            }
+        });
+        body.appendChild(row);
+    }
+    table.appendChild(body);
+    content.appendChild(table);
+}
+
+// Setup panel collapse functionality
+function setupVariantPanel() {
+    const toggleButton = document.getElementById('toggle-variant-panel');
+    const panelContent = document.getElementById('variant-panel-content');
+    const panelHeader = document.querySelector('#variant-panel .sidebar-header');
+
+    if (panelHeader && toggleButton && panelContent) {
+        panelHeader.addEventListener('click', function() {
+            panelContent.classList.toggle('collapsed');
+            toggleButton.classList.toggle('collapsed');
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.renderVariantPanel = renderVariantPanel;
+    document.addEventListener('DOMContentLoaded', setupVariantPanel);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        listVariants,
+        localHitColumns,
+        buildQuantificationWindow,
+        formatVariantPosition
+    };
+}
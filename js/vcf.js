@@ -0,0 +1,190 @@
+// VCF Export Functions
+// Writes the variants of an alignment (sequence 1 = reference, sequence 2 = read)
+// as VCF 4.3 records, with indels left-normalized and anchored on a reference base
+
+// INFO TYPE values for each variant type from listVariants()
+const VCF_EVENT_TYPES = {
+    substitution: 'SNV',
+    deletion: 'DEL',
+    insertion: 'INS'
+};
+
+// Any base other than those VCF allows in alleles (A, C, G, T and N)
+const VCF_NON_ALLELE_BASE = /[^ACGTN]/;
+
+// Write the other IUPAC codes in an allele as N
+function toVCFAllele(bases) {
+    return bases.replace(/[^ACGTN]/g, 'N');
+}
+
+/**
+ * Left-normalize one variant and add the anchor base VCF requires for indels
+ * @param {string} ref - Ungapped reference sequence
+ * @param {Object} variant - Variant from listVariants()
+ * @returns {Object|null} - {index, ref, alt}: 0-based reference index of the first REF base;
+ *                          null for a deletion of the whole reference, which has no anchor base
+ */
+function normalizeVCFVariant(ref, variant) {
+    if (variant.type === 'substitution') {
+        return { index: variant.refStart, ref: variant.refBases, alt: variant.altBases };
+    }
+
+    if (variant.type === 'deletion') {
+        // Slide the deleted block left while the preceding base repeats its last base
+        let start = variant.refStart;
+        let end = variant.refEnd;
+        while (start > 0 && ref[start - 1] === ref[end - 1]) {
+            start--;
+            end--;
+        }
+
+        if (start > 0) {
+            return { index: start - 1, ref: ref.substring(start - 1, end), alt: ref[start - 1] };
+        }
+        // Deletion at the start of the reference: anchor on the base after it
+        if (end >= ref.length) {
+            return null;
+        }
+        return { index: 0, ref: ref.substring(0, end + 1), alt: ref[end] };
+    }
+
+    // Insertion between ref[left] and ref[left + 1]: rotate the inserted bases
+    // left past any identical reference bases
+    let inserted = variant.altBases;
+    let left = variant.refStart;
+    while (left >= 0 && inserted[inserted.length - 1] === ref[left]) {
+        inserted = ref[left] + inserted.substring(0, inserted.length - 1);
+        left--;
+    }
+
+    if (left >= 0) {
+        return { index: left, ref: ref[left], alt: ref[left] + inserted };
+    }
+    return { index: 0, ref: ref[0], alt: inserted + ref[0] };
+}
+
+/**
+ * Build a VCF 4.3 file from the variants of an alignment
+ * @param {string} alignedRead - Aligned read sequence
+ * @param {string} alignedRef - Aligned reference sequence
+ * @param {Object} options - Optional settings
+ * @param {string} options.chrom - CHROM name (default: 'amplicon')
+ * @param {number} options.offset - Added to every POS, so reference index 0 is POS offset + 1 (default: 0)
+ * @param {Array<number>} options.includeIndx - Reference indices in the quantification window;
+ *                                              records get the INWINDOW flag only when it is set
+ * @param {string} options.sample - Sample column name; omitted when not set
+ * @param {Object} options.columnRange - {start, end}: alignment columns to export (default: all)
+ * @returns {string} - VCF text
+ */
+function alignmentToVCF(alignedRead, alignedRef, options = {}) {
+    const chrom = (options.chrom || 'amplicon').trim();
+    if (!chrom || /[\s,<>]/.test(chrom)) {
+        throw new Error(`Invalid VCF chromosome name: ${options.chrom}`);
+    }
+    const offset = options.offset || 0;
+
+    const ref = alignedRef.replace(/-/g, '');
+    const { variants } = listVariants(alignedRead, alignedRef, options.includeIndx, options.columnRange);
+
+    const hasWindow = Boolean(options.includeIndx);
+
+    // VCF alleles only allow A, C, G, T and N. A substitution to an ambiguity
+    // code is no more a call than one to N, which listVariants() already skips;
+    // ambiguity codes inside indels are written as N. A deletion of the whole
+    // reference has no base left to anchor on and is not written.
+    const records = [];
+    variants
+        .filter(variant => variant.type !== 'substitution' || !VCF_NON_ALLELE_BASE.test(variant.altBases))
+        .forEach(variant => {
+            const normalized = normalizeVCFVariant(ref, variant);
+            if (!normalized) return;
+            records.push({
+                pos: normalized.index + 1 + offset,
+                ref: toVCFAllele(normalized.ref),
+                alt: toVCFAllele(normalized.alt),
+                info: `TYPE=${VCF_EVENT_TYPES[variant.type]}` + (hasWindow && variant.inWindow ? ';INWINDOW' : '')
+            });
+        });
+    records.sort((a, b) => a.pos - b.pos);
+
+    const header = [
+        '##fileformat=VCFv4.3',
+        '##source=VizAlign',
+        `##contig=<ID=${chrom}>`,
+        '##INFO=<ID=TYPE,Number=1,Type=String,Description="Event type: SNV, INS or DEL">'
+    ];
+    if (hasWindow) {
+        header.push('##INFO=<ID=INWINDOW,Number=0,Type=Flag,Description="Event overlaps the quantification window">');
+    }
+    const columns = ['#CHROM', 'POS', 'ID', 'REF', 'ALT', 'QUAL', 'FILTER', 'INFO'];
+    if (options.sample) {
+        header.push('##FORMAT=<ID=GT,Number=1,Type=String,Description="Genotype">');
+        columns.push('FORMAT', options.sample);
+    }
+    header.push(columns.join('\t'));
+
+    const lines = records.map(record => {
+        const fields = [chrom, record.pos, '.', record.ref, record.alt, '.', '.', record.info];
+        if (options.sample) {
+            fields.push('GT', '1');
+        }
+        return fields.join('\t');
+    });
+
+    return header.concat(lines).join('\n') + '\n';
+}
+
+// Download the current alignment's variants as a VCF file
+function downloadVCF() {
+    const seq1Input = document.getElementById('seq1');
+    const seq2Input = document.getElementById('seq2');
+    const chromInput = document.getElementById('vcf-chrom');
+    const offsetInput = document.getElementById('vcf-offset');
+    const name2Input = document.getElementById('name2');
+    if (!seq1Input || !seq2Input) return;
+
+    const ref = seq1Input.value.toUpperCase().replace(/\s+/g, '');
+    const read = seq2Input.value.toUpperCase().replace(/\s+/g, '');
+    if (!ref || !read || ref.length !== read.length) {
+        alert('Please align the sequences before exporting a VCF.');
+        return;
+    }
+
+    const offset = offsetInput ? parseInt(offsetInput.value) : 0;
+    const sample = name2Input ? name2Input.value.trim().replace(/\s+/g, '_') : '';
+
+    let vcf;
+    try {
+        vcf = alignmentToVCF(read, ref, {
+            chrom: chromInput ? chromInput.value : '',
+            offset: isNaN(offset) ? 0 : offset,
+            includeIndx: getQuantificationWindow(ref, read) || undefined,
+            columnRange: getVariantColumnRange(ref, read),
+            sample
+        });
+    } catch (error) {
+        alert('Error exporting VCF: ' + error.message);
+        return;
+    }
+
+    downloadTextFile(`${sample || 'alignment'}.vcf`, vcf, 'text/plain');
+}
+
+function setupVCFExport() {
+    const button = document.getElementById('vcf-download');
+    if (button) {
+        button.addEventListener('click', downloadVCF);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', setupVCFExport);
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeVCFVariant,
+        alignmentToVCF
+    };
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the multi-read pileup
+ * Run with: node pileup.test.js
+ */
+
+const assert = require('assert');
+const fasta = require('./js/fasta.js');
+
+// js/pileup.js uses the FASTA parser as a browser global
+global.isFasta = fasta.isFasta;
+global.parseFasta = fasta.parseFasta;
+
+const { parseReadList, mergePairwiseAlignments } = require('./js/pileup.js');
+
+// ANSI color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    bold: '\x1b[1m'
+};
+
+// Test statistics
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+/**
+ * Run a single test case
+ */
+function runTest(testName, testFn) {
+    totalTests++;
+    try {
+        testFn();
+        passedTests++;
+        console.log(`${colors.green}✓${colors.reset} ${testName}`);
+        return true;
+    } catch (error) {
+        failedTests++;
+        console.log(`${colors.red}✗${colors.reset} ${testName}`);
+        console.log(`  ${colors.red}Error: ${error.message}${colors.reset}`);
+        if (error.actual !== undefined && error.expected !== undefined) {
+            console.log(`  ${colors.cyan}Expected:${colors.reset} ${error.expected}`);
+            console.log(`  ${colors.cyan}Actual:${colors.reset}   ${error.actual}`);
+        }
+        return false;
+    }
+}
+
+/**
+ * Test suite runner
+ */
+function describe(suiteName, suiteFn) {
+    console.log(`\n${colors.bold}${colors.blue}${suiteName}${colors.reset}`);
+    suiteFn();
+}
+
+// =============================================================================
+// TEST SUITES
+// =============================================================================
+
+describe('Read List Parsing Tests', () => {
+    runTest('Test 1: One Read per Line', () => {
+        const reads = parseReadList('atcg\n\nclone 7  ATC-GG\n');
+        assert.deepStrictEqual(reads, [
+            { name: 'Read 1', sequence: 'ATCG' },
+            { name: 'clone 7', sequence: 'ATCGG' }
+        ]);
+    });
+
+    runTest('Test 2: FASTA Records', () => {
+        const reads = parseReadList('>allele_1 12 reads\nATCG\nTTAA\n>allele_2\r\nGGCC\n');
+        assert.deepStrictEqual(reads, [
+            { name: 'allele_1 12 reads', sequence: 'ATCGTTAA' },
+            { name: 'allele_2', sequence: 'GGCC' }
+        ]);
+    });
+});
+
+describe('Pileup Merge Tests', () => {
+    runTest('Test 3: Insertions Open Columns in Every Row', () => {
+        const merged = mergePairwiseAlignments([
+            { alignedRef: 'ATCG--ATCG', alignedRead: 'ATCGTTATCG' },
+            { alignedRef: 'ATCGATCG', alignedRead: 'AT-GATCG' },
+            { alignedRef: 'ATCG-ATCG', alignedRead: 'ATCGCATCG' }
+        ]);
+        assert.strictEqual(merged.reference, 'ATCG--ATCG');
+        assert.deepStrictEqual(merged.reads, ['ATCGTTATCG', 'AT-G--ATCG', 'ATCGC-ATCG']);
+    });
+
+    runTest('Test 4: Leading and Trailing Insertions', () => {
+        const merged = mergePairwiseAlignments([
+            { alignedRef: '--ATCG', alignedRead: 'GGATCG' },
+            { alignedRef: 'ATCG-', alignedRead: 'ATCGA' }
+        ]);
+        assert.strictEqual(merged.reference, '--ATCG-');
+        assert.deepStrictEqual(merged.reads, ['GGATCG-', '--ATCGA']);
+    });
+
+    runTest('Test 5: Empty Pileup', () => {
+        assert.deepStrictEqual(mergePairwiseAlignments([]), { reference: '', reads: [] });
+    });
+
+    runTest('Test 6: Different References Throw', () => {
+        assert.throws(() => mergePairwiseAlignments([
+            { alignedRef: 'ATCG', alignedRead: 'ATCG' },
+            { alignedRef: 'ATCC', alignedRead: 'ATCC' }
+        ]), /same reference/);
+    });
+});
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+console.log('\n' + '='.repeat(60));
+console.log(`${colors.bold}TEST SUMMARY${colors.reset}`);
+console.log('='.repeat(60));
+console.log(`Total:  ${totalTests}`);
+console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+
+if (failedTests === 0) {
+    console.log(`\n${colors.green}${colors.bold}✓ All tests passed!${colors.reset}\n`);
+    process.exit(0);
+} else {
+    console.log(`\n${colors.red}${colors.bold}✗ ${failedTests} test(s) failed${colors.reset}\n`);
+    process.exit(1);
+}
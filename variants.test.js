@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for variant listing and reporting
+ * Run with: node variants.test.js
+ */
+
+const assert = require('assert');
+const alignment = require('./js/alignment.js');
+
+// js/variants.js uses the alignment functions as browser globals
+global.findIndelsSubstitutions = alignment.findIndelsSubstitutions;
+
+const { listVariants, localHitColumns, buildQuantificationWindow, formatVariantPosition } = require('./js/variants.js');
+
+// js/hgvs.js uses listVariants as a browser global
+global.listVariants = listVariants;
+
+const { hgvsPosition, describeHGVSVariant, alignmentToHGVS } = require('./js/hgvs.js');
+const { normalizeVCFVariant, alignmentToVCF } = require('./js/vcf.js');
+
+// ANSI color codes for terminal output
+const colors = {
+    reset: '\x1b[0m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    cyan: '\x1b[36m',
+    bold: '\x1b[1m'
+};
+
+// Test statistics
+let totalTests = 0;
+let passedTests = 0;
+let failedTests = 0;
+
+/**
+ * Run a single test case
+ */
+function runTest(testName, testFn) {
+    totalTests++;
+    try {
+        testFn();
+        passedTests++;
+        console.log(`${colors.green}✓${colors.reset} ${testName}`);
+        return true;
+    } catch (error) {
+        failedTests++;
+        console.log(`${colors.red}✗${colors.reset} ${testName}`);
+        console.log(`  ${colors.red}Error: ${error.message}${colors.reset}`);
+        if (error.actual !== undefined && error.expected !== undefined) {
+            console.log(`  ${colors.cyan}Expected:${colors.reset} ${error.expected}`);
+            console.log(`  ${colors.cyan}Actual:${colors.reset}   ${error.actual}`);
+        }
+        return false;
+    }
+}
+
+/**
+ * Test suite runner
+ */
+function describe(suiteName, suiteFn) {
+    console.log(`\n${colors.bold}${colors.blue}${suiteName}${colors.reset}`);
+    suiteFn();
+}
+
+// =============================================================================
+// TEST SUITES
+// =============================================================================
+
+describe('Variant Listing Tests', () => {
+    runTest('Test 1: Deletion, Substitution and Insertion', () => {
+        const result = listVariants('ATCG--TCGGGAACTTG', 'ATCGATTCGAG--CTTG');
+        assert.deepStrictEqual(result.variants.map(v => v.type), ['deletion', 'substitution', 'insertion']);
+
+        const [deletion, substitution, insertion] = result.variants;
+        assert.strictEqual(deletion.refStart, 4);
+        assert.strictEqual(deletion.size, 2);
+        assert.strictEqual(deletion.refBases, 'AT');
+        assert.strictEqual(substitution.refStart, 9);
+        assert.strictEqual(substitution.refBases, 'A');
+        assert.strictEqual(substitution.altBases, 'G');
+        assert.strictEqual(insertion.refStart, 10);
+        assert.strictEqual(insertion.altBases, 'AA');
+        assert.strictEqual(insertion.columnStart, 11);
+        assert.strictEqual(insertion.columnEnd, 13);
+    });
+
+    runTest('Test 2: Totals Match findIndelsSubstitutions', () => {
+        const result = listVariants('ATCG--TCGGGAACTTG', 'ATCGATTCGAG--CTTG');
+        assert.strictEqual(result.insertionN, 2);
+        assert.strictEqual(result.deletionN, 2);
+        assert.strictEqual(result.substitutionN, 1);
+    });
+
+    runTest('Test 3: Identical and N-Only Differences', () => {
+        assert.strictEqual(listVariants('ATCGATCG', 'ATCGATCG').variants.length, 0);
+        assert.strictEqual(listVariants('ATCNATCG', 'ATCGATCG').variants.length, 0);
+    });
+
+    runTest('Test 4: Position Labels', () => {
+        const result = listVariants('ATCG--TCGGGAACTTG', 'ATCGATTCGAG--CTTG');
+        assert.deepStrictEqual(result.variants.map(formatVariantPosition), ['4-5', '9', '10^11']);
+    });
+
+    runTest('Test 5: Deletions at the Ends of the Read', () => {
+        const deletion = read => listVariants(read, 'ACGTACGT').variants
+            .map(v => [v.type, v.refStart, v.refEnd, v.refBases]);
+
+        // Starting at column 1, and trailing deletions of 1 and 2 bases
+        assert.deepStrictEqual(deletion('A-GTACGT'), [['deletion', 1, 2, 'C']]);
+        assert.deepStrictEqual(deletion('ACGTACG-'), [['deletion', 7, 8, 'T']]);
+        assert.deepStrictEqual(deletion('ACGTAC--'), [['deletion', 6, 8, 'GT']]);
+        assert.deepStrictEqual(deletion('--GTACGT'), [['deletion', 0, 2, 'AC']]);
+        assert.strictEqual(listVariants('ACGTAC--', 'ACGTACGT').deletionN, 2);
+    });
+
+    runTest('Test 6: Totals Only Count the Window', () => {
+        // Insertion of G after reference base 3, A>T at reference base 8
+        const totals = (includeIndx, columnRange) => {
+            const result = listVariants('ATCGGATCGTTCG', 'ATCG-ATCGATCG', includeIndx, columnRange);
+            return [result.insertionN, result.deletionN, result.substitutionN];
+        };
+        assert.deepStrictEqual(totals(), [1, 0, 1]);
+        assert.deepStrictEqual(totals([0, 1, 2, 3, 4, 5]), [1, 0, 0]);
+        assert.deepStrictEqual(totals([6, 7, 8, 9, 10, 11]), [0, 0, 1]);
+        assert.deepStrictEqual(totals(undefined, { start: 0, end: 6 }), [1, 0, 0]);
+    });
+});
+
+describe('Local Alignment Flank Tests', () => {
+    // Hit ACGTACGT/ACGAACGT with flanks GGG/TTT on the reference and CC/AA on the
+    // read, each opposite gaps as addLocalAlignmentFlanks() places them
+    const read = 'CC---ACGAACGT---AA';
+    const ref = '--GGGACGTACGTTTT--';
+
+    runTest('Test 7: Hit Columns', () => {
+        assert.deepStrictEqual(localHitColumns(read, ref), { start: 5, end: 13 });
+        assert.deepStrictEqual(localHitColumns('AC--', '--GT'), { start: 0, end: 0 });
+    });
+
+    runTest('Test 8: Flanks Are Not Variants', () => {
+        assert.strictEqual(listVariants(read, ref).variants.length, 3);
+
+        const result = listVariants(read, ref, undefined, localHitColumns(read, ref));
+        assert.deepStrictEqual(result.variants.map(v => [v.type, v.refStart]), [['substitution', 6]]);
+        assert.strictEqual(result.deletionN, 0);
+        assert.strictEqual(result.insertionN, 0);
+        assert.strictEqual(result.substitutionN, 1);
+
+        assert.deepStrictEqual(alignmentToHGVS(read, ref, { columnRange: localHitColumns(read, ref) }).map(r => r.hgvs), ['g.7T>A']);
+    });
+});
+
+describe('Quantification Window Tests', () => {
+    runTest('Test 9: Window Around Cut Sites', () => {
+        assert.deepStrictEqual(buildQuantificationWindow(20, [10], 2), [8, 9, 10, 11]);
+        assert.deepStrictEqual(buildQuantificationWindow(20, [1, 18], 3), [0, 1, 2, 3, 15, 16, 17, 18, 19]);
+        assert.deepStrictEqual(buildQuantificationWindow(20, [10, 11], 1), [9, 10, 11]);
+        assert.deepStrictEqual(buildQuantificationWindow(20, [], 5), []);
+    });
+
+    runTest('Test 10: Variants Inside and Outside the Window', () => {
+        const read = 'ATCG--TCGGGAACTTG';
+        const ref = 'ATCGATTCGAG--CTTG';
+        const result = listVariants(read, ref, buildQuantificationWindow(15, [10], 2));
+
+        assert.deepStrictEqual(result.variants.map(v => v.inWindow), [false, true, true]);
+        assert.strictEqual(result.deletionN, 0);
+        assert.strictEqual(result.substitutionN, 1);
+        assert.strictEqual(result.insertionN, 2);
+    });
+
+    runTest('Test 11: Insertion Needs Both Flanks in the Window', () => {
+        const result = listVariants('ATCG--TCGGGAACTTG', 'ATCGATTCGAG--CTTG', [9, 10]);
+        const insertion = result.variants.find(v => v.type === 'insertion');
+        assert.strictEqual(insertion.inWindow, false);
+        assert.strictEqual(result.insertionN, 0);
+    });
+});
+
+// =============================================================================
+// HGVS NOMENCLATURE TESTS
+// =============================================================================
+
+describe('HGVS Nomenclature Tests', () => {
+    const hgvs = (read, ref, options) => alignmentToHGVS(read, ref, options).map(r => r.hgvs);
+
+    runTest('Test 12: Substitution', () => {
+        assert.deepStrictEqual(hgvs('ATCGTTCG', 'ATCGATCG'), ['g.5A>T']);
+    });
+
+    runTest('Test 13: Deletion Shifted 3\'', () => {
+        // Any one of the three A's can be the deleted base; HGVS names the last
+        assert.deepStrictEqual(hgvs('ATC-AAGC', 'ATCAAAGC'), ['g.6del']);
+        assert.deepStrictEqual(hgvs('ATC-ATCG', 'ATCGATCG'), ['g.4del']);
+    });
+
+    runTest('Test 14: Insertion of a Repeated Base Is a Duplication', () => {
+        assert.deepStrictEqual(hgvs('ATCAAAAGC', 'ATCA-AAGC'), ['g.6dup']);
+        // Two-base repeat, shifted past the copy it duplicates
+        assert.deepStrictEqual(describeHGVSVariant('ATCGCGTT', 4, 4, 'CG', { type: 'g' }), '5_6dup');
+    });
+
+    runTest('Test 15: Insertion', () => {
+        assert.deepStrictEqual(hgvs('ATCGACGAT', 'ATCG--GAT'), ['g.4_5insAC']);
+    });
+
+    runTest('Test 16: Adjacent Changes Become a Deletion-Insertion', () => {
+        assert.deepStrictEqual(hgvs('ATGG-CAT', 'ATCAACAT'), ['g.3_5delinsGG']);
+    });
+
+    runTest('Test 17: Reference Name and Multiple Variants', () => {
+        const results = alignmentToHGVS('AT-GTTCG-A', 'ATCGATCGTA', { reference: 'chr1' });
+        assert.deepStrictEqual(results.map(r => r.hgvs), ['chr1:g.3del', 'chr1:g.5A>T', 'chr1:g.9del']);
+        assert.deepStrictEqual(results.map(r => r.columnStart), [2, 4, 8]);
+    });
+
+    runTest('Test 18: Coding DNA Numbering', () => {
+        const options = { type: 'c', offset: 100, transcriptStart: 104 };
+        assert.strictEqual(hgvsPosition(2, options), '-1');
+        assert.strictEqual(hgvsPosition(3, options), '1');
+        assert.strictEqual(hgvsPosition(0, { type: 'g', offset: 100 }), '101');
+        assert.deepStrictEqual(hgvs('ATGGCAT', 'ATCACAT', Object.assign({ reference: 'NM_1' }, options)), ['NM_1:c.-1_1delinsGG']);
+    });
+
+    runTest('Test 19: Deletions at the 5\' and 3\' Ends', () => {
+        assert.deepStrictEqual(hgvs('A-GTACGT', 'ACGTACGT'), ['g.2del']);
+        assert.deepStrictEqual(hgvs('--GTACGT', 'ACGTACGT'), ['g.1_2del']);
+        assert.deepStrictEqual(hgvs('ACGTACG-', 'ACGTACGT'), ['g.8del']);
+        assert.deepStrictEqual(hgvs('ACGTAC--', 'ACGTACGT'), ['g.7_8del']);
+    });
+
+    runTest('Test 20: Invalid Coordinate Type Throws', () => {
+        assert.throws(() => alignmentToHGVS('ATCG', 'ATCG', { type: 'p' }), /Invalid HGVS coordinate type/);
+    });
+});
+
+// =============================================================================
+// VCF EXPORT TESTS
+// =============================================================================
+
+describe('VCF Export Tests', () => {
+    // Data lines as [POS, REF, ALT, INFO]
+    const records = vcf => vcf.trim().split('\n')
+        .filter(line => !line.startsWith('#'))
+        .map(line => {
+            const fields = line.split('\t');
+            return [Number(fields[1]), fields[3], fields[4], fields[7]];
+        });
+
+    runTest('Test 21: Header and Substitution', () => {
+        const vcf = alignmentToVCF('ATCGTTCG', 'ATCGATCG');
+        const lines = vcf.trim().split('\n');
+        assert.strictEqual(lines[0], '##fileformat=VCFv4.3');
+        assert.ok(lines.includes('##contig=<ID=amplicon>'));
+        assert.strictEqual(lines[lines.length - 2], '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO');
+        assert.strictEqual(lines[lines.length - 1], 'amplicon\t5\t.\tA\tT\t.\t.\tTYPE=SNV');
+    });
+
+    runTest('Test 22: Deletion Left-Normalized with Anchor Base', () => {
+        // Deleting the last A of AAA is written as the first one, anchored on C
+        assert.deepStrictEqual(records(alignmentToVCF('ATCAA-GC', 'ATCAAAGC')), [[3, 'CA', 'C', 'TYPE=DEL']]);
+    });
+
+    runTest('Test 23: Insertion Left-Normalized with Anchor Base', () => {
+        assert.deepStrictEqual(records(alignmentToVCF('ATCAAAAGC', 'ATCAA-AGC')), [[3, 'C', 'CA', 'TYPE=INS']]);
+        assert.deepStrictEqual(normalizeVCFVariant('ATCG', {
+            type: 'insertion', refStart: 0, refEnd: 2, altBases: 'A'
+        }), { index: 0, ref: 'A', alt: 'AA' });
+    });
+
+    runTest('Test 24: Deletion at the Reference Start Anchors on the Next Base', () => {
+        assert.deepStrictEqual(normalizeVCFVariant('AATCG', {
+            type: 'deletion', refStart: 1, refEnd: 2
+        }), { index: 0, ref: 'AA', alt: 'A' });
+        assert.deepStrictEqual(normalizeVCFVariant('ATCG', {
+            type: 'deletion', refStart: 0, refEnd: 1
+        }), { index: 0, ref: 'AT', alt: 'T' });
+    });
+
+    runTest('Test 25: CHROM, Offset, Sample and Window', () => {
+        const vcf = alignmentToVCF('AT-GTTCG-A', 'ATCGATCGTA', {
+            chrom: 'chr11', offset: 5000, includeIndx: [3, 4, 5], sample: 'clone7'
+        });
+        assert.ok(vcf.includes('\tFORMAT\tclone7\n'));
+        assert.deepStrictEqual(records(vcf), [
+            [5002, 'TC', 'T', 'TYPE=DEL'],
+            [5005, 'A', 'T', 'TYPE=SNV;INWINDOW'],
+            [5008, 'GT', 'G', 'TYPE=DEL']
+        ]);
+        assert.ok(vcf.trim().split('\n').pop().startsWith('chr11\t5008\t'));
+        assert.ok(vcf.trim().endsWith('\tGT\t1'));
+    });
+
+    runTest('Test 26: Deletions at the Ends of the Read', () => {
+        assert.deepStrictEqual(records(alignmentToVCF('A-GTACGT', 'ACGTACGT')), [[1, 'AC', 'A', 'TYPE=DEL']]);
+        assert.deepStrictEqual(records(alignmentToVCF('ACGTACG-', 'ACGTACGT')), [[7, 'GT', 'G', 'TYPE=DEL']]);
+        assert.deepStrictEqual(records(alignmentToVCF('ACGTAC--', 'ACGTACGT')), [[6, 'CGT', 'C', 'TYPE=DEL']]);
+    });
+
+    runTest('Test 27: Deletion of the Whole Reference Is Skipped', () => {
+        // No reference base is left to anchor the deletion on
+        assert.deepStrictEqual(records(alignmentToVCF('----', 'ACGT')), []);
+        assert.deepStrictEqual(records(alignmentToVCF('---T', 'ACGT')), [[1, 'ACGT', 'T', 'TYPE=DEL']]);
+    });
+
+    runTest('Test 28: INWINDOW Only With a Window', () => {
+        const vcf = alignmentToVCF('ATCGTTCG', 'ATCGATCG');
+        assert.ok(!vcf.includes('INWINDOW'));
+        assert.ok(alignmentToVCF('ATCGTTCG', 'ATCGATCG', { includeIndx: [4] }).includes('TYPE=SNV;INWINDOW'));
+    });
+
+    runTest('Test 29: IUPAC Codes Are Not Written as Alleles', () => {
+        // A substitution to R is skipped like one to N; inside an insertion it becomes N
+        assert.deepStrictEqual(records(alignmentToVCF('ATCGRTCG', 'ATCGATCG')), []);
+        assert.deepStrictEqual(records(alignmentToVCF('ATCGYATCG', 'ATCG-ATCG')), [[4, 'G', 'GN', 'TYPE=INS']]);
+    });
+
+    runTest('Test 30: Invalid CHROM Throws', () => {
+        assert.throws(() => alignmentToVCF('ATCG', 'ATCG', { chrom: 'chr 1' }), /Invalid VCF chromosome name/);
+    });
+});
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+console.log('\n' + '='.repeat(60));
+console.log(`${colors.bold}TEST SUMMARY${colors.reset}`);
+console.log('='.repeat(60));
+console.log(`Total:  ${totalTests}`);
+console.log(`${colors.green}Passed: ${passedTests}${colors.reset}`);
+console.log(`${colors.red}Failed: ${failedTests}${colors.reset}`);
+
+if (failedTests === 0) {
+    console.log(`\n${colors.green}${colors.bold}✓ All tests passed!${colors.reset}\n`);
+    process.exit(0);
+} else {
+    console.log(`\n${colors.red}${colors.bold}✗ ${failedTests} test(s) failed${colors.reset}\n`);
+    process.exit(1);
+}